@@ -1,6 +1,6 @@
 
 import { getContext } from "../../../extensions.js";
-import { eventSource, event_types } from "../../../../script.js";
+import { eventSource, event_types, extension_prompt_types } from "../../../../script.js";
 
 (function () {
     const DEBUG = true; // Enable debug logging temporarily
@@ -78,23 +78,78 @@ import { eventSource, event_types } from "../../../../script.js";
      * Parses a "|"-option list.
      * Example: "images/a.png|mode=rel|fallback=/user/files/x.png"
      * - First segment is treated as the main value unless key=value.
+     * - Later bare segments (e.g. "float") are collected as flags.
+     * - A value may be quoted to keep "|", "}" and surrounding spaces: then="<b>|</b>", sep=", "
+     *   (inside quotes, a backslash escapes any character).
+     * - Outside quotes, \| \= \" \' \{ \} and \\ are literal characters.
      */
     function parsePipeOptions(param) {
         const raw = (param ?? '').toString();
-        const parts = raw.split('|').map(p => p.trim()).filter(Boolean);
         const opts = {};
+        const flags = [];
         let main = '';
-        for (const part of parts) {
-            const eq = part.indexOf('=');
-            if (eq > 0) {
-                const k = part.slice(0, eq).trim();
-                const v = part.slice(eq + 1).trim();
-                if (k) opts[k] = v;
-            } else if (!main) {
-                main = part;
+
+        // Each segment is read into key/value buffers; "protected" characters (quoted or escaped)
+        // are never trimmed or treated as separators.
+        let key = null;
+        let chars = [];
+        let quote = null;
+        const finishSegment = () => {
+            let start = 0;
+            let end = chars.length;
+            while (start < end && !chars[start].p && /\s/.test(chars[start].c)) start++;
+            while (end > start && !chars[end - 1].p && /\s/.test(chars[end - 1].c)) end--;
+            const value = chars.slice(start, end).map(x => x.c).join('');
+            if (key !== null) {
+                if (key) opts[key] = value;
+            } else if (value || chars.some(x => x.p)) {
+                if (!main) main = value;
+                else flags.push(value);
+            }
+            key = null;
+            chars = [];
+        };
+        const atValueStart = () => chars.every(x => !x.p && /\s/.test(x.c));
+
+        for (let i = 0; i < raw.length; i++) {
+            const ch = raw[i];
+            if (quote) {
+                if (ch === '\\' && i + 1 < raw.length) {
+                    chars.push({ c: raw[++i], p: true });
+                } else if (ch === quote) {
+                    quote = null;
+                } else {
+                    chars.push({ c: ch, p: true });
+                }
+                continue;
+            }
+            if (ch === '\\' && i + 1 < raw.length && '|="\'{}\\'.includes(raw[i + 1])) {
+                chars.push({ c: raw[++i], p: true });
+            } else if (ch === '|') {
+                finishSegment();
+            } else if (ch === '=' && key === null && chars.some(x => !/\s/.test(x.c))) {
+                key = chars.map(x => x.c).join('').trim();
+                chars = [];
+            } else if ((ch === '"' || ch === "'") && atValueStart() && hasClosingQuote(raw, i)) {
+                chars = [];
+                quote = ch;
+            } else {
+                chars.push({ c: ch, p: false });
             }
         }
-        return { main, opts };
+        finishSegment();
+        return { main, opts, flags };
+    }
+
+    /**
+     * Whether the quote at index has an unescaped partner later on (otherwise it is a literal character)
+     */
+    function hasClosingQuote(text, index) {
+        for (let i = index + 1; i < text.length; i++) {
+            if (text[i] === '\\') i++;
+            else if (text[i] === text[index]) return true;
+        }
+        return false;
     }
 
     /**
@@ -397,6 +452,78 @@ import { eventSource, event_types } from "../../../../script.js";
         }
     }
 
+    /**
+     * Which caches a macro scope searches, and in what order.
+     * Collision rule: with scope=both, prefer=char|user decides which cache is searched first.
+     * @param {string} scope - both|char|user|persona
+     * @param {string} prefer - char|user (only when scope=both)
+     * @returns {{wantChar: boolean, personaName: string|null, order: function(Map, Map): Map[]}}
+     */
+    function getAssetCacheScope(scope, prefer) {
+        const tryCharFirst = (scope === 'char') || (scope === 'both' && prefer !== 'user');
+        return {
+            wantChar: scope === 'both' || scope === 'char',
+            personaName: (scope === 'both' || scope === 'user' || scope === 'persona') ? getCurrentPersonaName() : null,
+            order: (charCache, personaCache) => tryCharFirst ? [charCache, personaCache] : [personaCache, charCache],
+        };
+    }
+
+    /**
+     * Already-built character/persona asset caches for a macro scope, in lookup order (never builds; for the sync resolvers)
+     * @param {string} scope - both|char|user|persona
+     * @param {string} prefer - char|user (only when scope=both)
+     * @returns {Map[]|null} - null when no character is selected or a needed cache hasn't been built yet
+     */
+    function getBuiltAssetCaches(scope, prefer) {
+        const context = getContext?.();
+        const character = context?.characters?.[context?.characterId];
+        if (!character) return null;
+
+        const { wantChar, personaName, order } = getAssetCacheScope(scope, prefer);
+        const charCache = wantChar ? characterAssetCaches.get(getCharacterCacheKey(character)) : new Map();
+        if (!charCache) return null;
+        if (personaName && cachedPersonaName !== personaName) return null;
+        return order(charCache, personaName ? personaAssetCache : new Map());
+    }
+
+    /**
+     * Character/persona asset caches for a macro scope, in lookup order, building any that are missing
+     * @param {string} scope - both|char|user|persona
+     * @param {string} prefer - char|user (only when scope=both)
+     * @returns {Promise<Map[]|null>} - null when no character is selected
+     */
+    async function buildOrderedAssetCaches(scope, prefer) {
+        const context = getContext?.();
+        const character = context?.characters?.[context?.characterId];
+        if (!character) return null;
+
+        const { wantChar, personaName, order } = getAssetCacheScope(scope, prefer);
+        const charCache = wantChar ? await buildAssetCache(character, context) : new Map();
+        const personaCache = personaName ? await buildPersonaAssetCache(personaName) : new Map();
+        return order(charCache, personaCache);
+    }
+
+    /**
+     * Looks up an asset name the way {{ia:name}} does: findAssetInCaches() tiers, then the fuzzy match
+     * @param {Map[]} caches - Caches in lookup order
+     * @param {string} assetName - Requested name
+     * @returns {string|null} - URL or base64 source
+     */
+    function findChatAssetUrl(caches, assetName) {
+        return findAssetInCaches(caches, assetName) || findFuzzyAssetMatch(caches, assetName)?.url || null;
+    }
+
+    /**
+     * Last resort for a name missing from the caches: user/images/{character}/ on disk (character scopes only)
+     * @returns {Promise<string|null>}
+     */
+    async function findChatAssetOnDisk(assetName, scope) {
+        if (scope === 'user' || scope === 'persona') return null;
+        const context = getContext?.();
+        const character = context?.characters?.[context?.characterId];
+        return character?.name ? verifyAssetUrl(character.name, assetName) : null;
+    }
+
     /**
      * Resolves a character/persona ("user") asset NAME (not a path) into a usable URL.
      *
@@ -438,92 +565,227 @@ import { eventSource, event_types } from "../../../../script.js";
             }
 
             // Build caches (async; will reuse internal caching in the extension)
-            let charCache = new Map();
-            let personaCache = new Map();
-            const personaName = (typeof getCurrentPersonaName === 'function') ? getCurrentPersonaName() : null;
+            const orderedCaches = await buildOrderedAssetCaches(scope, prefer) || [];
+            const url = findChatAssetUrl(orderedCaches, assetName) || await findChatAssetOnDisk(assetName, scope);
+
+            const value = url ? normalizeUrlForMode(url, mode) : (fallback || `[InlineImageAssets] Missing asset: ${assetName}`);
+            macroResolveCache.set(cacheKey, { ts: now, value });
+            return value;
+        } catch (err) {
+            macroError('resolveChatAssetUrl failed', err);
+            const value = fallback || '[InlineImageAssets] Error resolving chat asset';
+            macroResolveCache.set(cacheKey, { ts: now, value });
+            return value;
+        }
+    }
+
+    /**
+     * Looks up an asset name using the chat-rendering heuristics:
+     * exact -> sanitized -> canonical -> case-insensitive.
+     * Each tier checks every cache (in priority order) before moving to the next tier.
+     * @param {Map[]} caches name -> source maps, highest priority first
+     * @param {string} name requested asset name (may include an extension, e.g. smile.png)
+     * @returns {string|null} URL or base64 source
+     */
+    function findAssetInCaches(caches, name) {
+        const activeCaches = (caches || []).filter(c => c && c.size > 0);
+        if (activeCaches.length === 0) return null;
 
-            if ((scope === 'both' || scope === 'char') && typeof buildAssetCache === 'function') {
-                charCache = await buildAssetCache(character, context);
+        const trimmedName = (name ?? '').toString().trim();
+        if (!trimmedName) return null;
+
+        // Support names that include an extension (e.g. smile.png)
+        let baseNameFromExt = null;
+        const lastDot = trimmedName.lastIndexOf('.');
+        if (lastDot > 0 && lastDot < trimmedName.length - 1) {
+            const maybeExt = trimmedName.substring(lastDot + 1).toLowerCase();
+            if (ASSET_FORMATS.includes(maybeExt)) {
+                baseNameFromExt = trimmedName.substring(0, lastDot);
             }
-            if ((scope === 'both' || scope === 'user' || scope === 'persona') && personaName && typeof buildPersonaAssetCache === 'function') {
-                personaCache = await buildPersonaAssetCache(personaName);
+        }
+        const candidates = baseNameFromExt ? [trimmedName, baseNameFromExt] : [trimmedName];
+
+        const keyTiers = [
+            candidates,
+            candidates.map(c => sanitizeFilename(c)),
+            candidates.map(c => getCanonicalAssetKey(c)),
+        ];
+        for (const keys of keyTiers) {
+            for (const cache of activeCaches) {
+                for (const key of keys) {
+                    const v = cache.get(key);
+                    if (v) return v;
+                }
             }
+        }
 
-            function normalizeUrlForMode(url) {
-                if (!url) return url;
-                if (mode.toLowerCase() === 'rel') return url.replace(/^\//, '');
-                return url;
+        // Case-insensitive, then separator-insensitive (smile-2 -> smile_2), via the precomputed index
+        const lower = trimmedName.toLowerCase();
+        for (const cache of activeCaches) {
+            const index = getAssetIndex(cache);
+            if (index) {
+                const v = index.lowerKeys.get(lower);
+                if (v) return v;
+                continue;
+            }
+            for (const [k, v] of cache.entries()) {
+                if ((k || '').toString().toLowerCase() === lower) return v;
             }
+        }
+        const normalized = normalizeAssetNameForMatch(baseNameFromExt || trimmedName);
+        for (const cache of activeCaches) {
+            const v = getAssetIndex(cache)?.normalizedKeys.get(normalized);
+            if (v) return v;
+        }
 
-            // Helper: resolve a name from a cache using the same heuristics as chat rendering.
-            function findInCache(cache, name) {
-                if (!cache || cache.size === 0) return null;
+        return null;
+    }
 
-                const trimmedName = name.trim();
+    // === FUZZY NAME MATCHING ===
+    // Models often misspell asset names ("smilling"), swap separators ("smile-2" for "smile_2")
+    // or mix Korean/English. Names are scored by edit distance and token overlap; the best match
+    // above the configured threshold is used as an auto-correction.
+    const loggedFuzzyCorrections = new Set();
 
-                // Support name.ext in macro input (e.g. smile.png)
-                let baseNameFromExt = null;
-                if (trimmedName.includes('.')) {
-                    const lastDot = trimmedName.lastIndexOf('.');
-                    if (lastDot > 0 && lastDot < trimmedName.length - 1) {
-                        const maybeExt = trimmedName.substring(lastDot + 1).toLowerCase();
-                        if (Array.isArray(SUPPORTED_FORMATS) && SUPPORTED_FORMATS.includes(maybeExt)) {
-                            baseNameFromExt = trimmedName.substring(0, lastDot);
-                        }
-                    }
-                }
+    /**
+     * Lowercases and unifies separators: "Smile-2" / "smile 2" / "smile.2" -> "smile_2"
+     */
+    function normalizeAssetNameForMatch(name) {
+        return (name ?? '').toString().normalize('NFKC').toLowerCase()
+            .replace(/[\s_\-.]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * Splits a normalized name into tokens at separators and script/digit boundaries:
+     * "smile2" -> ["smile", "2"], "웃음smile" -> ["웃음", "smile"]
+     */
+    function tokenizeAssetName(normalized) {
+        return normalized.match(/\p{Script=Latin}+|\p{N}+|\p{Script=Hangul}+|\p{L}+/gu) || [];
+    }
 
-                const candidates = baseNameFromExt ? [trimmedName, baseNameFromExt] : [trimmedName];
+    /**
+     * Edit distance between two strings (insert/delete/substitute = 1)
+     */
+    function levenshteinDistance(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+        let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const curr = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+            }
+            prev = curr;
+        }
+        return prev[b.length];
+    }
 
-                // Exact match
-                for (const candidate of candidates) {
-                    const v = cache.get(candidate);
-                    if (v) return v;
-                }
+    function getEditSimilarity(a, b) {
+        const maxLength = Math.max(a.length, b.length);
+        return maxLength === 0 ? 1 : 1 - (levenshteinDistance(a, b) / maxLength);
+    }
 
-                // Sanitized + canonical
-                for (const candidate of candidates) {
-                    const sanitized = (typeof sanitizeFilename === 'function') ? sanitizeFilename(candidate) : candidate;
-                    const v1 = cache.get(sanitized);
-                    if (v1) return v1;
-                    const canonical = (typeof getCanonicalAssetKey === 'function') ? getCanonicalAssetKey(candidate) : candidate;
-                    const v2 = cache.get(canonical);
-                    if (v2) return v2;
+    /**
+     * Scores how well a requested name matches a known name (0..1).
+     * - whole-string edit similarity ("smilling" vs "smiling")
+     * - soft token overlap, order-independent ("big_smile" vs "smile_big")
+     * - differing numbers are penalized so "smile_2" never silently becomes "smile_3"
+     * @param {string} queryNormalized - normalizeAssetNameForMatch() of the request
+     * @param {string[]} queryTokens - tokenizeAssetName() of the request
+     * @param {{normalized: string, tokens: string[]}} entry - Precomputed candidate
+     * @returns {number}
+     */
+    function scoreAssetNameMatch(queryNormalized, queryTokens, entry) {
+        if (queryNormalized === entry.normalized) return 1;
+
+        const editScore = getEditSimilarity(queryNormalized, entry.normalized);
+
+        let matchedTokens = 0;
+        const remaining = [...entry.tokens];
+        for (const token of queryTokens) {
+            let bestIndex = -1;
+            let bestScore = 0;
+            remaining.forEach((candidate, i) => {
+                const score = getEditSimilarity(token, candidate);
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestIndex = i;
                 }
+            });
+            if (bestIndex >= 0 && bestScore >= 0.75) {
+                matchedTokens += bestScore;
+                remaining.splice(bestIndex, 1);
+            }
+        }
+        const totalTokens = queryTokens.length + entry.tokens.length;
+        const tokenScore = totalTokens > 0 ? (2 * matchedTokens) / totalTokens : 0;
 
-                // Case-insensitive
-                const lower = trimmedName.toLowerCase();
-                for (const [k, v] of cache.entries()) {
-                    if ((k || '').toString().toLowerCase() === lower) return v;
-                }
+        let score = Math.max(editScore, tokenScore * 0.95);
 
-                return null;
-            }
+        const queryNumbers = queryTokens.filter(t => /^\p{N}+$/u.test(t)).join(',');
+        const entryNumbers = entry.tokens.filter(t => /^\p{N}+$/u.test(t)).join(',');
+        if (queryNumbers && entryNumbers && queryNumbers !== entryNumbers) {
+            score *= 0.6;
+        }
+        return score;
+    }
 
-            // Collision rule: if both scopes are allowed, choose preferred first.
-            const tryCharFirst = (scope === 'char') || (scope === 'both' && prefer !== 'user');
-            let url = null;
+    /**
+     * Ranks the assets of the given caches by similarity to a requested name.
+     * @param {Map[]} caches - Asset caches (with indexes), highest priority first
+     * @param {string} name - Requested name
+     * @param {number} limit - Max results
+     * @param {string|string[]|null} kind - Only rank assets of these kinds (see getAssetKind), or all
+     * @returns {Array<{name: string, matchedName: string, url: string, score: number}>} - Best first, one per asset
+     */
+    function rankAssetNameMatches(caches, name, limit = 5, kind = null) {
+        const queryNormalized = normalizeAssetNameForMatch(name);
+        if (!queryNormalized) return [];
+        const queryTokens = tokenizeAssetName(queryNormalized);
 
-            if (tryCharFirst) {
-                url = findInCache(charCache, assetName) || findInCache(personaCache, assetName);
-            } else {
-                url = findInCache(personaCache, assetName) || findInCache(charCache, assetName);
+        const bestByUrl = new Map();
+        for (const cache of caches || []) {
+            const index = getAssetIndex(cache);
+            if (!index) continue;
+            for (const entry of index.fuzzyEntries) {
+                if (!matchesAssetKind(entry.url, kind)) continue;
+                const score = scoreAssetNameMatch(queryNormalized, queryTokens, entry);
+                const existing = bestByUrl.get(entry.url);
+                // Strictly greater: earlier (higher priority) caches win ties
+                if (!existing || score > existing.score) {
+                    bestByUrl.set(entry.url, { name: entry.name, matchedName: entry.matchedName, url: entry.url, score });
+                }
             }
+        }
 
-            // Last resort: direct URL guess (character only)
-            if (!url && character?.name && scope !== 'user' && scope !== 'persona') {
-                url = `/user/images/${character.name}/${assetName}.png`;
-            }
+        return Array.from(bestByUrl.values())
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+            .slice(0, limit);
+    }
 
-            const value = url ? normalizeUrlForMode(url) : (fallback || `[InlineImageAssets] Missing asset: ${assetName}`);
-            macroResolveCache.set(cacheKey, { ts: now, value });
-            return value;
-        } catch (err) {
-            macroError('resolveChatAssetUrl failed', err);
-            const value = fallback || '[InlineImageAssets] Error resolving chat asset';
-            macroResolveCache.set(cacheKey, { ts: now, value });
-            return value;
+    /**
+     * Auto-corrects a near-miss name to the best match above the configured threshold.
+     * @param {Map[]} caches - Asset caches (with indexes), highest priority first
+     * @param {string} name - Requested name
+     * @param {string|string[]|null} kind - Only match assets of these kinds (see getAssetKind), or all
+     * @returns {{name: string, url: string, score: number}|null}
+     */
+    function findFuzzyAssetMatch(caches, name, kind = null) {
+        const settings = getExtensionSettings();
+        if (!settings.fuzzyMatching) return null;
+
+        const [best] = rankAssetNameMatches(caches, name, 1, kind);
+        if (!best || best.score < settings.fuzzyThreshold) return null;
+
+        const correctionKey = `${name}->${best.name}`;
+        if (!loggedFuzzyCorrections.has(correctionKey)) {
+            loggedFuzzyCorrections.add(correctionKey);
+            console.info(`[InlineImageAssets] Auto-corrected asset name "${name}" -> "${best.name}" (score ${best.score.toFixed(2)})`);
         }
+        return best;
     }
 
     function pickRandomIndex(length, seed = '') {
@@ -545,6 +807,53 @@ import { eventSource, event_types } from "../../../../script.js";
         return Math.abs(h) % length;
     }
 
+    /**
+     * Picks an index with probability proportional to its weight (seeded picks are deterministic).
+     * Equal weights go through pickRandomIndex() so existing seeds keep their results.
+     * @param {number[]} weights - Weights >= 0 (0 = never picked)
+     * @param {string} seed - Deterministic seed, or "" for a fresh pick
+     * @returns {number} - -1 when nothing can be picked
+     */
+    function pickWeightedIndex(weights, seed = '') {
+        if (weights.length === 0) return -1;
+        if (weights.every(w => w === weights[0])) {
+            return weights[0] > 0 ? pickRandomIndex(weights.length, seed) : -1;
+        }
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        if (!(total > 0)) return -1;
+
+        let fraction;
+        if (!seed && globalThis.crypto?.getRandomValues) {
+            const buf = new Uint32Array(1);
+            globalThis.crypto.getRandomValues(buf);
+            fraction = buf[0] / 4294967296;
+        } else if (!seed) {
+            fraction = Math.random();
+        } else {
+            // FNV-1a plus a final mix, so nearby seeds ("41", "42") land far apart
+            const s = seed.toString();
+            let h = 2166136261;
+            for (let i = 0; i < s.length; i++) {
+                h ^= s.charCodeAt(i);
+                h = Math.imul(h, 16777619);
+            }
+            h ^= h >>> 16;
+            h = Math.imul(h, 0x85ebca6b);
+            h ^= h >>> 13;
+            h = Math.imul(h, 0xc2b2ae35);
+            h ^= h >>> 16;
+            fraction = (h >>> 0) / 4294967296;
+        }
+
+        let r = fraction * total;
+        for (let i = 0; i < weights.length; i++) {
+            if (!(weights[i] > 0)) continue;
+            r -= weights[i];
+            if (r < 0) return i;
+        }
+        return weights.findLastIndex(w => w > 0);
+    }
+
     function escapeHtmlAttr(value) {
         return (value ?? '').toString()
             .replace(/&/g, '&amp;')
@@ -553,6 +862,135 @@ import { eventSource, event_types } from "../../../../script.js";
             .replace(/>/g, '&gt;');
     }
 
+    // Whitelisted per-use display options, shared by %%img:...%% chat tags and {{ia:imgTag:...}}.
+    // Unknown keys are ignored so a tag can't inject arbitrary attributes.
+    const IMAGE_DISPLAY_OPTION_KEYS = {
+        w: 'width',
+        width: 'width',
+        h: 'height',
+        height: 'height',
+        align: 'align',
+        float: 'float',
+        caption: 'caption',
+        cap: 'caption',
+        link: 'link',
+        href: 'link',
+        alt: 'alt',
+        title: 'title',
+    };
+    const IMAGE_DISPLAY_ALIGNS = new Set(['left', 'center', 'right']);
+
+    function normalizeCssSize(value) {
+        const m = (value ?? '').toString().trim().toLowerCase().match(/^(\d{1,4}(?:\.\d+)?)(px|%|em|rem|vw|vh)?$/);
+        if (!m) return '';
+        return `${m[1]}${m[2] || 'px'}`;
+    }
+
+    function normalizeDisplayLink(value) {
+        const v = (value ?? '').toString().trim();
+        // Only http(s) and same-origin absolute paths; blocks javascript: and friends.
+        if (/^https?:\/\//i.test(v) || /^\/(?!\/)/.test(v)) return v;
+        return '';
+    }
+
+    /**
+     * Picks the whitelisted display options out of parsePipeOptions() output.
+     * Example: "smile|w=240|align=right|caption=She grins|float"
+     * @param {Object} opts key=value options
+     * @param {string[]} flags bare flags ("float", "left", "center", "right")
+     * @returns {{width: string, height: string, align: string, float: boolean, caption: string, link: string, alt: string, title: string}}
+     */
+    function parseImageDisplayOptions(opts = {}, flags = []) {
+        const display = { width: '', height: '', align: '', float: false, caption: '', link: '', alt: '', title: '' };
+
+        for (const [rawKey, rawValue] of Object.entries(opts || {})) {
+            const key = IMAGE_DISPLAY_OPTION_KEYS[rawKey.toLowerCase()];
+            const value = (rawValue ?? '').toString().trim();
+            switch (key) {
+                case 'width':
+                case 'height':
+                    display[key] = normalizeCssSize(value);
+                    break;
+                case 'align':
+                    if (IMAGE_DISPLAY_ALIGNS.has(value.toLowerCase())) display.align = value.toLowerCase();
+                    break;
+                case 'float':
+                    display.float = !['0', 'false', 'no', 'off'].includes(value.toLowerCase());
+                    break;
+                case 'link':
+                    display.link = normalizeDisplayLink(value);
+                    break;
+                case 'caption':
+                case 'alt':
+                case 'title':
+                    display[key] = value;
+                    break;
+            }
+        }
+
+        for (const rawFlag of flags || []) {
+            const flag = (rawFlag ?? '').toString().trim().toLowerCase();
+            if (flag === 'float') display.float = true;
+            else if (IMAGE_DISPLAY_ALIGNS.has(flag)) display.align = flag;
+        }
+
+        // Floating only makes sense to one side; default to the right.
+        if (display.float && display.align !== 'left') display.align = 'right';
+        return display;
+    }
+
+    /**
+     * Builds the HTML for an inline asset image.
+     * Returns a plain <img> unless caption/alignment/float/link are set, in which case
+     * the image is wrapped in a <figure> with alignment classes.
+     * @param {string} src image URL or data URI
+     * @param {Object} options
+     * @param {string} [options.name] asset name (default alt text)
+     * @param {Object} [options.display] result of parseImageDisplayOptions()
+     * @param {string} [options.className] class for the <img>
+     * @param {string} [options.loading] loading attribute
+     * @param {string[]} [options.extraAttrs] already-escaped extra <img> attributes
+     * @returns {string}
+     */
+    function buildInlineAssetImageHtml(src, { name = '', display = {}, className = 'inline-asset-image', loading = 'lazy', extraAttrs = [] } = {}) {
+        const classes = className ? [className] : [];
+        const styles = [];
+        if (display.width) styles.push(`width:${display.width}`);
+        if (display.height) styles.push(`height:${display.height}`);
+        if (styles.length > 0) classes.push('inline-asset-sized');
+
+        // Video loops play muted and only while on screen (see observeInlineVideos)
+        const isVideo = getAssetKind(src) === 'video';
+        if (isVideo) classes.push('inline-asset-video');
+
+        const alt = display.alt || name;
+        const attrs = [`src="${escapeHtmlAttr(src)}"`];
+        if (alt) attrs.push(`${isVideo ? 'aria-label' : 'alt'}="${escapeHtmlAttr(alt)}"`);
+        if (display.title) attrs.push(`title="${escapeHtmlAttr(display.title)}"`);
+        if (classes.length > 0) attrs.push(`class="${escapeHtmlAttr(classes.join(' '))}"`);
+        if (styles.length > 0) attrs.push(`style="${styles.join(';')}"`);
+        if (isVideo) {
+            attrs.push('muted', 'loop', 'playsinline', 'preload="none"');
+        } else if (loading) {
+            attrs.push(`loading="${escapeHtmlAttr(loading)}"`);
+        }
+        attrs.push(...extraAttrs);
+        attrs.push(`onerror="this.style.display='none'"`);
+
+        let html = isVideo ? `<video ${attrs.join(' ')}></video>` : `<img ${attrs.join(' ')}>`;
+        if (display.link) {
+            html = `<a href="${escapeHtmlAttr(display.link)}" target="_blank" rel="noopener noreferrer">${html}</a>`;
+        }
+        if (!display.caption && !display.align && !display.float && !display.link) {
+            return html;
+        }
+
+        const figureClasses = ['inline-asset-figure', `inline-asset-align-${display.align || 'center'}`];
+        if (display.float) figureClasses.push('inline-asset-float');
+        const caption = display.caption ? `<figcaption>${escapeHtmlAttr(display.caption)}</figcaption>` : '';
+        return `<figure class="${figureClasses.join(' ')}">${html}${caption}</figure>`;
+    }
+
     function normalizeUrlForMode(url, mode) {
         if (!url) return url;
         if ((mode ?? '').toString().toLowerCase() === 'rel') return url.replace(/^\//, '');
@@ -575,19 +1013,32 @@ import { eventSource, event_types } from "../../../../script.js";
         return false;
     }
 
+    /**
+     * Collects the assets of one cache whose name matches a prefix.
+     * This is the single prefix matcher behind rand/randAll, listAssetVariants() and galleries.
+     * @param {Map} cache - name -> source map
+     * @param {Object} [options]
+     * @param {string} [options.prefix] - Name prefix ("" matches everything, see shouldUseRawPrefixMatch)
+     * @param {string|string[]|null} [options.kind] - Only assets of these kinds (see getAssetKind), or any
+     * @param {Set<string>} [options.seen] - Sources already collected from higher-priority caches; skipped and extended
+     * @returns {{name: string, url: string}[]} - In cache order; the first name seen for a source wins
+     */
     function collectCandidateUrlsFromCache(cache, {
-        mode = 'abs',
-        prefixLower = '',
-        rawStartsWith = false,
-        delimsLower = ['_', '-', '.'],
+        prefix = '',
+        kind = null,
+        seen = new Set(),
     } = {}) {
-        const urlsSet = new Set();
-        if (!cache || cache.size === 0) return urlsSet;
+        const items = [];
+        if (!cache || cache.size === 0) return items;
+
+        const prefixLower = (prefix ?? '').toString().toLowerCase();
+        const rawStartsWith = shouldUseRawPrefixMatch(prefix);
+        const delimsLower = ['_', '-', '.'];
 
         for (const [k, v] of cache.entries()) {
             const key = (k ?? '').toString();
             if (!key) continue;
-            if (typeof v !== 'string' || !v) continue;
+            if (typeof v !== 'string' || !v || seen.has(v)) continue;
 
             if (prefixLower) {
                 const keyLower = key.toLowerCase();
@@ -596,11 +1047,179 @@ import { eventSource, event_types } from "../../../../script.js";
                     : isPrefixTokenMatch(keyLower, prefixLower, delimsLower);
                 if (!ok) continue;
             }
+            if (!matchesAssetKind(v, kind)) continue;
+
+            seen.add(v);
+            items.push({ name: key, url: v });
+        }
+
+        return items;
+    }
+
+    // Random-pick weights of rarity tags; an asset's own "weight" field wins over these
+    const RARITY_TAG_WEIGHTS = new Map([
+        ['common', 1],
+        ['uncommon', 0.5],
+        ['rare', 0.25],
+        ['epic', 0.1],
+        ['legendary', 0.05],
+    ]);
+
+    /**
+     * Parses an inline weights= option: "card_00_fool:5,card_13_death:0.5,#rare:0.1"
+     * @param {string} text - Option value
+     * @returns {Map<string, number>} lowercase asset name (or "#tag") -> weight
+     */
+    function parseWeightOverrides(text) {
+        const overrides = new Map();
+        for (const entry of (text ?? '').toString().split(',')) {
+            const colon = entry.lastIndexOf(':');
+            if (colon <= 0) continue;
+            const name = entry.slice(0, colon).trim().toLowerCase();
+            const weight = parseAssetWeight(entry.slice(colon + 1).trim());
+            if (name && weight !== null) overrides.set(name, weight);
+        }
+        return overrides;
+    }
+
+    /**
+     * Random-pick weight of an asset: inline override (name, alias or #tag) > "weight" field > rarity tag > 1
+     * @param {Object|null} record - Asset index record (see toAssetIndexRecord)
+     * @param {Map<string, number>|null} overrides - From parseWeightOverrides()
+     * @returns {number}
+     */
+    function getAssetRandomWeight(record, overrides = null) {
+        if (!record) return 1;
+        if (overrides?.size) {
+            for (const name of [record.name, ...record.aliases]) {
+                const weight = overrides.get(name.toLowerCase());
+                if (weight !== undefined) return weight;
+            }
+            for (const tag of record.tags) {
+                const weight = overrides.get(`#${tag.toLowerCase()}`);
+                if (weight !== undefined) return weight;
+            }
+        }
+        if (record.weight !== null && record.weight !== undefined) return record.weight;
+
+        // Several rarity tags: the rarest wins
+        let weight = null;
+        for (const tag of record.tags) {
+            const tagWeight = RARITY_TAG_WEIGHTS.get(tag.toLowerCase());
+            if (tagWeight !== undefined && (weight === null || tagWeight < weight)) weight = tagWeight;
+        }
+        return weight ?? 1;
+    }
+
+    /**
+     * Random-pick candidates for rand/randAll: matching sources (normalized for mode) and their index records
+     * @param {Map[]} caches - Asset caches, highest priority first
+     * @param {string} prefix - Name prefix ("" for randAll)
+     * @param {string} mode - "abs" or "rel"
+     * @returns {{urls: string[], records: Array<Object|null>}} - records is parallel to urls
+     */
+    function listRandomCandidates(caches, prefix, mode) {
+        const items = listAssetVariants(caches, prefix);
+        return {
+            urls: items.map(item => normalizeUrlForMode(item.url, mode)),
+            records: items.map(item => findAssetRecordByUrl(caches, item.url)),
+        };
+    }
+
+    /**
+     * Weighted pick among candidate URLs
+     * @returns {string|null} - null when every candidate weighs 0
+     */
+    function pickWeightedUrl(urls, records, overrides, seed) {
+        const index = pickWeightedIndex(records.map(record => getAssetRandomWeight(record, overrides)), seed);
+        return index < 0 ? null : urls[index];
+    }
+
+    /**
+     * Returns the prefix of a random-variant name, or null if the name is not one.
+     * "smile_*" -> "smile_", "smile?" -> "smile"
+     */
+    function getRandomVariantPrefix(name) {
+        const m = (name ?? '').toString().trim().match(/^(.*?)[*?]$/);
+        return m ? m[1].trim() : null;
+    }
+
+    /**
+     * Picks one asset whose name matches a prefix, using the same prefix rules (and weights) as {{ia:rand:...}}.
+     * @param {Map[]} caches name -> source maps, highest priority first
+     * @param {string} prefix name prefix ("" matches everything)
+     * @param {string} seed deterministic seed (same seed -> same pick)
+     * @param {string|string[]|null} kind only pick assets of these kinds (see getAssetKind), or any
+     * @returns {string|null}
+     */
+    function pickAssetVariant(caches, prefix, seed, kind = null) {
+        const urls = listAssetVariants(caches, prefix, kind).map(item => item.url);
+        return pickWeightedUrl(urls, urls.map(url => findAssetRecordByUrl(caches, url)), null, seed);
+    }
 
-            urlsSet.add(normalizeUrlForMode(v, mode));
+    /**
+     * Lists every asset whose name matches a prefix (same rules as pickAssetVariant), one entry per source.
+     * @param {Map[]} caches name -> source maps, highest priority first
+     * @param {string} prefix name prefix ("" matches everything)
+     * @param {string|string[]|null} kind only list assets of these kinds (see getAssetKind), or any
+     * @returns {{name: string, url: string}[]} in cache order; the first name seen for a source wins
+     */
+    function listAssetVariants(caches, prefix, kind = null) {
+        const seen = new Set();
+        const items = [];
+        for (const cache of caches || []) {
+            items.push(...collectCandidateUrlsFromCache(cache, { prefix, kind, seen }));
         }
+        return items;
+    }
+
+    /**
+     * Parses a tag query name: "#angry" -> ["angry"], "#angry+outdoor" -> ["angry", "outdoor"]
+     * @returns {string[]|null} lowercase tags, or null if the name is not a tag query
+     */
+    function parseTagQuery(name) {
+        const raw = (name ?? '').toString().trim();
+        if (!raw.startsWith('#')) return null;
+        const tags = raw.split('+')
+            .map(t => t.trim().replace(/^#/, '').trim().toLowerCase())
+            .filter(Boolean);
+        return tags.length > 0 ? tags : null;
+    }
+
+    /**
+     * Picks one asset carrying ALL of the given tags (weighted like {{ia:rand:...}}).
+     * @param {Map[]} caches asset caches (with indexes), highest priority first
+     * @param {string[]} tags lowercase tags
+     * @param {string} seed deterministic seed (same seed -> same pick)
+     * @param {string|string[]|null} kind only pick assets of these kinds (see getAssetKind), or any
+     * @returns {string|null}
+     */
+    function pickAssetByTags(caches, tags, seed, kind = null) {
+        const urls = listAssetsByTags(caches, tags, kind).map(item => item.url);
+        return pickWeightedUrl(urls, urls.map(url => findAssetRecordByUrl(caches, url)), null, seed);
+    }
 
-        return urlsSet;
+    /**
+     * Lists every asset carrying ALL of the given tags, one entry per source.
+     * @param {Map[]} caches asset caches (with indexes), highest priority first
+     * @param {string[]} tags lowercase tags
+     * @param {string|string[]|null} kind only list assets of these kinds (see getAssetKind), or any
+     * @returns {{name: string, url: string}[]}
+     */
+    function listAssetsByTags(caches, tags, kind = null) {
+        const items = new Map();
+        for (const cache of caches || []) {
+            const index = getAssetIndex(cache);
+            if (!index) continue;
+            const [first, ...rest] = tags;
+            for (const record of index.byTag.get(first) || []) {
+                if (items.has(record.url) || !matchesAssetKind(record.url, kind)) continue;
+                if (rest.every(t => (index.byTag.get(t) || []).includes(record))) {
+                    items.set(record.url, { name: record.name, url: record.url });
+                }
+            }
+        }
+        return Array.from(items.values());
     }
 
     /**
@@ -609,6 +1228,7 @@ import { eventSource, event_types } from "../../../../script.js";
      * Examples:
      * - {{ia:rand:card_|scope=char}}
      * - {{ia:rand:card_|scope=both|prefer=char|seed={{lastMessageId}}}}
+     * - {{ia:rand:card_|weights=card_00_fool:5,card_13_death:0.5}} (see getAssetRandomWeight)
      * - {{rand:card_|scope=char}} (alias)
      */
     async function resolveChatAssetRandom(prefixParam) {
@@ -620,6 +1240,7 @@ import { eventSource, event_types } from "../../../../script.js";
         const mode = (opts.mode || 'abs').toString();
         const fallback = (opts.fallback || '').toString();
         const seed = (opts.seed || '').toString();
+        const overrides = parseWeightOverrides(opts.weights);
 
         if (!prefix) {
             return fallback || '[InlineImageAssets] Missing prefix for rand';
@@ -629,51 +1250,22 @@ import { eventSource, event_types } from "../../../../script.js";
         const candidatesKey = `rand::${scope}::${prefer}::${mode}::${prefix}`;
         const cached = macroRandomCandidatesCache.get(candidatesKey);
         if (cached && (now - cached.ts) < RANDOM_CANDIDATES_TTL_MS) {
-            const urls = cached.urls;
-            if (!urls || urls.length === 0) return fallback || `[InlineImageAssets] No assets match prefix: ${prefix}`;
-            return urls[pickRandomIndex(urls.length, seed)];
+            const url = pickWeightedUrl(cached.urls, cached.records, overrides, seed);
+            return url ?? (fallback || `[InlineImageAssets] No assets match prefix: ${prefix}`);
         }
 
         try {
-            const context = getContext?.();
-            const character = context?.characters?.[context?.characterId];
-            if (!character) {
+            const caches = await buildOrderedAssetCaches(scope, prefer);
+            if (!caches) {
                 return fallback || '[InlineImageAssets] No character selected';
             }
 
-            let charCache = new Map();
-            let personaCache = new Map();
-            const personaName = (typeof getCurrentPersonaName === 'function') ? getCurrentPersonaName() : null;
-
-            if ((scope === 'both' || scope === 'char') && typeof buildAssetCache === 'function') {
-                charCache = await buildAssetCache(character, context);
-            }
-            if ((scope === 'both' || scope === 'user' || scope === 'persona') && personaName && typeof buildPersonaAssetCache === 'function') {
-                personaCache = await buildPersonaAssetCache(personaName);
-            }
-
-            const prefixLower = prefix.toLowerCase();
-            const rawStartsWith = shouldUseRawPrefixMatch(prefix);
-            const delimsLower = ['_', '-', '.'];
-            const urlsSet = new Set();
-
-            const tryCharFirst = (scope === 'char') || (scope === 'both' && prefer !== 'user');
-            if (tryCharFirst) {
-                for (const u of collectCandidateUrlsFromCache(charCache, { mode, prefixLower, rawStartsWith, delimsLower })) urlsSet.add(u);
-                for (const u of collectCandidateUrlsFromCache(personaCache, { mode, prefixLower, rawStartsWith, delimsLower })) urlsSet.add(u);
-            } else {
-                for (const u of collectCandidateUrlsFromCache(personaCache, { mode, prefixLower, rawStartsWith, delimsLower })) urlsSet.add(u);
-                for (const u of collectCandidateUrlsFromCache(charCache, { mode, prefixLower, rawStartsWith, delimsLower })) urlsSet.add(u);
-            }
-
-            const normalizedUrls = Array.from(urlsSet);
+            const { urls, records } = listRandomCandidates(caches, prefix, mode);
 
-            macroRandomCandidatesCache.set(candidatesKey, { ts: now, urls: normalizedUrls });
+            macroRandomCandidatesCache.set(candidatesKey, { ts: now, urls, records });
 
-            if (normalizedUrls.length === 0) {
-                return fallback || `[InlineImageAssets] No assets match prefix: ${prefix}`;
-            }
-            return normalizedUrls[pickRandomIndex(normalizedUrls.length, seed)];
+            const url = pickWeightedUrl(urls, records, overrides, seed);
+            return url ?? (fallback || `[InlineImageAssets] No assets match prefix: ${prefix}`);
         } catch (err) {
             macroError('resolveChatAssetRandom failed', err);
             return fallback || '[InlineImageAssets] Error resolving rand asset';
@@ -697,95 +1289,464 @@ import { eventSource, event_types } from "../../../../script.js";
         const mode = (opts.mode || 'abs').toString();
         const fallback = (opts.fallback || '').toString();
         const seed = (opts.seed || '').toString();
+        const overrides = parseWeightOverrides(opts.weights);
 
         const now = Date.now();
         const candidatesKey = `randAll::${scope}::${prefer}::${mode}`;
         const cached = macroRandomCandidatesCache.get(candidatesKey);
         if (cached && (now - cached.ts) < RANDOM_CANDIDATES_TTL_MS) {
-            const urls = cached.urls;
-            if (!urls || urls.length === 0) return fallback || '[InlineImageAssets] No assets available for randAll';
-            return urls[pickRandomIndex(urls.length, seed)];
+            const url = pickWeightedUrl(cached.urls, cached.records, overrides, seed);
+            return url ?? (fallback || '[InlineImageAssets] No assets available for randAll');
         }
 
         try {
-            const context = getContext?.();
-            const character = context?.characters?.[context?.characterId];
-            if (!character) return fallback || '[InlineImageAssets] No character selected';
+            const caches = await buildOrderedAssetCaches(scope, prefer);
+            if (!caches) return fallback || '[InlineImageAssets] No character selected';
 
-            let charCache = new Map();
-            let personaCache = new Map();
-            const personaName = (typeof getCurrentPersonaName === 'function') ? getCurrentPersonaName() : null;
+            const { urls, records } = listRandomCandidates(caches, '', mode);
+            macroRandomCandidatesCache.set(candidatesKey, { ts: now, urls, records });
 
-            if ((scope === 'both' || scope === 'char') && typeof buildAssetCache === 'function') {
-                charCache = await buildAssetCache(character, context);
-            }
-            if ((scope === 'both' || scope === 'user' || scope === 'persona') && personaName && typeof buildPersonaAssetCache === 'function') {
-                personaCache = await buildPersonaAssetCache(personaName);
-            }
-
-            const urlsSet = new Set();
-            const tryCharFirst = (scope === 'char') || (scope === 'both' && prefer !== 'user');
-            if (tryCharFirst) {
-                for (const u of collectCandidateUrlsFromCache(charCache, { mode })) urlsSet.add(u);
-                for (const u of collectCandidateUrlsFromCache(personaCache, { mode })) urlsSet.add(u);
-            } else {
-                for (const u of collectCandidateUrlsFromCache(personaCache, { mode })) urlsSet.add(u);
-                for (const u of collectCandidateUrlsFromCache(charCache, { mode })) urlsSet.add(u);
-            }
-
-            const urls = Array.from(urlsSet);
-            macroRandomCandidatesCache.set(candidatesKey, { ts: now, urls });
-
-            if (urls.length === 0) return fallback || '[InlineImageAssets] No assets available for randAll';
-            return urls[pickRandomIndex(urls.length, seed)];
+            const url = pickWeightedUrl(urls, records, overrides, seed);
+            return url ?? (fallback || '[InlineImageAssets] No assets available for randAll');
         } catch (err) {
             macroError('resolveChatAssetRandomAll failed', err);
             return fallback || '[InlineImageAssets] Error resolving randAll asset';
         }
     }
 
-    async function resolveDesignImgTag(param) {
-        const { main, opts } = parsePipeOptions(param);
-        const scope = (opts.scope || 'both').toString().toLowerCase();
-        const cls = (opts.class || opts.cls || '').toString();
-        const alt = (opts.alt || '').toString();
-        const loading = (opts.loading || 'lazy').toString();
-        const decoding = (opts.decoding || '').toString();
-        const referrerpolicy = (opts.referrerpolicy || '').toString();
-        const fallback = (opts.fallback || '').toString();
+    // Library macros: logic for HTML status panels instead of URLs.
+    // - {{ia:exists:smile}} -> "true" / "false"
+    // - {{ia:if:smile|then=<img src="$url">|else=(no picture)}} ($url / $name in the chosen branch)
+    // - {{ia:count:outfit_}} / {{ia:count:#angry}} -> number of matching assets
+    // - {{ia:names:outfit_|sep=\n|limit=10}} -> matching names, natural order
+    // - {{ia:tags:smile}} -> the asset's tags; {{ia:tags:}} -> every tag in the library
+    // Prefixes follow {{ia:rand:...}}; "#tag+tag" matches like %%img:#tag%%. Scope options as resolveChatAssetUrl.
+    // exists/if/tags look their name up exactly like {{ia:name}} (fuzzy match and disk check included).
+    const NAME_LIBRARY_OPS = new Set(['exists', 'if', 'tags']);
 
-        const url = await resolveChatAssetUrl(main, { scope });
-        // If resolveChatAssetUrl returned an error string, respect fallback.
-        if (url && url.startsWith('[InlineImageAssets]')) {
-            return fallback || url;
-        }
+    /**
+     * Assets matching a library query: "#tag+tag", a prefix ("outfit_", "outfit_*") or "" for all
+     * @returns {{name: string, url: string}[]}
+     */
+    function listLibraryAssets(caches, query) {
+        const tagQuery = parseTagQuery(query);
+        if (tagQuery) return listAssetsByTags(caches, tagQuery);
+        return listAssetVariants(caches, getRandomVariantPrefix(query) ?? query);
+    }
 
-        const attrs = [];
-        attrs.push(`src="${escapeHtmlAttr(url)}"`);
-        if (alt) attrs.push(`alt="${escapeHtmlAttr(alt)}"`);
-        if (cls) attrs.push(`class="${escapeHtmlAttr(cls)}"`);
-        if (loading) attrs.push(`loading="${escapeHtmlAttr(loading)}"`);
-        if (decoding) attrs.push(`decoding="${escapeHtmlAttr(decoding)}"`);
-        if (referrerpolicy) attrs.push(`referrerpolicy="${escapeHtmlAttr(referrerpolicy)}"`);
-        attrs.push(`onerror="this.style.display='none'"`);
-        return `<img ${attrs.join(' ')}>`;
+    function decodeMacroSeparator(value, fallback = ', ') {
+        if (value === undefined) return fallback;
+        return value.toString().replace(/\\n/g, '\n').replace(/\\t/g, '\t');
     }
 
-    async function resolveDesignBgUrl(param) {
+    /**
+     * Evaluates a library macro against already-built caches
+     * @param {string} op - exists | if | count | names | tags
+     * @param {string} param - Macro parameter (query + pipe options)
+     * @param {Map[]} caches - Caches in lookup order
+     * @param {string|null} [diskUrl] - findChatAssetOnDisk() result for a name missing from the caches
+     * @returns {string}
+     */
+    function evaluateLibraryMacro(op, param, caches, diskUrl = null) {
         const { main, opts } = parsePipeOptions(param);
-        const scope = (opts.scope || 'both').toString().toLowerCase();
+        const query = (main || '').toString().trim();
         const fallback = (opts.fallback || '').toString();
-        const url = await resolveChatAssetUrl(main, { scope });
-        if (url && url.startsWith('[InlineImageAssets]')) return fallback || url;
-        // Quote with double-quotes to be safe in CSS.
-        return `url("${escapeHtmlAttr(url)}")`;
+        const sep = decodeMacroSeparator(opts.sep);
+        const findNamed = () => (query && (findChatAssetUrl(caches, query) || diskUrl)) || null;
+
+        switch (op) {
+            case 'exists':
+                return findNamed() ? 'true' : 'false';
+            case 'if': {
+                const url = findNamed();
+                if (!url) return (opts.else || '').toString();
+                const mode = (opts.mode || 'abs').toString();
+                const name = findAssetRecordByUrl(caches, url)?.name || query;
+                return (opts.then || '').toString()
+                    .replace(/\$url/g, normalizeUrlForMode(url, mode))
+                    .replace(/\$name/g, name);
+            }
+            case 'count':
+                return String(listLibraryAssets(caches, query).length);
+            case 'names': {
+                const limit = parseInt(opts.limit, 10);
+                let names = listLibraryAssets(caches, query)
+                    .map(item => item.name)
+                    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+                if (limit > 0) names = names.slice(0, limit);
+                return names.join(sep) || fallback;
+            }
+            case 'tags': {
+                let tags;
+                if (!query) {
+                    tags = new Set();
+                    caches.forEach(cache => getAssetIndex(cache)?.byTag.forEach((_, tag) => tags.add(tag)));
+                    tags = Array.from(tags).sort();
+                } else {
+                    const url = findNamed();
+                    tags = (url && findAssetRecordByUrl(caches, url)?.tags) || [];
+                }
+                return tags.join(sep) || fallback;
+            }
+            default:
+                return fallback;
+        }
     }
 
-    async function resolveDesignBgStyle(param) {
+    async function resolveLibraryMacro(op, param) {
         const { main, opts } = parsePipeOptions(param);
+        const query = (main || '').toString().trim();
         const scope = (opts.scope || 'both').toString().toLowerCase();
-        const fallback = (opts.fallback || '').toString();
-        const url = await resolveChatAssetUrl(main, { scope });
+        const prefer = (opts.prefer || 'char').toString().toLowerCase();
+        try {
+            const caches = await buildOrderedAssetCaches(scope, prefer) || [];
+            const diskUrl = NAME_LIBRARY_OPS.has(op) && query && !findChatAssetUrl(caches, query)
+                ? await findChatAssetOnDisk(query, scope)
+                : null;
+            return evaluateLibraryMacro(op, param, caches, diskUrl);
+        } catch (err) {
+            macroError(`Library macro "${op}" failed`, err);
+            return (opts.fallback || '').toString();
+        }
+    }
+
+    /**
+     * Sync counterpart of resolveLibraryMacro() (the disk check is left to it)
+     * @returns {string|null} - null when the caches aren't built or a looked-up name isn't in them
+     */
+    function resolveLibraryMacroSync(op, param) {
+        const { main, opts } = parsePipeOptions(param);
+        const query = (main || '').toString().trim();
+        const scope = (opts.scope || 'both').toString().toLowerCase();
+        const prefer = (opts.prefer || 'char').toString().toLowerCase();
+        const caches = getBuiltAssetCaches(scope, prefer);
+        if (!caches) return null;
+        if (NAME_LIBRARY_OPS.has(op) && query && !findChatAssetUrl(caches, query)) return null;
+        return evaluateLibraryMacro(op, param, caches);
+    }
+
+    // Decks: draws without replacement, kept in chat metadata so they survive reloads.
+    // - {{ia:draw:card_|deck=tarot|n=3}} -> three different cards (URLs joined by sep, or each=<img src="$url">)
+    // - {{ia:shuffle:tarot}} -> puts every card back; prints nothing
+    // - {{ia:deckleft:tarot}} -> cards left before the deck reshuffles
+    // In a chat message each draw/shuffle is keyed by message (getStableMessageKey), swipe and position,
+    // so re-renders and swiping back show the same cards while a new swipe draws again. Only the chat's
+    // last message draws: an older message without a recorded draw is finished and shows nothing new.
+    // The deck's contents are replayed from the events that still count (see replayDeck), so a deleted
+    // message or a swipe that was swiped away puts its cards back.
+    // Called from a script (no message), every resolve draws. An empty deck reshuffles on its own;
+    // weights (see getAssetRandomWeight) apply.
+    const DECK_METADATA_KEY = 'inline_image_assets_decks';
+
+    function hasDeckMacros(text) {
+        return typeof text === 'string' && /\{\{\s*ia\s*::?\s*(?:draw|shuffle)\s*:/i.test(text);
+    }
+
+    function getChatDecks(context) {
+        const decks = context?.chatMetadata?.[DECK_METADATA_KEY];
+        return decks && typeof decks === 'object' ? decks : {};
+    }
+
+    function saveChatDecks(context, decks) {
+        const metadata = context.chatMetadata;
+        if (!metadata) return;
+        // Events are kept as long as their message: drop the ones of deleted messages
+        const messageKeys = new Set((context.chat || []).map((message, mesId) => getStableMessageKey(message, mesId)));
+        for (const deck of Object.values(decks)) {
+            if (!Array.isArray(deck?.history)) continue;
+            deck.history = deck.history.filter(event => !event.key || messageKeys.has(getDeckEventMessageKey(event.key)));
+            Object.assign(deck, replayDeck(deck, context));
+        }
+        metadata[DECK_METADATA_KEY] = decks;
+        if (typeof context.saveMetadataDebounced === 'function') {
+            context.saveMetadataDebounced();
+        } else {
+            context.saveMetadata?.();
+        }
+    }
+
+    /**
+     * Describes the chat message a text belongs to, for deck draws
+     * @param {Object} context - SillyTavern context
+     * @param {number} mesId - Message id
+     * @returns {{key: string, swipe: number, live: boolean}|null} - live: the chat's last message, the only one that draws
+     */
+    function getDeckMessage(context, mesId) {
+        const chat = context?.chat || [];
+        const message = chat[mesId];
+        if (!Number.isInteger(mesId) || !message) return null;
+        return { key: getStableMessageKey(message, mesId), swipe: message.swipe_id ?? 0, live: mesId === chat.length - 1 };
+    }
+
+    /**
+     * Key of the next draw/shuffle in a message: "messageKey:swipe:position"
+     * @param {{message: {key: string, swipe: number}|null, position: number}|null} deckContext
+     * @returns {string|null} - null outside a message (the draw isn't remembered)
+     */
+    function nextDeckEventKey(deckContext) {
+        if (!deckContext?.message) return null;
+        const { key, swipe } = deckContext.message;
+        return `${key}:${swipe ?? 0}:${deckContext.position++}`;
+    }
+
+    /**
+     * Message part of an event key (see nextDeckEventKey)
+     */
+    function getDeckEventMessageKey(eventKey) {
+        return (eventKey ?? '').toString().replace(/:\d+:\d+$/, '');
+    }
+
+    function findDeckEvent(deck, key) {
+        return key && Array.isArray(deck?.history) ? deck.history.find(event => event.key === key) || null : null;
+    }
+
+    /**
+     * Whether a deck event still counts: script events (no key) always do, a message's events only
+     * while the message is in the chat and shows the swipe they were made on
+     * @param {Object} event - History entry
+     * @param {Map<string, number>} swipes - Current swipe per message key
+     * @returns {boolean}
+     */
+    function isDeckEventLive(event, swipes) {
+        if (!event?.key) return true;
+        const match = /^(.*):(\d+):\d+$/.exec(event.key);
+        return !!match && swipes.get(match[1]) === Number(match[2]);
+    }
+
+    /**
+     * Works out a deck's remaining and drawn cards by replaying the events that still count, in the
+     * order they happened. Cards that left the library are skipped.
+     * @param {Object} deck - Saved deck ({source, cards, history})
+     * @param {Object} context - SillyTavern context
+     * @returns {{remaining: string[], drawn: string[], reshuffles: number}}
+     */
+    function replayDeck(deck, context) {
+        const cards = Array.isArray(deck.cards) ? deck.cards : [];
+        const inDeck = new Set(cards);
+        const swipes = new Map((context?.chat || []).map((message, mesId) => [getStableMessageKey(message, mesId), message.swipe_id ?? 0]));
+        let remaining = cards.slice();
+        let drawn = [];
+        let reshuffles = 0;
+        for (const event of Array.isArray(deck.history) ? deck.history : []) {
+            if (!isDeckEventLive(event, swipes)) continue;
+            if (event.shuffle) {
+                remaining = remaining.concat(drawn);
+                drawn = [];
+                reshuffles++;
+                continue;
+            }
+            // Draws made while the deck name pointed at other cards
+            if (event.source !== deck.source) continue;
+            const own = [];
+            for (const name of Array.isArray(event.cards) ? event.cards : []) {
+                if (!inDeck.has(name)) continue;
+                if (remaining.length === 0) {
+                    // Same reshuffle as drawFromDeck(): everything but this draw's cards goes back in
+                    remaining = cards.filter(card => !own.includes(card));
+                    drawn = own.slice();
+                    reshuffles++;
+                }
+                const index = remaining.indexOf(name);
+                // Also drawn by an earlier event that counts (e.g. a script draw, then swiping back)
+                if (index < 0) continue;
+                remaining.splice(index, 1);
+                drawn.push(name);
+                own.push(name);
+            }
+        }
+        return { remaining, drawn, reshuffles };
+    }
+
+    /**
+     * Draws up to n different cards from a deck, building or updating it from the library query
+     * @param {Object} context - SillyTavern context
+     * @param {string} deckName - Deck id in the chat
+     * @param {string} query - Library query the deck is made of (see listLibraryAssets)
+     * @param {number} n - Cards to draw
+     * @param {Map[]} caches - Caches in lookup order
+     * @param {string|null} key - Event key; a draw already made under it is returned as is
+     * @returns {string[]} - Drawn asset names
+     */
+    function drawFromDeck(context, deckName, query, n, caches, key) {
+        const decks = getChatDecks(context);
+        const previous = findDeckEvent(decks[deckName], key);
+        if (previous) return Array.isArray(previous.cards) ? previous.cards : [];
+
+        // Weight 0 keeps a card out of the deck
+        const weights = new Map();
+        for (const item of listLibraryAssets(caches, query)) {
+            const weight = getAssetRandomWeight(findAssetRecordByUrl(caches, item.url));
+            if (weight > 0 && !weights.has(item.name)) weights.set(item.name, weight);
+        }
+        const cards = Array.from(weights.keys());
+
+        let deck = decks[deckName];
+        if (!deck || deck.source !== query) {
+            // New deck, or the name now points at other cards: start full, keeping past draws for their messages
+            deck = { source: query, history: Array.isArray(deck?.history) ? deck.history : [] };
+        }
+        // Follow library changes: new assets join the deck, removed ones leave it
+        deck.cards = cards;
+        Object.assign(deck, replayDeck(deck, context));
+
+        const drawn = [];
+        const count = Math.min(Math.max(n, 0), cards.length);
+        while (drawn.length < count) {
+            if (deck.remaining.length === 0) {
+                // Everything but the cards in this draw goes back in
+                deck.remaining = cards.filter(name => !drawn.includes(name));
+                deck.drawn = drawn.slice();
+                deck.reshuffles++;
+            }
+            const index = pickWeightedIndex(deck.remaining.map(name => weights.get(name)));
+            const [name] = deck.remaining.splice(Math.max(index, 0), 1);
+            drawn.push(name);
+            deck.drawn.push(name);
+        }
+
+        // Script draws (no key) are recorded too, so replaying the deck keeps them out
+        deck.history.push({ key, source: query, cards: drawn });
+        decks[deckName] = deck;
+        saveChatDecks(context, decks);
+        return drawn;
+    }
+
+    /**
+     * Puts every drawn card back into a deck (once per event key)
+     */
+    function shuffleDeck(context, deckName, key) {
+        const decks = getChatDecks(context);
+        const deck = decks[deckName];
+        if (!deck || findDeckEvent(deck, key)) return;
+        deck.history.push({ key, shuffle: true });
+        saveChatDecks(context, decks);
+    }
+
+    function getDeckLeft(param) {
+        const { main, opts } = parsePipeOptions(param);
+        const context = getContext?.();
+        const deck = getChatDecks(context)[(main || '').toString().trim()];
+        // Replayed, so deletes and swipes since the last draw are already reflected
+        return deck && Array.isArray(deck.cards) ? String(replayDeck(deck, context).remaining.length) : (opts.fallback || '').toString();
+    }
+
+    /**
+     * @param {string} op - draw | shuffle | deckleft
+     * @param {string} param - Macro parameter
+     * @param {Object|null} deckContext - Message the macro sits in (see nextDeckEventKey)
+     * @returns {Promise<string>}
+     */
+    async function resolveDeckMacro(op, param, deckContext = null) {
+        const { main, opts } = parsePipeOptions(param);
+        const fallback = (opts.fallback || '').toString();
+        try {
+            const context = getContext?.();
+            if (op === 'deckleft') return getDeckLeft(param);
+            if (!context?.chatMetadata) return fallback;
+
+            const key = nextDeckEventKey(deckContext);
+            // An older message never draws or shuffles again, even when its event is missing
+            const finished = !!deckContext?.message && !deckContext.message.live;
+            if (op === 'shuffle') {
+                if (!finished) shuffleDeck(context, (main || '').toString().trim(), key);
+                return '';
+            }
+
+            const query = (main || '').toString().trim();
+            const deckName = (opts.deck || query || '*').toString().trim();
+            if (finished && !findDeckEvent(getChatDecks(context)[deckName], key)) return fallback;
+            const n = parseInt(opts.n, 10) || 1;
+            const scope = (opts.scope || 'both').toString().toLowerCase();
+            const prefer = (opts.prefer || 'char').toString().toLowerCase();
+            const caches = await buildOrderedAssetCaches(scope, prefer) || [];
+            const names = drawFromDeck(context, deckName, query, n, caches, key);
+
+            const mode = (opts.mode || 'abs').toString();
+            const items = names
+                .map(name => ({ name, url: findAssetInCaches(caches, name) }))
+                .filter(item => item.url)
+                .map(item => ({ name: item.name, url: normalizeUrlForMode(item.url, mode) }));
+            if (items.length === 0) return fallback || `[InlineImageAssets] Nothing to draw from: ${query || deckName}`;
+
+            if (opts.each !== undefined) {
+                const each = opts.each.toString();
+                return items
+                    .map(item => each.replace(/\$url/g, item.url).replace(/\$name/g, item.name))
+                    .join(decodeMacroSeparator(opts.sep, ''));
+            }
+            const asNames = (opts.as || '').toString().toLowerCase() === 'name';
+            return items.map(item => (asNames ? item.name : item.url)).join(decodeMacroSeparator(opts.sep));
+        } catch (err) {
+            macroError(`Deck macro "${op}" failed`, err);
+            return fallback;
+        }
+    }
+
+    /**
+     * Prompt copy of a chat message: deck draws show the names drawn when it was displayed,
+     * shuffles print nothing. Draws not made yet (and every other macro) are kept as written.
+     * @param {string} text - Message text
+     * @param {{key: string, swipe: number}} message - From getDeckMessage()
+     * @returns {string}
+     */
+    function rewritePromptDeckMacros(text, message) {
+        const decks = getChatDecks(getContext?.());
+        const deckContext = { message, position: 0 };
+        const resolveOwn = (macro, key) => {
+            if (macro.type !== 'deck' || macro.op === 'deckleft') return key;
+            const eventKey = nextDeckEventKey(deckContext);
+            if (macro.op === 'shuffle') return '';
+            const { main, opts } = parsePipeOptions(macro.param);
+            const event = findDeckEvent(decks[(opts.deck || main || '*').toString().trim()], eventKey);
+            return event ? event.cards.join(', ') : key;
+        };
+        return tokenizeInlineImageAssetsMacros(text).nodes.map(node => {
+            if (typeof node === 'string') return node;
+            if (node.escaped) return '\\{{';
+            return evaluateMacroNodeSync(node, false, resolveOwn) ?? '';
+        }).join('');
+    }
+
+    async function resolveDesignImgTag(param) {
+        const { main, opts, flags } = parsePipeOptions(param);
+        const scope = (opts.scope || 'both').toString().toLowerCase();
+        const cls = (opts.class || opts.cls || '').toString();
+        const loading = (opts.loading || 'lazy').toString();
+        const decoding = (opts.decoding || '').toString();
+        const referrerpolicy = (opts.referrerpolicy || '').toString();
+        const fallback = (opts.fallback || '').toString();
+
+        const url = await resolveChatAssetUrl(main, { scope });
+        // If resolveChatAssetUrl returned an error string, respect fallback.
+        if (url && url.startsWith('[InlineImageAssets]')) {
+            return fallback || url;
+        }
+
+        // Same display vocabulary as %%img:...%% (w, h, align, float, caption, link, alt, title)
+        const display = parseImageDisplayOptions(opts, flags);
+        const extraAttrs = [];
+        if (decoding) extraAttrs.push(`decoding="${escapeHtmlAttr(decoding)}"`);
+        if (referrerpolicy) extraAttrs.push(`referrerpolicy="${escapeHtmlAttr(referrerpolicy)}"`);
+        // Markup built for custom HTML isn't watched by the chat's visibility observer, so videos start on their own
+        if (getAssetKind(url) === 'video') extraAttrs.push('autoplay');
+        return buildInlineAssetImageHtml(url, { display, className: cls, loading, extraAttrs });
+    }
+
+    async function resolveDesignBgUrl(param) {
+        const { main, opts } = parsePipeOptions(param);
+        const scope = (opts.scope || 'both').toString().toLowerCase();
+        const fallback = (opts.fallback || '').toString();
+        const url = await resolveChatAssetUrl(main, { scope });
+        if (url && url.startsWith('[InlineImageAssets]')) return fallback || url;
+        // Quote with double-quotes to be safe in CSS.
+        return `url("${escapeHtmlAttr(url)}")`;
+    }
+
+    async function resolveDesignBgStyle(param) {
+        const { main, opts } = parsePipeOptions(param);
+        const scope = (opts.scope || 'both').toString().toLowerCase();
+        const fallback = (opts.fallback || '').toString();
+        const url = await resolveChatAssetUrl(main, { scope });
         if (url && url.startsWith('[InlineImageAssets]')) return fallback || url;
         return `background-image:url(\"${escapeHtmlAttr(url)}\");`;
     }
@@ -826,120 +1787,529 @@ import { eventSource, event_types } from "../../../../script.js";
      * - {{iaHtmlPath::path|mode=abs|fallback=...}}
      * - {{iaListFiles::dir|recursive=1|ext=png,jpg|format=json}}
      *
+     * Macros may nest ({{ia:rand:smile|seed={{lastMessageId}}}}); inner ones resolve first.
+     * "\{{" is written out as a literal "{{".
+     *
      * Example:
      *   const html = await window.inlineImageAssetsMacros.resolve(
      *     `<img src="{{iaImagePath::images/logo.png}}">`
      *   );
+     *
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {string} [options.literalOpen] - What "\{{" becomes (the DOM path uses a joiner so it isn't resolved on a later pass)
+     * @param {{key: string, swipe: number, live: boolean}|null} [options.message] - Chat message the text belongs to
+     *   (getDeckMessage()); deck draws and shuffles in it happen once and are remembered (without one, every call draws)
+     * @param {boolean} [options.deckOps] - false keeps deck draws/shuffles as written (prewarming, background resolves)
      */
-    async function resolveInlineImageAssetsMacros(text) {
+    async function resolveInlineImageAssetsMacros(text, { literalOpen = '{{', message = null, deckOps = true } = {}) {
         const input = (text ?? '').toString();
-        // Match ST-style macros (primary): {{name::param}}
-        // Also support a "keyed" shorthand: {{name:param}} (used by JS-Slash-Runner-style keyed macros)
-        // We only handle a safe, whitelisted set of names.
-        const re = /\{\{\s*([a-zA-Z0-9_]+)\s*(::|:)\s*([^}]+?)\s*\}\}/g;
-
-        const matches = [];
-        let m;
-        while ((m = re.exec(input)) !== null) {
-            matches.push({ full: m[0], name: m[1], sep: m[2], param: m[3] });
-        }
-        if (matches.length === 0) return input;
-
-        // Resolve in parallel (async, non-blocking)
-        const resolved = await Promise.all(matches.map(async (x) => {
-            // Back-compat macros
-            switch (x.name) {
-                case 'iaImagePath': return resolveAssetPath('image', x.param);
-                case 'iaCssPath': return resolveAssetPath('css', x.param);
-                case 'iaJsPath': return resolveAssetPath('js', x.param);
-                case 'iaHtmlPath': return resolveAssetPath('html', x.param);
-                case 'iaListFiles': return resolveListFiles(x.param);
-            }
-
-            // Unified macro:
-            // - {{ia:img:assets/logo.png}}  (or {{ia::img:...}})
-            // - {{ia:css:style.css}}
-            // - {{ia:js:index.js}}
-            // - {{ia:html:templates/x.html}}
-            // - {{ia:list:templates|recursive=1|ext=png,jpg}}
-            // - {{ia:smile}} -> character/persona asset name (not path)
-            if (x.name === 'ia') {
-                const p = (x.param ?? '').toString().trim();
-                const firstColon = p.indexOf(':');
-                if (firstColon < 0) {
-                    // No key: treat as chat asset name shorthand
-                    return resolveChatAssetUrl(p, { scope: 'both' });
-                }
-                const key = p.slice(0, firstColon).trim().toLowerCase();
-                const rest = p.slice(firstColon + 1);
-                switch (key) {
-                    case 'img':
-                    case 'image': return resolveAssetPath('image', rest);
-                    case 'css': return resolveAssetPath('css', rest);
-                    case 'js': return resolveAssetPath('js', rest);
-                    case 'html': return resolveAssetPath('html', rest);
-                    case 'list': return resolveListFiles(rest);
-                    case 'asset': return resolveChatAssetUrl(rest, { scope: 'both' });
-                    case 'rand':
-                    case 'random': return resolveChatAssetRandom(rest);
-                    case 'randall':
-                    case 'randomall': return resolveChatAssetRandomAll(rest);
-                    case 'char': return resolveChatAssetUrl(rest, { scope: 'char' });
-                    case 'user':
-                    case 'persona': return resolveChatAssetUrl(rest, { scope: 'persona' });
-                    case 'imgtag': return resolveDesignImgTag(rest);
-                    case 'bgurl': return resolveDesignBgUrl(rest);
-                    case 'bgstyle': return resolveDesignBgStyle(rest);
-                    case 'csslink': return resolveDesignCssLink(rest);
-                    case 'jsmodule': return resolveDesignJsModule(rest);
-                    default:
-                        return x.full;
-                }
-            }
-
-            // Optional bare-key aliases (example requested: {{key:filename}}-style)
-            // Whitelist only, to avoid clobbering other macro systems.
-            // - {{img:assets/logo.png}} -> extension image path
-            // - {{css:style.css}} -> extension css path
-            // - {{js:index.js}} -> extension js path
-            // - {{html:templates/a.html}} -> extension html path
-            // - {{list:templates|...}} -> file list
-            // - {{char:smile}} -> character asset by name
-            // - {{user:smile}} -> persona asset by name
-            if (x.sep === ':') {
-                const key = x.name.toLowerCase();
-                switch (key) {
-                    case 'img':
-                    case 'image': return resolveAssetPath('image', x.param);
-                    case 'css': return resolveAssetPath('css', x.param);
-                    case 'js': return resolveAssetPath('js', x.param);
-                    case 'html': return resolveAssetPath('html', x.param);
-                    case 'list': return resolveListFiles(x.param);
-                    case 'asset': return resolveChatAssetUrl(x.param, { scope: 'both' });
-                    case 'rand':
-                    case 'random': return resolveChatAssetRandom(x.param);
-                    case 'randall':
-                    case 'randomall': return resolveChatAssetRandomAll(x.param);
-                    case 'char': return resolveChatAssetUrl(x.param, { scope: 'char' });
-                    case 'user':
-                    case 'persona': return resolveChatAssetUrl(x.param, { scope: 'persona' });
-                    case 'imgtag': return resolveDesignImgTag(x.param);
-                    case 'bgurl': return resolveDesignBgUrl(x.param);
-                    case 'bgstyle': return resolveDesignBgStyle(x.param);
-                    case 'csslink': return resolveDesignCssLink(x.param);
-                    case 'jsmodule': return resolveDesignJsModule(x.param);
-                    default: return x.full;
-                }
-            }
-
-            return x.full;
-        }));
+        if (!input.includes('{{')) return input;
+
+        const { nodes, errors } = tokenizeInlineImageAssetsMacros(input);
+        reportMacroErrors(errors);
+
+        const deckContext = { message, position: 0 };
+        const resolveOwn = async (macro, key) => {
+            if (macro.type === 'deck') {
+                return deckOps || macro.op === 'deckleft' ? resolveDeckMacro(macro.op, macro.param, deckContext) : key;
+            }
+            const value = await resolveInlineImageAssetsMacro(macro);
+            rememberResolvedMacro(key, value);
+            return value;
+        };
+
+        const resolveNode = (node) => {
+            if (typeof node === 'string') return node;
+            if (node.escaped) return literalOpen;
+            return evaluateMacroNode(node, false, resolveOwn);
+        };
+
+        // Deck draws/shuffles must happen in document order; otherwise top-level macros resolve in
+        // parallel (async, non-blocking). Nested ones always resolve in order, inner first.
+        if (deckOps && /(?:draw|shuffle)\s*:/i.test(input)) {
+            const resolved = [];
+            for (const node of nodes) {
+                // eslint-disable-next-line no-await-in-loop
+                resolved.push(await resolveNode(node));
+            }
+            return resolved.join('');
+        }
+        const resolved = await Promise.all(nodes.map(resolveNode));
+        return resolved.join('');
+    }
+
+    // === MACRO PARSER ===
+    // {{...}} is read by a small scanner rather than a regex, so that:
+    // - macros nest, inner first: {{ia:rand:smile|seed={{lastMessageId}}}}
+    // - option values of our macros can be quoted to hold "|" or "}}": {{ia:if:smile|then="<b>|</b>"}}
+    // - "\{{" writes a literal "{{" (inside a macro, a backslash keeps the next character as written)
+    // - unclosed macros and unknown {{ia:key:...}} keys are reported with a line and column
+    // Macros other than ours keep their text (with our nested macros resolved); nested inside one of
+    // ours they are expanded through SillyTavern first, so their result can be used as a value.
+
+    // Name and separator at the start of a macro: "ia:", "iaImagePath::", "char:"...
+    const MACRO_HEAD_REGEX = /^\s*([a-zA-Z0-9_]+)\s*(::|:)\s*/;
+    const MACRO_MAX_DEPTH = 16;
+    const reportedMacroErrors = new Set();
+
+    /**
+     * @typedef {Object} MacroNode
+     * @property {number} start - Index of the opening "{{" in the source text
+     * @property {number} end - Index just past the closing "}}"
+     * @property {Array<string|MacroNode>} parts - Raw text runs and nested macros, in order
+     */
+
+    /**
+     * Name/separator of a macro this extension owns, read from the start of its text
+     * @returns {{name: string, sep: string, length: number}|null}
+     */
+    function getOwnMacroHead(text) {
+        const m = typeof text === 'string' ? text.match(MACRO_HEAD_REGEX) : null;
+        if (!m) return null;
+        if (m[1] !== 'ia' && parseInlineImageAssetsMacro(m[1], m[2], '') === null) return null;
+        return { name: m[1], sep: m[2], length: m[0].length };
+    }
+
+    function addMacroError(errors, input, index, message) {
+        if (errors.some(e => e.index === index)) return;
+        const before = input.slice(0, index);
+        const line = (before.match(/\n/g) || []).length + 1;
+        const column = index - before.lastIndexOf('\n');
+        const snippet = input.slice(index, index + 40).replace(/\s+/g, ' ');
+        errors.push({ message, index, line, column, snippet });
+    }
+
+    function reportMacroErrors(errors) {
+        for (const e of errors) {
+            const key = `${e.message}\n${e.snippet}`;
+            if (reportedMacroErrors.has(key)) continue;
+            if (reportedMacroErrors.size > 200) reportedMacroErrors.clear();
+            reportedMacroErrors.add(key);
+            macroWarn(`${e.message} at line ${e.line}, column ${e.column}: ${e.snippet}`);
+        }
+    }
+
+    /**
+     * Splits text into plain runs, escaped "\{{" markers and (possibly nested) macros.
+     * An unclosed "{{" is reported and kept as plain text.
+     * @param {string} text
+     * @returns {{nodes: Array<string|{escaped: true}|MacroNode>, errors: Array<{message: string, index: number, line: number, column: number, snippet: string}>}}
+     */
+    function tokenizeInlineImageAssetsMacros(text) {
+        const input = (text ?? '').toString();
+        const nodes = [];
+        const errors = [];
+        const unclosed = new Set();
+
+        // Reads the macro opened at openIndex; null when it never closes
+        const parseMacro = (openIndex, depth) => {
+            if (unclosed.has(openIndex)) return null;
+            if (depth > MACRO_MAX_DEPTH) {
+                addMacroError(errors, input, openIndex, 'Macros nested too deeply');
+                unclosed.add(openIndex);
+                return null;
+            }
+
+            const parts = [];
+            let buf = '';
+            let quote = null;
+            let own;
+            // Quotes only mean something in our own macros, at the start of a value
+            const opensQuote = (i) => {
+                own ??= getOwnMacroHead(parts.length ? parts[0] : buf) !== null;
+                if (!own || parts.length && !buf) return false;
+                return /(^|[^\\])[=|:]\s*$/.test(buf) && hasClosingQuote(input, i);
+            };
+
+            let i = openIndex + 2;
+            while (i < input.length) {
+                const ch = input[i];
+                if (ch === '\\' && i + 1 < input.length) {
+                    buf += ch + input[i + 1];
+                    i += 2;
+                } else if (ch === '{' && input[i + 1] === '{' && input[i + 2] === '{') {
+                    // "{{{name}}}": the macro starts at the last pair
+                    buf += ch;
+                    i++;
+                } else if (ch === '{' && input[i + 1] === '{') {
+                    const child = parseMacro(i, depth + 1);
+                    if (child) {
+                        if (buf) parts.push(buf);
+                        buf = '';
+                        parts.push(child);
+                        i = child.end;
+                    } else {
+                        buf += '{{';
+                        i += 2;
+                    }
+                } else if (quote) {
+                    if (ch === quote) quote = null;
+                    buf += ch;
+                    i++;
+                } else if ((ch === '"' || ch === "'") && opensQuote(i)) {
+                    quote = ch;
+                    buf += ch;
+                    i++;
+                } else if (ch === '}' && input[i + 1] === '}') {
+                    if (buf) parts.push(buf);
+                    const node = { start: openIndex, end: i + 2, parts };
+                    checkMacroKey(node);
+                    return node;
+                } else {
+                    buf += ch;
+                    i++;
+                }
+            }
+
+            addMacroError(errors, input, openIndex, 'Unclosed macro (missing "}}")');
+            unclosed.add(openIndex);
+            return null;
+        };
+
+        // {{ia:key:...}} with a key we don't know is almost always a typo
+        const checkMacroKey = (node) => {
+            const head = getOwnMacroHead(node.parts[0]);
+            if (head?.name !== 'ia') return;
+            const rest = node.parts[0].slice(head.length);
+            const colon = rest.indexOf(':');
+            if (colon < 0) return;
+            if (parseInlineImageAssetsMacro(head.name, head.sep, rest) === null) {
+                addMacroError(errors, input, node.start, `Unknown macro key "${rest.slice(0, colon).trim()}"`);
+            }
+        };
+
+        let last = 0;
+        let i = input.indexOf('{{');
+        while (i >= 0) {
+            if (input[i - 1] === '\\') {
+                if (i - 1 > last) nodes.push(input.slice(last, i - 1));
+                nodes.push({ escaped: true });
+                last = i + 2;
+                i = input.indexOf('{{', last);
+                continue;
+            }
+            if (input[i + 2] === '{') {
+                i++;
+                continue;
+            }
+            const node = parseMacro(i, 0);
+            if (!node) {
+                i = input.indexOf('{{', i + 2);
+                continue;
+            }
+            if (i > last) nodes.push(input.slice(last, i));
+            nodes.push(node);
+            last = node.end;
+            i = input.indexOf('{{', last);
+        }
+        if (last < input.length) nodes.push(input.slice(last));
+
+        return { nodes, errors };
+    }
+
+    /**
+     * Keeps a nested macro's result as one option value inside ours (parsePipeOptions() undoes this)
+     */
+    function escapeMacroValue(value) {
+        return value.replace(/[\\|"'={}]/g, '\\$&');
+    }
+
+    /**
+     * Second half of evaluating a macro node, once its nested macros have values.
+     * @param {MacroNode} node
+     * @param {string[]} childValues - Values of the nested macros, in order
+     * @param {boolean} insideOwn - Whether the node sits inside one of our macros
+     * @returns {{value: string}|{macro: Object, key: string}} - Final text, or the macro to resolve and its cache key
+     */
+    function finishMacroNode(node, childValues, insideOwn) {
+        const head = getOwnMacroHead(node.parts[0]);
+        let k = 0;
+        const body = node.parts.map(part => {
+            if (typeof part === 'string') return part;
+            const value = childValues[k++];
+            return head ? escapeMacroValue(value) : value;
+        }).join('');
+
+        if (!head) {
+            const raw = `{{${body}}}`;
+            if (!insideOwn) return { value: raw };
+            const context = getContext?.();
+            return { value: typeof context?.substituteParams === 'function' ? context.substituteParams(raw) : raw };
+        }
+
+        const param = body.slice(head.length).trim();
+        const macro = parseInlineImageAssetsMacro(head.name, head.sep, param);
+        if (!macro) return { value: `{{${body}}}` };
+        return { macro, key: `{{${head.name}${head.sep}${param}}}` };
+    }
+
+    /**
+     * @param {MacroNode} node
+     * @param {boolean} insideOwn
+     * @param {function(Object, string): Promise<string>} resolveOwn - Resolves one of our macros (descriptor, cache key)
+     * @returns {Promise<string>}
+     */
+    async function evaluateMacroNode(node, insideOwn, resolveOwn) {
+        const own = getOwnMacroHead(node.parts[0]) !== null;
+        const childValues = [];
+        for (const part of node.parts) {
+            if (typeof part !== 'string') childValues.push(await evaluateMacroNode(part, own, resolveOwn));
+        }
+        const step = finishMacroNode(node, childValues, insideOwn);
+        return step.macro ? resolveOwn(step.macro, step.key) : step.value;
+    }
+
+    /**
+     * Synchronous counterpart of evaluateMacroNode()
+     * @param {function(Object, string): (string|null)} resolveOwn
+     * @returns {string|null} - null when one of our macros in it isn't ready yet
+     */
+    function evaluateMacroNodeSync(node, insideOwn, resolveOwn) {
+        const own = getOwnMacroHead(node.parts[0]) !== null;
+        const childValues = [];
+        for (const part of node.parts) {
+            if (typeof part === 'string') continue;
+            const value = evaluateMacroNodeSync(part, own, resolveOwn);
+            if (value === null) return null;
+            childValues.push(value);
+        }
+        const step = finishMacroNode(node, childValues, insideOwn);
+        return step.macro ? resolveOwn(step.macro, step.key) : step.value;
+    }
+
+    /**
+     * Maps one macro occurrence to what it resolves, e.g. {{ia:char:smile}} -> { type: 'chat', scope: 'char', param: 'smile' }.
+     * Shared by the async resolver and the synchronous one behind SillyTavern's own macro expansion.
+     * @param {string} name - Macro name ("ia", "iaImagePath", bare key...)
+     * @param {string} sep - "::" or ":"
+     * @param {string} param - Everything after the separator
+     * @returns {{type: string, param: string, kind?: string, scope?: string}|null} - null for macros this extension doesn't own
+     */
+    function parseInlineImageAssetsMacro(name, sep, param) {
+        // Back-compat macros
+        switch (name) {
+            case 'iaImagePath': return { type: 'path', kind: 'image', param };
+            case 'iaCssPath': return { type: 'path', kind: 'css', param };
+            case 'iaJsPath': return { type: 'path', kind: 'js', param };
+            case 'iaHtmlPath': return { type: 'path', kind: 'html', param };
+            case 'iaListFiles': return { type: 'list', param };
+        }
+
+        // Unified macro:
+        // - {{ia:img:assets/logo.png}}  (or {{ia::img:...}})
+        // - {{ia:css:style.css}}
+        // - {{ia:js:index.js}}
+        // - {{ia:html:templates/x.html}}
+        // - {{ia:list:templates|recursive=1|ext=png,jpg}}
+        // - {{ia:smile}} -> character/persona asset name (not path)
+        //
+        // Optional bare-key aliases (example requested: {{key:filename}}-style)
+        // Whitelist only, to avoid clobbering other macro systems.
+        // - {{img:assets/logo.png}} -> extension image path
+        // - {{css:style.css}} -> extension css path
+        // - {{js:index.js}} -> extension js path
+        // - {{html:templates/a.html}} -> extension html path
+        // - {{list:templates|...}} -> file list
+        // - {{char:smile}} -> character asset by name
+        // - {{user:smile}} -> persona asset by name
+        let key;
+        let rest;
+        if (name === 'ia') {
+            const p = (param ?? '').toString().trim();
+            const firstColon = p.indexOf(':');
+            if (firstColon < 0) {
+                // No key: treat as chat asset name shorthand
+                return { type: 'chat', scope: 'both', param: p };
+            }
+            key = p.slice(0, firstColon).trim().toLowerCase();
+            rest = p.slice(firstColon + 1);
+        } else if (sep === ':') {
+            key = name.toLowerCase();
+            rest = param;
+        } else {
+            return null;
+        }
+
+        switch (key) {
+            case 'img':
+            case 'image': return { type: 'path', kind: 'image', param: rest };
+            case 'css': return { type: 'path', kind: 'css', param: rest };
+            case 'js': return { type: 'path', kind: 'js', param: rest };
+            case 'html': return { type: 'path', kind: 'html', param: rest };
+            case 'list': return { type: 'list', param: rest };
+            case 'asset': return { type: 'chat', scope: 'both', param: rest };
+            case 'rand':
+            case 'random': return { type: 'rand', param: rest };
+            case 'randall':
+            case 'randomall': return { type: 'randAll', param: rest };
+            case 'char': return { type: 'chat', scope: 'char', param: rest };
+            case 'user':
+            case 'persona': return { type: 'chat', scope: 'persona', param: rest };
+            case 'imgtag': return { type: 'imgTag', param: rest };
+            case 'bgurl': return { type: 'bgUrl', param: rest };
+            case 'bgstyle': return { type: 'bgStyle', param: rest };
+            case 'csslink': return { type: 'cssLink', param: rest };
+            case 'jsmodule': return { type: 'jsModule', param: rest };
+            case 'exists':
+            case 'if':
+            case 'count':
+            case 'names':
+            case 'tags':
+                // {{ia:...}} only; bare {{if:...}} / {{count:...}} are too likely to belong to someone else
+                return name === 'ia' ? { type: 'library', op: key, param: rest } : null;
+            case 'draw':
+            case 'shuffle':
+            case 'deckleft':
+                return name === 'ia' ? { type: 'deck', op: key, param: rest } : null;
+            default: return null;
+        }
+    }
+
+    /**
+     * @param {Object} macro - From parseInlineImageAssetsMacro()
+     * @param {Object|null} [deckContext] - Message the macro sits in, for deck draws (see nextDeckEventKey)
+     * @returns {Promise<string>}
+     */
+    async function resolveInlineImageAssetsMacro(macro, deckContext = null) {
+        switch (macro.type) {
+            case 'path': return resolveAssetPath(macro.kind, macro.param);
+            case 'list': return resolveListFiles(macro.param);
+            case 'chat': return resolveChatAssetUrl(macro.param, { scope: macro.scope });
+            case 'rand': return resolveChatAssetRandom(macro.param);
+            case 'randAll': return resolveChatAssetRandomAll(macro.param);
+            case 'imgTag': return resolveDesignImgTag(macro.param);
+            case 'bgUrl': return resolveDesignBgUrl(macro.param);
+            case 'bgStyle': return resolveDesignBgStyle(macro.param);
+            case 'cssLink': return resolveDesignCssLink(macro.param);
+            case 'jsModule': return resolveDesignJsModule(macro.param);
+            case 'library': return resolveLibraryMacro(macro.op, macro.param);
+            case 'deck': return resolveDeckMacro(macro.op, macro.param, deckContext);
+            default: return '';
+        }
+    }
+
+    // === SYNCHRONOUS MACROS (SillyTavern's own {{...}} expansion) ===
+    // SillyTavern expands macros synchronously, so the host-facing variants can't fetch anything.
+    // Chat asset macros (name, char/user, rand, randAll) read the asset caches directly; paths,
+    // listings and markup reuse the last async result. Anything not ready yet is left as written
+    // and resolved in the background, so the next expansion has it (prewarmMacroCaches() runs
+    // before every generation to keep that rare).
+
+    // Cache: full macro text -> last async result
+    const macroSyncCache = new Map();
+    const MACRO_SYNC_CACHE_LIMIT = 500;
+    const pendingMacroWarmups = new Set();
+
+    function rememberResolvedMacro(full, value) {
+        if (typeof value !== 'string') return;
+        macroSyncCache.delete(full);
+        macroSyncCache.set(full, value);
+        if (macroSyncCache.size > MACRO_SYNC_CACHE_LIMIT) {
+            macroSyncCache.delete(macroSyncCache.keys().next().value);
+        }
+    }
+
+    function warmMacro(full) {
+        if (pendingMacroWarmups.has(full)) return;
+        pendingMacroWarmups.add(full);
+        resolveInlineImageAssetsMacros(full, { deckOps: false })
+            .catch(err => macroError('Background macro resolve failed', err))
+            .finally(() => pendingMacroWarmups.delete(full));
+    }
+
+
+    /**
+     * Sync counterpart of resolveChatAssetUrl() (without the disk check)
+     * @returns {string|null} - null when the caches aren't built or the name isn't in them
+     */
+    function resolveChatAssetUrlSync(nameParam, scope) {
+        const { main, opts } = parsePipeOptions(nameParam);
+        const mode = (opts.mode || 'abs').toString();
+        const fallback = (opts.fallback || '').toString();
+        const prefer = (opts.prefer || 'char').toString().toLowerCase();
+
+        const assetName = (main || '').toString().trim();
+        if (!assetName) return fallback || '[InlineImageAssets] Missing asset name';
+
+        const caches = getBuiltAssetCaches(scope, prefer);
+        if (!caches) return null;
+        const url = findChatAssetUrl(caches, assetName);
+        return url ? normalizeUrlForMode(url, mode) : null;
+    }
+
+    /**
+     * Sync counterpart of resolveChatAssetRandom() / resolveChatAssetRandomAll()
+     * @param {string} param - Macro parameter
+     * @param {boolean} byPrefix - true for rand (main value is the prefix), false for randAll
+     * @returns {string|null} - null when the caches aren't built
+     */
+    function resolveChatAssetRandomSync(param, byPrefix) {
+        const { main, opts } = parsePipeOptions(param);
+        const prefix = byPrefix ? (main || '').toString().trim() : '';
+        const scope = (opts.scope || 'both').toString().toLowerCase();
+        const prefer = (opts.prefer || 'char').toString().toLowerCase();
+        const mode = (opts.mode || 'abs').toString();
+        const fallback = (opts.fallback || '').toString();
+        const seed = (opts.seed || '').toString();
 
-        let out = input;
-        for (let i = 0; i < matches.length; i++) {
-            out = out.replace(matches[i].full, resolved[i]);
+        if (byPrefix && !prefix) {
+            return fallback || '[InlineImageAssets] Missing prefix for rand';
         }
-        return out;
+
+        const caches = getBuiltAssetCaches(scope, prefer);
+        if (!caches) return null;
+
+        const { urls, records } = listRandomCandidates(caches, prefix, mode);
+        const url = pickWeightedUrl(urls, records, parseWeightOverrides(opts.weights), seed);
+        return url ?? (fallback || (byPrefix
+            ? `[InlineImageAssets] No assets match prefix: ${prefix}`
+            : '[InlineImageAssets] No assets available for randAll'));
+    }
+
+    /**
+     * Synchronously resolves InlineImageAssets macros inside a string. Macros that aren't ready
+     * are kept as written and resolved in the background.
+     * @param {string} text - Any text (prompt, card field, STscript...)
+     * @returns {string}
+     */
+    function resolveInlineImageAssetsMacrosSync(text) {
+        const input = (text ?? '').toString();
+        if (!hasInlineImageAssetsMacros(input)) return input;
+
+        const { nodes, errors } = tokenizeInlineImageAssetsMacros(input);
+        reportMacroErrors(errors);
+
+        const resolveOwn = (macro, key) => {
+            // Deck draws only happen where a message shows them (see rewritePromptDeckMacros for the prompt)
+            if (macro.type === 'deck') return macro.op === 'deckleft' ? getDeckLeft(macro.param) : key;
+            let value = null;
+            if (macro.type === 'chat') value = resolveChatAssetUrlSync(macro.param, macro.scope);
+            else if (macro.type === 'rand') value = resolveChatAssetRandomSync(macro.param, true);
+            else if (macro.type === 'randAll') value = resolveChatAssetRandomSync(macro.param, false);
+            else if (macro.type === 'library') value = resolveLibraryMacroSync(macro.op, macro.param);
+            return value ?? macroSyncCache.get(key) ?? null;
+        };
+
+        return nodes.map(node => {
+            if (typeof node === 'string') return node;
+            if (node.escaped) return '{{';
+            const value = evaluateMacroNodeSync(node, false, resolveOwn);
+            if (value !== null) return value;
+            // Not ready: keep it as written and resolve the whole macro (nested ones included) in the background
+            const full = input.slice(node.start, node.end);
+            warmMacro(full);
+            return full;
+        }).join('');
+    }
+
+    /**
+     * Parse errors (unclosed macros, unknown {{ia:key:...}} keys) without resolving anything
+     * @param {string} text
+     * @returns {Array<{message: string, index: number, line: number, column: number, snippet: string}>}
+     */
+    function checkInlineImageAssetsMacros(text) {
+        return tokenizeInlineImageAssetsMacros(text).errors;
     }
 
     // Expose a small public API for other scripts (e.g., JS-Slash-Runner) to call.
@@ -947,19 +2317,23 @@ import { eventSource, event_types } from "../../../../script.js";
     window.inlineImageAssetsMacros = {
         version: '1.0.0',
         resolve: resolveInlineImageAssetsMacros,
+        // Same macros, resolved from the prewarmed caches without waiting (unready ones stay as written)
+        resolveSync: resolveInlineImageAssetsMacrosSync,
+        // Parse errors with line/column, e.g. for checking a card before saving it
+        check: checkInlineImageAssetsMacros,
         // JS-Slash-Runner / Tavern-Helper compatibility:
         // - TavernHelper.substitudeMacros(...) expands its own macros (e.g., {{userAvatarPath}}).
         // - Then we expand InlineImageAssets macros (e.g., {{iaImagePath::...}}).
-        resolveWithTavernHelper: async (text) => {
+        resolveWithTavernHelper: async (text, options) => {
             try {
                 const th = globalThis?.TavernHelper;
                 const pre = (th && typeof th.substitudeMacros === 'function')
                     ? th.substitudeMacros((text ?? '').toString())
                     : (text ?? '').toString();
-                return await resolveInlineImageAssetsMacros(pre);
+                return await resolveInlineImageAssetsMacros(pre, options);
             } catch (err) {
                 macroError('resolveWithTavernHelper failed', err);
-                return await resolveInlineImageAssetsMacros((text ?? '').toString());
+                return await resolveInlineImageAssetsMacros((text ?? '').toString(), options);
             }
         },
         // direct helpers (optional)
@@ -972,8 +2346,122 @@ import { eventSource, event_types } from "../../../../script.js";
 
     macroLog('Macro API registered on window.inlineImageAssetsMacros');
 
-    // Captures content between %%img: and %%
-    const tagRegex = /%%img:([^%]+)%%/g;
+    // Captures chat tags: %%img:...%% (inline picture), %%vid:...%% (video loop), %%gallery:...%% (several
+    // pictures in one carousel/grid), %%bg:...%% (chat background),
+    // %%sfx:...%% (sound effect) and %%bgm:...%% (looping music).
+    // Group 1 is the tag type, group 2 the asset name plus optional "|" display options.
+    const inlineTagRegex = /%%(img|vid|gallery|bg|sfx|bgm):([^%]+)%%/g;
+    const INLINE_TAG_MARKERS = ['%%img:', '%%vid:', '%%gallery:', '%%bg:', '%%sfx:', '%%bgm:'];
+
+    // Asset kinds each rendered tag type accepts (%%img:%% shows video loops too)
+    const TAG_ASSET_KINDS = Object.freeze({
+        img: ['image', 'video'],
+        vid: 'video',
+        gallery: ['image', 'video'],
+        sfx: 'audio',
+        bgm: 'audio',
+    });
+
+    /**
+     * Cheap pre-check before walking a message: does the text contain any chat tag?
+     */
+    function hasInlineAssetTags(text) {
+        return typeof text === 'string' && INLINE_TAG_MARKERS.some(marker => text.includes(marker));
+    }
+
+    // Tags inside these elements stay literal: code samples, escaped tags and already-rendered output
+    const IMAGE_TAG_SKIP_SELECTOR = 'code, pre, script, style, textarea, .inline-asset-literal, .inline-asset-missing, .inline-asset-figure, .inline-asset-audio, .inline-asset-gallery';
+
+    /**
+     * Collects the text nodes of a rendered message that contain chat tags.
+     * Only text is searched (never attribute values), and code/pre blocks are skipped.
+     * @param {HTMLElement} root - The .mes_text element
+     * @returns {Text[]}
+     */
+    function collectInlineTagTextNodes(root) {
+        if (!root || !hasInlineAssetTags(root.textContent)) return [];
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                if (!hasInlineAssetTags(node.data)) return NodeFilter.FILTER_REJECT;
+                const skipped = node.parentElement?.closest(IMAGE_TAG_SKIP_SELECTOR);
+                return skipped && root.contains(skipped) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+            },
+        });
+
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+        return nodes;
+    }
+
+    /**
+     * Replaces the chat tags of one text node.
+     * An escaped tag (\%%img:x%%) is shown literally, without the backslash.
+     * @param {Text} textNode - Text node from collectInlineTagTextNodes()
+     * @param {(match: string, type: string, tagContent: string) => string} renderTag - Returns HTML, or the match itself to leave the tag as-is
+     * @returns {boolean} - Whether the node was replaced
+     */
+    function replaceInlineTagsInTextNode(textNode, renderTag) {
+        const text = textNode.data;
+        const fragment = document.createDocumentFragment();
+        let pendingText = '';
+        let lastIndex = 0;
+        let changed = false;
+
+        for (const match of text.matchAll(inlineTagRegex)) {
+            const isEscaped = match.index > 0 && text[match.index - 1] === '\\';
+            pendingText += text.slice(lastIndex, isEscaped ? match.index - 1 : match.index);
+            lastIndex = match.index + match[0].length;
+
+            let node = null;
+            if (isEscaped) {
+                node = document.createElement('span');
+                node.className = 'inline-asset-literal';
+                node.textContent = match[0];
+            } else {
+                const html = renderTag(match[0], match[1], match[2]);
+                if (html !== match[0]) {
+                    const template = document.createElement('template');
+                    template.innerHTML = html;
+                    node = template.content;
+                }
+            }
+
+            if (!node) {
+                pendingText += match[0];
+                continue;
+            }
+            if (pendingText) fragment.append(pendingText);
+            pendingText = '';
+            fragment.append(node);
+            changed = true;
+        }
+
+        if (!changed) return false;
+        pendingText += text.slice(lastIndex);
+        if (pendingText) fragment.append(pendingText);
+        textNode.replaceWith(fragment);
+        return true;
+    }
+
+    // Separates fallback candidates in a tag: %%img:smile_big||smile||neutral%%
+    const FALLBACK_CHAIN_SEPARATOR = '||';
+
+    /**
+     * Splits the content of a %%img:...%% tag into the asset name(s) and display options.
+     * Uses the same "|" syntax as the macro layer: %%img:smile|w=240|align=right|caption=She grins|float%%
+     * "||" separates fallback candidates, tried in order: %%img:smile_big||smile||neutral|w=240%%
+     * @param {string} rawContent text captured by inlineTagRegex
+     * @returns {{name: string, names: string[], display: Object}}
+     */
+    function parseInlineImageTag(rawContent) {
+        // Protect "||" from the single-pipe option split
+        const chainMarker = '\u0001';
+        const protectedContent = rawContent.split(FALLBACK_CHAIN_SEPARATOR).join(chainMarker);
+        const { main, opts, flags } = parsePipeOptions(protectedContent);
+        const names = main.split(chainMarker).map(n => n.trim()).filter(Boolean);
+        return { name: names[0] || '', names, display: parseImageDisplayOptions(opts, flags) };
+    }
 
     // === FILE SYSTEM CONFIGURATION ===
     // Note: SillyTavern's /api/files/upload validates filename with regex /^[a-zA-Z0-9_\-.]+$/
@@ -983,10 +2471,43 @@ import { eventSource, event_types } from "../../../../script.js";
     const PATH_SEPARATOR = '__'; // Use double underscore instead of slash
     const THUMBNAIL_SIZE = 150;
     const SUPPORTED_FORMATS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'svg'];
-    
-    // Alternative image paths to check (for user/images/{characterName}/ structure)
-    // SillyTavern may serve images from different endpoints depending on configuration
-    const ALTERNATIVE_IMAGE_PATHS = [
+    // Audio assets (%%sfx:...%% / %%bgm:...%%) and video loops (%%vid:...%%, or %%img:...%%).
+    // /api/images/upload only takes images, so these are always stored with the files API (user/files/).
+    const AUDIO_FORMATS = ['mp3', 'wav', 'ogg'];
+    const VIDEO_FORMATS = ['mp4', 'webm'];
+    const ASSET_FORMATS = [...SUPPORTED_FORMATS, ...AUDIO_FORMATS, ...VIDEO_FORMATS];
+
+    /**
+     * Media kind of an asset, from its filename, URL or data URI
+     * @param {string} source - Filename, URL or data URI
+     * @returns {'image'|'audio'|'video'}
+     */
+    function getAssetKind(source) {
+        const value = (source ?? '').toString();
+        if (value.startsWith('data:')) {
+            if (value.startsWith('data:audio/')) return 'audio';
+            return value.startsWith('data:video/') ? 'video' : 'image';
+        }
+        const ext = value.split(/[?#]/)[0].split('.').pop()?.toLowerCase();
+        if (AUDIO_FORMATS.includes(ext)) return 'audio';
+        return VIDEO_FORMATS.includes(ext) ? 'video' : 'image';
+    }
+
+    /**
+     * Whether an asset source is of an accepted kind
+     * @param {string} source - URL or data URI
+     * @param {string|string[]|null} kind - Accepted kind(s), or null for any
+     * @returns {boolean}
+     */
+    function matchesAssetKind(source, kind) {
+        if (!kind) return true;
+        const sourceKind = getAssetKind(source);
+        return Array.isArray(kind) ? kind.includes(sourceKind) : sourceKind === kind;
+    }
+    
+    // Alternative image paths to check (for user/images/{characterName}/ structure)
+    // SillyTavern may serve images from different endpoints depending on configuration
+    const ALTERNATIVE_IMAGE_PATHS = [
         '/user/images',      // user/images/{characterName}/
         '/user/files',       // user/files/ (flat structure)
         '/characters',       // characters/{characterName}/
@@ -1100,9 +2621,12 @@ import { eventSource, event_types } from "../../../../script.js";
 
     // === PERFORMANCE CACHES ===
     // Asset name -> file path Map for O(1) lookups (rebuilt when character changes)
-    let assetCache = new Map();
-    let cachedCharacterId = null;
-    let cachedCharacterName = null;
+    const characterAssetCaches = new Map(); // character avatar -> asset cache (one per group member)
+    const pendingCharacterCacheBuilds = new Map(); // character avatar -> Set of messages waiting for it
+    
+    // Secondary index per cache Map: asset records (name, url, tags) for queries that the
+    // name -> url Map can't answer, such as tag selection. Keyed by the Map itself.
+    const assetCacheIndexes = new WeakMap();
     
     // Persona asset cache (separate from character)
     let personaAssetCache = new Map();
@@ -1531,7 +3055,7 @@ import { eventSource, event_types } from "../../../../script.js";
                     if (typeof fileName !== 'string') return false;
                     if (!fileName.startsWith(prefix)) return false;
                     const ext = fileName.split('.').pop()?.toLowerCase();
-                    return SUPPORTED_FORMATS.includes(ext);
+                    return ASSET_FORMATS.includes(ext);
                 });
                 
                 log(`Filtered ${filtered.length} flat files for character ${characterName}`);
@@ -1577,7 +3101,7 @@ import { eventSource, event_types } from "../../../../script.js";
                                 const fileName = asset.name || asset.filename || asset;
                                 if (typeof fileName !== 'string') return;
                                 const ext = fileName.split('.').pop()?.toLowerCase();
-                                if (!SUPPORTED_FORMATS.includes(ext)) return;
+                                if (!ASSET_FORMATS.includes(ext)) return;
                                 
                                 const assetName = fileName.substring(0, fileName.lastIndexOf('.'));
                                 if (!seenNames.has(assetName)) {
@@ -1623,7 +3147,7 @@ import { eventSource, event_types } from "../../../../script.js";
                                 const fileName = file.name || file;
                                 if (typeof fileName !== 'string') return;
                                 const ext = fileName.split('.').pop()?.toLowerCase();
-                                if (!SUPPORTED_FORMATS.includes(ext)) return;
+                                if (!ASSET_FORMATS.includes(ext)) return;
                                 
                                 const assetName = fileName.substring(0, fileName.lastIndexOf('.'));
                                 if (!seenNames.has(assetName)) {
@@ -1707,7 +3231,7 @@ import { eventSource, event_types } from "../../../../script.js";
                     if (typeof fileName !== 'string') return false;
                     if (!fileName.startsWith(prefix)) return false;
                     const ext = fileName.split('.').pop()?.toLowerCase();
-                    return SUPPORTED_FORMATS.includes(ext);
+                    return ASSET_FORMATS.includes(ext);
                 });
                 
                 log(`Filtered ${filtered.length} flat files for persona ${personaName}`);
@@ -1805,22 +3329,29 @@ import { eventSource, event_types } from "../../../../script.js";
             const { baseName, format, fullFilename } = getImageNameAndFormat(filename, imageData?.type);
 
             const base64Data = await blobToBase64(imageData);
-            log('Uploading to /api/images/upload:', { characterName, fullFilename, format, dataLength: base64Data.length });
 
-            const headers = await getApiHeaders();
+            // Audio and video assets can't use the images API; they go straight to /api/files/upload
+            const usesFilesApi = getAssetKind(filename) !== 'image';
 
-            let response = await fetch('/api/images/upload', {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify({
-                    image: base64Data,
-                    ch_name: characterName,
-                    filename: baseName,
-                    format: format
-                })
-            });
+            let response = null;
+            if (!usesFilesApi) {
+                log('Uploading to /api/images/upload:', { characterName, fullFilename, format, dataLength: base64Data.length });
+
+                const headers = await getApiHeaders();
+
+                response = await fetch('/api/images/upload', {
+                    method: 'POST',
+                    headers: headers,
+                    body: JSON.stringify({
+                        image: base64Data,
+                        ch_name: characterName,
+                        filename: baseName,
+                        format: format
+                    })
+                });
+            }
 
-            if (!response.ok && response.status === 403) {
+            if (response && !response.ok && response.status === 403) {
                 console.log('[InlineImageAssets] Got 403 on /api/images/upload, refreshing CSRF token and retrying...');
                 invalidateCsrfToken();
                 csrfDisabled = false;
@@ -1838,8 +3369,10 @@ import { eventSource, event_types } from "../../../../script.js";
             }
 
             // Fallback: if images API doesn't exist on this server, fall back to legacy /api/files/upload
-            if (!response.ok && response.status === 404) {
-                log('Images API not found (404). Falling back to /api/files/upload flat structure');
+            if (usesFilesApi || (!response.ok && response.status === 404)) {
+                log(usesFilesApi
+                    ? 'Audio/video asset. Uploading to /api/files/upload flat structure'
+                    : 'Images API not found (404). Falling back to /api/files/upload flat structure');
                 const sanitizedFilename = sanitizePathSegment(filename);
                 const prefix = getCharacterFilePrefix(characterName);
                 const legacyFullFilename = sanitizedFilename.startsWith(IMAGE_PREFIX)
@@ -2260,6 +3793,39 @@ import { eventSource, event_types } from "../../../../script.js";
         return { valid: true };
     }
 
+    /**
+     * Validates an uploaded asset: an image, an audio file (%%sfx:...%% / %%bgm:...%%) or a video loop
+     * @param {File} file - File to validate
+     * @returns {Object} - { valid: boolean, reason?: string, kind?: 'image'|'audio'|'video' }
+     */
+    function validateAssetFile(file) {
+        const extension = file.name.toLowerCase().split('.').pop();
+        const mimeType = file.type || '';
+        const kind = AUDIO_FORMATS.includes(extension) || mimeType.startsWith('audio/') ? 'audio'
+            : VIDEO_FORMATS.includes(extension) || mimeType.startsWith('video/') ? 'video'
+            : 'image';
+        if (kind === 'image') {
+            return { ...validateImageFile(file), kind };
+        }
+
+        // Sound and video loops are larger than pictures
+        const MAX_MEDIA_FILE_SIZES = { audio: 20 * 1024 * 1024, video: 30 * 1024 * 1024 };
+        const formats = kind === 'audio' ? AUDIO_FORMATS : VIDEO_FORMATS;
+        if (file.size > MAX_MEDIA_FILE_SIZES[kind]) {
+            return {
+                valid: false,
+                reason: `File size is too large (max ${MAX_MEDIA_FILE_SIZES[kind] / 1024 / 1024}MB)`
+            };
+        }
+        if (!formats.includes(extension)) {
+            return {
+                valid: false,
+                reason: `Unsupported ${kind} format: .${extension}. Supported formats: ${formats.join(', ')}`
+            };
+        }
+        return { valid: true, kind };
+    }
+
     /**
      * Converts base64 data to Blob
      * @param {string} base64Data - Base64 encoded image data
@@ -2292,7 +3858,12 @@ import { eventSource, event_types } from "../../../../script.js";
             'image/gif': 'gif',
             'image/webp': 'webp',
             'image/bmp': 'bmp',
-            'image/svg+xml': 'svg'
+            'image/svg+xml': 'svg',
+            'audio/mpeg': 'mp3',
+            'audio/wav': 'wav',
+            'audio/ogg': 'ogg',
+            'video/mp4': 'mp4',
+            'video/webm': 'webm'
         };
         return mimeMap[mimeType] || 'png';
     }
@@ -2747,36 +4318,82 @@ import { eventSource, event_types } from "../../../../script.js";
     }
 
     /**
-     * Shows a dialog to choose import method
-     * @returns {Promise<string|null>} - 'charx', 'userImages', 'manual', or null if cancelled
+     * Item line showing an asset's description / usage hint / NSFW mark / random weight; click to edit
+     * @param {Object} asset - Asset metadata entry
+     * @param {number} assetIndex - Index in the merged asset list
+     * @returns {string}
      */
-    async function showImportOptionsDialog() {
+    function buildAssetDetailsSummaryHtml(asset, assetIndex) {
+        const { description, whenToUse, nsfw, weight } = getAssetDetails(asset);
+        const tooltip = [
+            description,
+            whenToUse && `Use when: ${whenToUse}`,
+            weight !== null && `Random weight: ${weight}`,
+        ].filter(Boolean).join('\n') || 'Add a description';
+        const text = description || whenToUse
+            ? escapeHtmlAttr(description || `Use when: ${whenToUse}`)
+            : '<span class="inline-assets-item-details-empty">+ Description</span>';
+        const nsfwBadge = nsfw ? '<span class="inline-assets-nsfw-badge">NSFW</span>' : '';
+        const weightBadge = weight !== null ? `<span class="inline-assets-weight-badge">×${weight}</span>` : '';
+        return `<div class="inline-assets-item-details" data-action="edit-details" data-index="${assetIndex}" title="${escapeHtmlAttr(tooltip)}">${nsfwBadge}${weightBadge}<span class="inline-assets-item-details-text">${text}</span></div>`;
+    }
+
+    /**
+     * Edits description / when-to-use / NSFW / random weight for one asset, or several at once.
+     * With several assets, fields left empty and "Leave unchanged" keep each asset's own value.
+     * @param {Object[]} assets - Asset metadata entries
+     * @returns {Promise<Object|null>} changes for applyAssetDetails(), or null when cancelled
+     */
+    async function showAssetDetailsDialog(assets) {
         return new Promise((resolve) => {
+            const isBulk = assets.length > 1;
+            const current = isBulk ? { description: '', whenToUse: '', nsfw: false, weight: null } : getAssetDetails(assets[0]);
+            const title = isBulk ? `Edit ${assets.length} assets` : `Edit "${escapeHtmlAttr(assets[0].name)}"`;
+
             const dialog = document.createElement('div');
-            dialog.className = 'inline-assets-import-dialog';
+            dialog.className = 'inline-assets-details-dialog';
             dialog.innerHTML = `
-                <div class="inline-assets-import-dialog-content">
-                    <h4>Import Assets</h4>
-                    <p>Choose how to import assets:</p>
-                    <div class="inline-assets-import-options">
-                        <button class="menu_button" data-choice="charx">
-                            <i class="fa-solid fa-file-import"></i>
-                            Import from Charx
-                        </button>
-                        <button class="menu_button" data-choice="userImages">
-                            <i class="fa-solid fa-folder-open"></i>
-                            Scan user/images/ folder
-                        </button>
-                        <button class="menu_button" data-choice="manual">
-                            <i class="fa-solid fa-link"></i>
-                            Add manual URL
+                <div class="inline-assets-details-dialog-content">
+                    <h4>${title}</h4>
+                    ${isBulk ? '<p>Empty fields are left as they are. Fill one in to set it for every selected asset.</p>' : ''}
+
+                    <div class="form-group">
+                        <label for="iia-asset-description">Description:</label>
+                        <textarea id="iia-asset-description" rows="3" placeholder="She smiles softly, eyes half closed"></textarea>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="iia-asset-when">When to use:</label>
+                        <input type="text" id="iia-asset-when" placeholder="Greeting someone she likes">
+                    </div>
+
+                    <div class="form-group">
+                        <label for="iia-asset-nsfw">NSFW:</label>
+                        ${isBulk
+                            ? `<select id="iia-asset-nsfw">
+                                <option value="keep">Leave unchanged</option>
+                                <option value="yes">Mark as NSFW</option>
+                                <option value="no">Mark as safe</option>
+                            </select>`
+                            : '<label class="checkbox_label"><input type="checkbox" id="iia-asset-nsfw"> <span>Mark as NSFW</span></label>'}
+                    </div>
+
+                    <div class="form-group">
+                        <label for="iia-asset-weight">Random weight:</label>
+                        <input type="number" id="iia-asset-weight" min="0" step="any" placeholder="${isBulk ? 'Leave unchanged' : '1, or from a rarity tag (rare = 0.25)'}">
+                        <small>How often random picks ({{ia:rand:...}}, %%img:prefix_*%%) land on this asset. 2 = twice as often, 0 = never.</small>
+                    </div>
+
+                    <div class="dialog-buttons">
+                        ${isBulk ? '<button class="menu_button" id="iia-asset-details-clear" title="Remove description and usage hint from every selected asset">Clear text</button>' : ''}
+                        <button class="menu_button" id="iia-asset-details-save">
+                            <i class="fa-solid fa-check"></i> Save
                         </button>
+                        <button class="menu_button" id="iia-asset-details-cancel">Cancel</button>
                     </div>
-                    <button class="menu_button cancel-btn" data-choice="cancel">Cancel</button>
                 </div>
             `;
-            
-            // Add styles
+
             dialog.style.cssText = `
                 position: fixed;
                 top: 0;
@@ -2789,1834 +4406,5395 @@ import { eventSource, event_types } from "../../../../script.js";
                 justify-content: center;
                 z-index: 10000;
             `;
-            
-            const content = dialog.querySelector('.inline-assets-import-dialog-content');
+
+            const content = dialog.querySelector('.inline-assets-details-dialog-content');
             content.style.cssText = `
                 background: var(--SmartThemeBlurTintColor, #1a1a1a);
                 padding: 20px;
                 border-radius: 10px;
-                min-width: 300px;
-                text-align: center;
-            `;
-            
-            const options = dialog.querySelector('.inline-assets-import-options');
-            options.style.cssText = `
-                display: flex;
-                flex-direction: column;
-                gap: 10px;
-                margin: 15px 0;
+                min-width: 400px;
+                max-width: 500px;
             `;
-            
-            dialog.querySelectorAll('button').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    const choice = btn.dataset.choice;
-                    dialog.remove();
-                    resolve(choice === 'cancel' ? null : choice);
-                });
+
+            dialog.querySelectorAll('.form-group').forEach(fg => {
+                fg.style.cssText = 'margin-bottom: 15px;';
+                const label = fg.querySelector(':scope > label');
+                if (label) label.style.cssText = 'display: block; margin-bottom: 5px;';
             });
-            
+
+            const fieldStyle = 'width: 100%; padding: 8px; border-radius: 5px; background: var(--SmartThemeBodyColor, #333); color: var(--SmartThemeTextColor, #fff); border: 1px solid var(--SmartThemeBorderColor, #555);';
+            const descriptionInput = dialog.querySelector('#iia-asset-description');
+            const whenInput = dialog.querySelector('#iia-asset-when');
+            const nsfwInput = dialog.querySelector('#iia-asset-nsfw');
+            const weightInput = dialog.querySelector('#iia-asset-weight');
+            descriptionInput.style.cssText = fieldStyle;
+            whenInput.style.cssText = fieldStyle;
+            weightInput.style.cssText = fieldStyle;
+            if (isBulk) nsfwInput.style.cssText = fieldStyle;
+            dialog.querySelector('.dialog-buttons').style.cssText = 'display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;';
+
+            descriptionInput.value = current.description;
+            whenInput.value = current.whenToUse;
+            if (!isBulk) nsfwInput.checked = current.nsfw;
+            weightInput.value = current.weight ?? '';
+
+            const close = (result) => {
+                dialog.remove();
+                resolve(result);
+            };
+
+            dialog.querySelector('#iia-asset-details-cancel').addEventListener('click', () => close(null));
+
+            dialog.querySelector('#iia-asset-details-clear')?.addEventListener('click', () => {
+                if (confirm(`Remove the description and usage hint from ${assets.length} asset(s)?`)) {
+                    close({ description: '', whenToUse: '' });
+                }
+            });
+
+            dialog.querySelector('#iia-asset-details-save').addEventListener('click', () => {
+                if (!isBulk) {
+                    close({ description: descriptionInput.value, whenToUse: whenInput.value, nsfw: nsfwInput.checked, weight: weightInput.value });
+                    return;
+                }
+                const changes = {};
+                if (descriptionInput.value.trim()) changes.description = descriptionInput.value;
+                if (whenInput.value.trim()) changes.whenToUse = whenInput.value;
+                if (weightInput.value.trim()) changes.weight = weightInput.value;
+                if (nsfwInput.value !== 'keep') changes.nsfw = nsfwInput.value === 'yes';
+                close(Object.keys(changes).length > 0 ? changes : null);
+            });
+
             document.body.appendChild(dialog);
+            descriptionInput.focus();
         });
     }
 
     /**
-     * Scans user/images/{characterName}/ directory for images
-     * Uses HEAD requests to test if images exist at known paths
-     * Also tries to discover files by testing common patterns
-     * @param {string} characterName - Character name
-     * @param {Array<string>} knownNames - Optional array of known asset names to check
-     * @returns {Promise<Array>} - Array of found assets
+     * Shows the per-character settings dialog (saved with ContextUtil.saveSettings)
+     * @param {Object} character - Character object
+     * @returns {Promise<void>}
      */
-    async function scanUserImagesDirectory(characterName, knownNames = []) {
-        // Prefer SillyTavern Images API if available.
-        // If it returns data, it's more reliable than the old HEAD-probing approach.
-        try {
-            const sanitizedName = sanitizePathSegment(characterName);
-            const foldersToTry = [characterName];
-            if (sanitizedName && sanitizedName !== characterName) foldersToTry.push(sanitizedName);
+    async function showCharacterSettingsDialog(character) {
+        return new Promise((resolve) => {
+            const settings = ContextUtil.getSettings(character);
+            const promptTagMode = getPromptTagMode(character);
 
-            for (const folder of foldersToTry) {
-                let headers = await getApiHeaders();
-                let response = await fetch('/api/images/list', {
-                    method: 'POST',
-                    headers,
-                    body: JSON.stringify({
-                        folder,
-                        sortField: 'date',
-                        sortOrder: 'desc',
-                    }),
-                });
+            const dialog = document.createElement('div');
+            dialog.className = 'inline-assets-character-settings-dialog';
+            dialog.innerHTML = `
+                <div class="inline-assets-character-settings-content">
+                    <h4>Settings for ${escapeHtmlAttr(character.name)}</h4>
+
+                    <div class="form-group">
+                        <label for="iia-prompt-tag-mode">Chat tags in the prompt:</label>
+                        <select id="iia-prompt-tag-mode">
+                            <option value="keep">Keep as written</option>
+                            <option value="strip">Remove them</option>
+                            <option value="describe">Replace with a short description</option>
+                        </select>
+                        <small>Tags stay in the chat either way. Removing or describing them saves tokens and keeps the model from repeating the same images. Example description: <code>[image: smile — happy]</code></small>
+                    </div>
 
-                if (response.status === 403) {
-                    log('[InlineImageAssets] Got 403 on /api/images/list (scan), refreshing CSRF token and retrying...');
-                    invalidateCsrfToken();
-                    csrfDisabled = false;
-                    headers = await getApiHeaders();
-                    response = await fetch('/api/images/list', {
-                        method: 'POST',
-                        headers,
-                        body: JSON.stringify({
-                            folder,
-                            sortField: 'date',
-                            sortOrder: 'desc',
-                        }),
-                    });
-                }
+                    <div class="form-group">
+                        <label>Image limits:</label>
+                        <div class="iia-repeat-row">
+                            <span>Max images per message</span>
+                            <input type="number" id="iia-max-images" min="0" step="1" placeholder="No limit">
+                        </div>
+                        <div class="iia-repeat-row">
+                            <span>Messages before an image can repeat</span>
+                            <input type="number" id="iia-repeat-gap" min="0" step="1" placeholder="Off">
+                        </div>
+                        <label class="checkbox_label" for="iia-substitute-repeats">
+                            <input type="checkbox" id="iia-substitute-repeats">
+                            <span>Swap a repeat for another numbered variant (smile_1 → smile_2)</span>
+                        </label>
+                        <small>Applied when messages are shown. A repeat with no free variant is left out, and so are images over the limit.</small>
+                    </div>
 
-                if (response.status === 404) {
-                    // No images API on this server; fall back to probing.
-                    break;
-                }
+                    <div class="form-group">
+                        <label class="checkbox_label" for="iia-inject-prompt">
+                            <input type="checkbox" id="iia-inject-prompt">
+                            <span>Add the asset list to the prompt automatically</span>
+                        </label>
+                        <small>Updated whenever this character's assets change, so there is nothing to paste into the card.</small>
+                    </div>
 
-                if (response.ok) {
-                    const result = await response.json();
-                    if (Array.isArray(result)) {
-                        const assets = [];
-                        result.forEach((item) => {
-                            const src = (item && (item.src || item.url || item.path)) || item;
-                            let fileName = item && (item.name || item.filename);
-                            if ((!fileName || typeof fileName !== 'string') && typeof src === 'string') {
-                                fileName = src.split('/').pop();
-                            }
-                            if (!fileName || typeof fileName !== 'string') return;
+                    <div class="form-group iia-inject-options">
+                        <label for="iia-inject-position">Position:</label>
+                        <select id="iia-inject-position">
+                            <option value="in_prompt">After the story string</option>
+                            <option value="before_prompt">Before the story string</option>
+                            <option value="in_chat">In the chat, at a depth</option>
+                        </select>
+                        <div class="iia-inject-depth-row">
+                            <label for="iia-inject-depth">Depth (messages from the end):</label>
+                            <input type="number" id="iia-inject-depth" min="0" max="999" step="1">
+                        </div>
+                    </div>
 
-                            const ext = fileName.split('.').pop()?.toLowerCase();
-                            if (!SUPPORTED_FORMATS.includes(ext)) return;
+                    <div class="form-group iia-inject-options">
+                        <label for="iia-inject-template">Template:</label>
+                        <textarea id="iia-inject-template" rows="8"></textarea>
+                        <small>Placeholders: <code>{{asset_list}}</code> <code>{{asset_count}}</code> <code>{{description_list}}</code> <code>{{description_section}}</code> <code>{{tag_list}}</code> <code>{{tag_section}}</code> <code>{{sound_list}}</code> <code>{{sound_section}}</code>. Also used by the Copy Asset List Prompt button.</small>
+                        <button class="menu_button" id="iia-inject-template-reset" type="button">
+                            <i class="fa-solid fa-rotate-left"></i> Reset template
+                        </button>
+                    </div>
 
-                            const assetName = fileName.substring(0, fileName.lastIndexOf('.'));
-                            const url = (typeof src === 'string' && src.startsWith('/'))
-                                ? src
-                                : `/user/images/${folder}/${fileName}`;
+                    <div class="dialog-buttons">
+                        <button class="menu_button" id="iia-character-settings-save">
+                            <i class="fa-solid fa-check"></i> Save
+                        </button>
+                        <button class="menu_button" id="iia-character-settings-cancel">Cancel</button>
+                    </div>
+                </div>
+            `;
 
-                            assets.push({
-                                name: assetName,
-                                filename: fileName,
-                                path: url,
-                                url,
-                                tags: [],
-                                isImageDir: true,
-                                size: item && item.size,
-                                modified: item && (item.modified || item.mtime),
-                            });
-                        });
+            dialog.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                background: rgba(0,0,0,0.7);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10000;
+            `;
 
-                        // If the API works, trust it (even if empty) to avoid expensive probing.
-                        return assets;
-                    }
-                }
-            }
-        } catch (e) {
-            log('Images API list failed during scan, falling back to probing:', e.message);
-        }
+            const content = dialog.querySelector('.inline-assets-character-settings-content');
+            content.style.cssText = `
+                background: var(--SmartThemeBlurTintColor, #1a1a1a);
+                padding: 20px;
+                border-radius: 10px;
+                min-width: 400px;
+                max-width: 560px;
+                max-height: 90vh;
+                overflow-y: auto;
+            `;
 
-        const foundAssets = [];
-        const sanitizedName = sanitizePathSegment(characterName);
-        const testedUrls = new Set();
-        
-        // Try different base paths - prioritize original name for unicode support
-        const basePaths = [
-            `/user/images/${characterName}`,
-            `/user/images/${sanitizedName}`,
-        ];
-        
-        // Remove duplicates
-        const uniqueBasePaths = [...new Set(basePaths)];
-        
-        // Common image filenames to try
-        const commonNames = new Set();
-        
-        // Add known names first (from existing assets)
-        knownNames.forEach(name => {
-            SUPPORTED_FORMATS.forEach(ext => {
-                commonNames.add(`${name}.${ext}`);
+            dialog.querySelectorAll('.form-group').forEach(fg => {
+                fg.style.cssText = 'margin-bottom: 15px;';
+                const label = fg.querySelector('label');
+                if (label) label.style.cssText = 'display: block; margin-bottom: 5px;';
+                const help = fg.querySelector('small');
+                if (help) help.style.cssText = 'display: block; margin-top: 5px; opacity: 0.7;';
+            });
+
+            const fieldStyle = 'width: 100%; padding: 8px; border-radius: 5px; background: var(--SmartThemeBodyColor, #333); color: var(--SmartThemeTextColor, #fff); border: 1px solid var(--SmartThemeBorderColor, #555);';
+            const select = dialog.querySelector('#iia-prompt-tag-mode');
+            select.value = promptTagMode;
+
+            const maxImagesInput = dialog.querySelector('#iia-max-images');
+            const repeatGapInput = dialog.querySelector('#iia-repeat-gap');
+            const substituteCheckbox = dialog.querySelector('#iia-substitute-repeats');
+            [maxImagesInput, repeatGapInput].forEach(field => field.style.cssText = `${fieldStyle} width: 90px;`);
+            dialog.querySelectorAll('.iia-repeat-row').forEach(row => row.style.cssText = 'display: flex; gap: 8px; align-items: center; justify-content: space-between; margin-bottom: 6px;');
+            const savedMaxImages = parseInt(settings.maxImagesPerMessage, 10);
+            const savedRepeatGap = parseInt(settings.minRepeatGap, 10);
+            maxImagesInput.value = savedMaxImages > 0 ? savedMaxImages : '';
+            repeatGapInput.value = savedRepeatGap > 0 ? savedRepeatGap : '';
+            substituteCheckbox.checked = settings.substituteRepeats !== false;
+
+            const injectCheckbox = dialog.querySelector('#iia-inject-prompt');
+            const positionSelect = dialog.querySelector('#iia-inject-position');
+            const depthInput = dialog.querySelector('#iia-inject-depth');
+            const templateInput = dialog.querySelector('#iia-inject-template');
+            [select, positionSelect, depthInput, templateInput].forEach(field => field.style.cssText = fieldStyle);
+            templateInput.style.fontFamily = 'monospace';
+            templateInput.style.fontSize = '0.85em';
+            dialog.querySelectorAll('.checkbox_label').forEach(label => label.style.cssText = 'display: flex; gap: 8px; align-items: center;');
+            dialog.querySelector('.iia-inject-depth-row').style.cssText = 'margin-top: 8px;';
+            dialog.querySelector('#iia-inject-template-reset').style.cssText = 'margin-top: 8px;';
+
+            injectCheckbox.checked = !!settings.injectPrompt;
+            positionSelect.value = ASSET_PROMPT_POSITIONS[settings.injectPosition] ? settings.injectPosition : DEFAULT_ASSET_PROMPT_POSITION;
+            depthInput.value = Number.isInteger(settings.injectDepth) ? settings.injectDepth : DEFAULT_ASSET_PROMPT_DEPTH;
+            templateInput.value = (settings.injectTemplate || '').toString().trim() ? settings.injectTemplate : DEFAULT_ASSET_PROMPT_TEMPLATE;
+
+            const updateInjectionFields = () => {
+                dialog.querySelectorAll('.iia-inject-options').forEach(el => el.style.opacity = injectCheckbox.checked ? '1' : '0.5');
+                dialog.querySelector('.iia-inject-depth-row').style.display = positionSelect.value === 'in_chat' ? 'block' : 'none';
+            };
+            injectCheckbox.addEventListener('change', updateInjectionFields);
+            positionSelect.addEventListener('change', updateInjectionFields);
+            updateInjectionFields();
+
+            dialog.querySelector('#iia-inject-template-reset').addEventListener('click', () => {
+                templateInput.value = DEFAULT_ASSET_PROMPT_TEMPLATE;
+            });
+
+            const buttons = dialog.querySelector('.dialog-buttons');
+            buttons.style.cssText = 'display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;';
+
+            const close = () => {
+                dialog.remove();
+                resolve();
+            };
+
+            dialog.querySelector('#iia-character-settings-cancel').addEventListener('click', close);
+
+            dialog.querySelector('#iia-character-settings-save').addEventListener('click', async () => {
+                const context = getContext();
+                const characterId = context.characters.indexOf(character);
+                if (characterId < 0) {
+                    toastr.error('Character not found.');
+                    return;
+                }
+
+                const updated = { ...settings };
+                if (select.value === DEFAULT_PROMPT_TAG_MODE) {
+                    delete updated.promptTagMode;
+                } else {
+                    updated.promptTagMode = select.value;
+                }
+
+                const maxImages = parseInt(maxImagesInput.value, 10);
+                const repeatGap = parseInt(repeatGapInput.value, 10);
+                if (maxImages > 0) {
+                    updated.maxImagesPerMessage = maxImages;
+                } else {
+                    delete updated.maxImagesPerMessage;
+                }
+                if (repeatGap > 0) {
+                    updated.minRepeatGap = repeatGap;
+                } else {
+                    delete updated.minRepeatGap;
+                }
+                updated.substituteRepeats = substituteCheckbox.checked;
+                const limitsChanged = updated.maxImagesPerMessage !== settings.maxImagesPerMessage
+                    || updated.minRepeatGap !== settings.minRepeatGap
+                    || updated.substituteRepeats !== (settings.substituteRepeats !== false);
+
+                updated.injectPrompt = injectCheckbox.checked;
+                updated.injectPosition = positionSelect.value;
+                const depth = parseInt(depthInput.value, 10);
+                updated.injectDepth = Number.isInteger(depth) && depth >= 0 ? depth : DEFAULT_ASSET_PROMPT_DEPTH;
+                // Store only a customized template, so default improvements reach everyone else
+                const template = templateInput.value;
+                if (!template.trim() || template.trim() === DEFAULT_ASSET_PROMPT_TEMPLATE.trim()) {
+                    delete updated.injectTemplate;
+                } else {
+                    updated.injectTemplate = template;
+                }
+
+                await ContextUtil.saveSettings(characterId, updated);
+                if (limitsChanged) rerenderChatImages();
+                toastr.success('Character settings saved.');
+                close();
+            });
+
+            document.body.appendChild(dialog);
+        });
+    }
+
+    /**
+     * Shows the asset list prompt with a token estimate. The budget and grouping can be tried
+     * out live, then copied and/or saved for the automatic injection.
+     * @param {Object} character - Character object
+     * @param {Array} assets - Asset records
+     * @returns {Promise<void>}
+     */
+    async function showAssetPromptPreviewDialog(character, assets) {
+        return new Promise((resolve) => {
+            const settings = ContextUtil.getSettings(character);
+
+            const dialog = document.createElement('div');
+            dialog.className = 'inline-assets-prompt-preview-dialog';
+            dialog.innerHTML = `
+                <div class="inline-assets-prompt-preview-content">
+                    <h4>Asset List Prompt</h4>
+
+                    <div class="iia-prompt-preview-options">
+                        <label for="iia-prompt-budget">Token budget</label>
+                        <input type="number" id="iia-prompt-budget" min="0" step="100" placeholder="No limit">
+                        <label for="iia-prompt-group-by">Group by</label>
+                        <select id="iia-prompt-group-by">
+                            <option value="folder">Folder</option>
+                            <option value="tag">First tag</option>
+                        </select>
+                    </div>
+
+                    <textarea id="iia-prompt-preview-text" rows="14" readonly></textarea>
+                    <div id="iia-prompt-preview-stats"></div>
+
+                    <div class="dialog-buttons">
+                        <button class="menu_button" id="iia-prompt-preview-copy">
+                            <i class="fa-solid fa-copy"></i> Copy
+                        </button>
+                        <button class="menu_button" id="iia-prompt-preview-save" title="Use this budget and grouping for the copy button and the automatic injection">
+                            <i class="fa-solid fa-floppy-disk"></i> Save settings
+                        </button>
+                        <button class="menu_button" id="iia-prompt-preview-close">Close</button>
+                    </div>
+                </div>
+            `;
+
+            dialog.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                background: rgba(0,0,0,0.7);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10000;
+            `;
+
+            const content = dialog.querySelector('.inline-assets-prompt-preview-content');
+            content.style.cssText = `
+                background: var(--SmartThemeBlurTintColor, #1a1a1a);
+                padding: 20px;
+                border-radius: 10px;
+                min-width: 400px;
+                width: min(700px, 95vw);
+            `;
+
+            const fieldStyle = 'padding: 6px 8px; border-radius: 5px; background: var(--SmartThemeBodyColor, #333); color: var(--SmartThemeTextColor, #fff); border: 1px solid var(--SmartThemeBorderColor, #555);';
+            dialog.querySelector('.iia-prompt-preview-options').style.cssText = 'display: flex; gap: 8px; align-items: center; flex-wrap: wrap; margin-bottom: 10px;';
+            const budgetInput = dialog.querySelector('#iia-prompt-budget');
+            const groupSelect = dialog.querySelector('#iia-prompt-group-by');
+            const textArea = dialog.querySelector('#iia-prompt-preview-text');
+            const stats = dialog.querySelector('#iia-prompt-preview-stats');
+            budgetInput.style.cssText = `${fieldStyle} width: 110px;`;
+            groupSelect.style.cssText = fieldStyle;
+            textArea.style.cssText = `${fieldStyle} width: 100%; font-family: monospace; font-size: 0.85em; resize: vertical;`;
+            stats.style.cssText = 'margin-top: 6px; font-size: 0.9em; opacity: 0.8;';
+            dialog.querySelector('.dialog-buttons').style.cssText = 'display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;';
+
+            const savedBudget = Number(settings.promptTokenBudget) || 0;
+            budgetInput.value = savedBudget > 0 ? savedBudget : '';
+            groupSelect.value = ASSET_PROMPT_GROUP_BY.includes(settings.promptGroupBy) ? settings.promptGroupBy : 'folder';
+
+            const readOptions = () => {
+                const budget = parseInt(budgetInput.value, 10);
+                return { budget: Number.isInteger(budget) && budget > 0 ? budget : 0, groupBy: groupSelect.value };
+            };
+
+            // The exact count comes from SillyTavern's tokenizer when available; the budget fit uses the estimate
+            let refreshToken = 0;
+            const refresh = async () => {
+                const options = readOptions();
+                const result = buildAssetListPromptDetails(assets, { template: settings.injectTemplate, ...options });
+                textArea.value = result.text;
+                const budgetText = options.budget > 0 ? ` of ${options.budget}` : '';
+                const overBudget = options.budget > 0 && result.tokens > options.budget ? ' — over budget' : '';
+                stats.textContent = `~${result.tokens}${budgetText} tokens (estimated) · ${ASSET_PROMPT_DETAIL_LABELS[result.level]}${overBudget}`;
+
+                const token = ++refreshToken;
+                const context = getContext();
+                if (typeof context.getTokenCountAsync !== 'function') return;
+                try {
+                    const counted = await context.getTokenCountAsync(result.text);
+                    if (token !== refreshToken) return;
+                    stats.textContent = `${counted}${budgetText} tokens · ${ASSET_PROMPT_DETAIL_LABELS[result.level]}${overBudget}`;
+                } catch (error) {
+                    log('Token count failed, keeping the estimate:', error);
+                }
+            };
+            budgetInput.addEventListener('input', refresh);
+            groupSelect.addEventListener('change', refresh);
+            refresh();
+
+            const close = () => {
+                dialog.remove();
+                resolve();
+            };
+
+            dialog.querySelector('#iia-prompt-preview-close').addEventListener('click', close);
+
+            dialog.querySelector('#iia-prompt-preview-copy').addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(textArea.value);
+                    toastr.success("Prompt copied!");
+                } catch (err) {
+                    toastr.error("Failed to copy.");
+                }
+            });
+
+            dialog.querySelector('#iia-prompt-preview-save').addEventListener('click', async () => {
+                const context = getContext();
+                const characterId = context.characters.indexOf(character);
+                if (characterId < 0) {
+                    toastr.error('Character not found.');
+                    return;
+                }
+                const { budget, groupBy } = readOptions();
+                const updated = { ...ContextUtil.getSettings(character), promptGroupBy: groupBy };
+                if (budget > 0) {
+                    updated.promptTokenBudget = budget;
+                } else {
+                    delete updated.promptTokenBudget;
+                }
+                await ContextUtil.saveSettings(characterId, updated);
+                toastr.success('Prompt settings saved.');
+            });
+
+            document.body.appendChild(dialog);
+        });
+    }
+
+    /**
+     * Edits a character's trigger rules and tests them against an existing chat message
+     * @param {Object} character - Character object
+     * @returns {Promise<void>}
+     */
+    async function showTriggerRulesDialog(character) {
+        return new Promise((resolve) => {
+            const settings = ContextUtil.getSettings(character);
+            const rules = (Array.isArray(settings.triggerRules) ? settings.triggerRules : []).map(rule => ({ ...rule }));
+            const context = getContext();
+            const lastMesId = Math.max(0, (context.chat?.length || 1) - 1);
+
+            const dialog = document.createElement('div');
+            dialog.className = 'inline-assets-trigger-rules-dialog';
+            dialog.innerHTML = `
+                <div class="inline-assets-trigger-rules-content">
+                    <h4>Trigger Rules for ${escapeHtmlAttr(character.name)}</h4>
+                    <small class="iia-trigger-help">Add an image when one of ${escapeHtmlAttr(character.name)}'s messages matches, even without a chat tag. Pattern: comma-separated keywords (<code>laughs, giggles</code>) or a regex (<code>/\\b(laughs|giggles)\\b/i</code>). Image: an asset name, <code>smile_*</code> or <code>#tag</code>. Cooldown: messages to wait before the rule fires again.</small>
+
+                    <div class="iia-trigger-rule-list"></div>
+                    <button class="menu_button" id="iia-trigger-add" type="button">
+                        <i class="fa-solid fa-plus"></i> Add rule
+                    </button>
+
+                    <div class="iia-trigger-test">
+                        <label for="iia-trigger-test-mesid">Test on message #</label>
+                        <input type="number" id="iia-trigger-test-mesid" min="0" max="${lastMesId}" step="1" value="${lastMesId}">
+                        <button class="menu_button" id="iia-trigger-test-run" type="button">
+                            <i class="fa-solid fa-flask"></i> Test
+                        </button>
+                    </div>
+                    <div class="iia-trigger-test-results"></div>
+
+                    <div class="dialog-buttons">
+                        <button class="menu_button" id="iia-trigger-save">
+                            <i class="fa-solid fa-check"></i> Save
+                        </button>
+                        <button class="menu_button" id="iia-trigger-cancel">Cancel</button>
+                    </div>
+                </div>
+            `;
+
+            dialog.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                background: rgba(0,0,0,0.7);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10000;
+            `;
+
+            const content = dialog.querySelector('.inline-assets-trigger-rules-content');
+            content.style.cssText = `
+                background: var(--SmartThemeBlurTintColor, #1a1a1a);
+                padding: 20px;
+                border-radius: 10px;
+                min-width: 400px;
+                width: min(760px, 95vw);
+                max-height: 90vh;
+                overflow-y: auto;
+            `;
+
+            const fieldStyle = 'padding: 6px 8px; border-radius: 5px; background: var(--SmartThemeBodyColor, #333); color: var(--SmartThemeTextColor, #fff); border: 1px solid var(--SmartThemeBorderColor, #555);';
+            dialog.querySelector('.iia-trigger-help').style.cssText = 'display: block; margin-bottom: 12px; opacity: 0.7;';
+            dialog.querySelector('#iia-trigger-add').style.cssText = 'margin-top: 8px;';
+            dialog.querySelector('.iia-trigger-test').style.cssText = 'display: flex; gap: 8px; align-items: center; flex-wrap: wrap; margin-top: 16px;';
+            dialog.querySelector('#iia-trigger-test-mesid').style.cssText = `${fieldStyle} width: 90px;`;
+            dialog.querySelector('.dialog-buttons').style.cssText = 'display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;';
+
+            const list = dialog.querySelector('.iia-trigger-rule-list');
+            const results = dialog.querySelector('.iia-trigger-test-results');
+            const placementOptions = Object.entries(TRIGGER_PLACEMENTS)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+            // Rows are re-rendered from `rules` on add/remove, so edits are read back first
+            const readRows = () => {
+                list.querySelectorAll('.iia-trigger-rule').forEach((row, index) => {
+                    const cooldown = parseInt(row.querySelector('.iia-trigger-cooldown').value, 10);
+                    rules[index] = {
+                        enabled: row.querySelector('.iia-trigger-enabled').checked,
+                        pattern: row.querySelector('.iia-trigger-pattern').value.trim(),
+                        target: row.querySelector('.iia-trigger-target').value.trim(),
+                        placement: row.querySelector('.iia-trigger-placement').value,
+                        cooldown: Number.isInteger(cooldown) && cooldown > 0 ? cooldown : 0,
+                    };
+                });
+            };
+
+            const renderRows = () => {
+                list.innerHTML = rules.length === 0
+                    ? '<div class="iia-trigger-empty">No rules yet.</div>'
+                    : rules.map((rule, index) => `
+                        <div class="iia-trigger-rule" data-index="${index}">
+                            <input type="checkbox" class="iia-trigger-enabled" title="Enabled"${rule.enabled !== false ? ' checked' : ''}>
+                            <input type="text" class="iia-trigger-pattern" placeholder="laughs, giggles" value="${escapeHtmlAttr(rule.pattern || '')}">
+                            <input type="text" class="iia-trigger-target" placeholder="#laughing" value="${escapeHtmlAttr(rule.target || '')}">
+                            <select class="iia-trigger-placement">${placementOptions}</select>
+                            <input type="number" class="iia-trigger-cooldown" min="0" step="1" title="Cooldown (messages)" value="${parseInt(rule.cooldown, 10) || 0}">
+                            <button class="menu_button menu_button_icon iia-trigger-remove" type="button" title="Remove rule">
+                                <i class="fa-solid fa-trash"></i>
+                            </button>
+                        </div>
+                    `).join('');
+
+                list.querySelectorAll('.iia-trigger-rule').forEach((row, index) => {
+                    row.style.cssText = 'display: flex; gap: 6px; align-items: center; margin-bottom: 6px;';
+                    row.querySelector('.iia-trigger-pattern').style.cssText = `${fieldStyle} flex: 2; min-width: 0;`;
+                    row.querySelector('.iia-trigger-target').style.cssText = `${fieldStyle} flex: 1; min-width: 0;`;
+                    row.querySelector('.iia-trigger-cooldown').style.cssText = `${fieldStyle} width: 60px;`;
+                    const placement = row.querySelector('.iia-trigger-placement');
+                    placement.style.cssText = fieldStyle;
+                    placement.value = TRIGGER_PLACEMENTS[rules[index].placement] ? rules[index].placement : DEFAULT_TRIGGER_PLACEMENT;
+                    row.querySelector('.iia-trigger-remove').addEventListener('click', () => {
+                        readRows();
+                        rules.splice(index, 1);
+                        renderRows();
+                    });
+                });
+                const empty = list.querySelector('.iia-trigger-empty');
+                if (empty) empty.style.cssText = 'opacity: 0.6; margin-bottom: 6px;';
+            };
+            renderRows();
+
+            dialog.querySelector('#iia-trigger-add').addEventListener('click', () => {
+                readRows();
+                rules.push({ enabled: true, pattern: '', target: '', placement: DEFAULT_TRIGGER_PLACEMENT, cooldown: 0 });
+                renderRows();
+                list.querySelector('.iia-trigger-rule:last-child .iia-trigger-pattern')?.focus();
+            });
+
+            dialog.querySelector('#iia-trigger-test-run').addEventListener('click', async () => {
+                readRows();
+                const testContext = getContext();
+                const mesId = parseInt(dialog.querySelector('#iia-trigger-test-mesid').value, 10);
+                const message = testContext.chat?.[mesId];
+                if (!message) {
+                    results.textContent = 'No message with that number in this chat.';
+                    return;
+                }
+                const enabled = rules.filter(rule => rule.enabled !== false);
+                if (enabled.length === 0) {
+                    results.textContent = 'No enabled rules to test.';
+                    return;
+                }
+
+                const isOwn = !message.is_user && !message.is_system && ContextUtil.getMessageAssetOwner(message, testContext) === character;
+                const tested = await testTriggerRules(enabled, character, mesId);
+                const lines = tested.map(({ rule, error, matched, fires, lastFired, asset, paragraph }) => {
+                    const label = `<code>${escapeHtmlAttr(rule.pattern)}</code> → <code>${escapeHtmlAttr(rule.target)}</code>`;
+                    let status;
+                    if (error) {
+                        status = `<span class="iia-trigger-miss">${error}</span>`;
+                    } else if (!matched) {
+                        status = '<span class="iia-trigger-miss">no match</span>';
+                    } else if (!fires) {
+                        status = isOwn
+                            ? `<span class="iia-trigger-miss">on cooldown (fired at #${lastFired})</span>`
+                            : '<span class="iia-trigger-miss">matches, but not this character\'s message</span>';
+                    } else if (!asset) {
+                        status = '<span class="iia-trigger-miss">fires, but the image was not found</span>';
+                    } else {
+                        const where = TRIGGER_PLACEMENTS[rule.placement].toLowerCase();
+                        status = `<span class="iia-trigger-hit">fires: ${escapeHtmlAttr(asset)}, ${where}</span>`;
+                    }
+                    const quote = matched && paragraph ? `<div class="iia-trigger-paragraph">${escapeHtmlAttr(paragraph.slice(0, 160))}${paragraph.length > 160 ? '…' : ''}</div>` : '';
+                    return `<div class="iia-trigger-result">${label}: ${status}${quote}</div>`;
+                });
+                results.innerHTML = lines.join('');
+                results.querySelectorAll('.iia-trigger-paragraph').forEach(el => el.style.cssText = 'opacity: 0.7; font-size: 0.85em; margin-left: 12px;');
+                results.querySelectorAll('.iia-trigger-miss').forEach(el => el.style.cssText = 'opacity: 0.7;');
+                results.querySelectorAll('.iia-trigger-hit').forEach(el => el.style.cssText = 'color: var(--SmartThemeQuoteColor, #8c8);');
+            });
+            results.style.cssText = 'margin-top: 8px; font-size: 0.9em; display: flex; flex-direction: column; gap: 4px;';
+
+            const close = () => {
+                dialog.remove();
+                resolve();
+            };
+
+            dialog.querySelector('#iia-trigger-cancel').addEventListener('click', close);
+
+            dialog.querySelector('#iia-trigger-save').addEventListener('click', async () => {
+                readRows();
+                const invalid = rules.find(rule => rule.pattern && !compileTriggerPattern(rule.pattern));
+                if (invalid) {
+                    toastr.error(`Invalid pattern: ${invalid.pattern}`);
+                    return;
+                }
+
+                const saveContext = getContext();
+                const characterId = saveContext.characters.indexOf(character);
+                if (characterId < 0) {
+                    toastr.error('Character not found.');
+                    return;
+                }
+
+                const updated = { ...ContextUtil.getSettings(character) };
+                const kept = rules.filter(rule => rule.pattern && rule.target);
+                if (kept.length > 0) {
+                    updated.triggerRules = kept;
+                } else {
+                    delete updated.triggerRules;
+                }
+                await ContextUtil.saveSettings(characterId, updated);
+                refreshTriggeredImages();
+                toastr.success('Trigger rules saved.');
+                close();
+            });
+
+            document.body.appendChild(dialog);
+        });
+    }
+
+    /**
+     * Shows a dialog to choose import method
+     * @returns {Promise<string|null>} - 'charx', 'userImages', 'manual', or null if cancelled
+     */
+    async function showImportOptionsDialog() {
+        return new Promise((resolve) => {
+            const dialog = document.createElement('div');
+            dialog.className = 'inline-assets-import-dialog';
+            dialog.innerHTML = `
+                <div class="inline-assets-import-dialog-content">
+                    <h4>Import Assets</h4>
+                    <p>Choose how to import assets:</p>
+                    <div class="inline-assets-import-options">
+                        <button class="menu_button" data-choice="charx">
+                            <i class="fa-solid fa-file-import"></i>
+                            Import from Charx
+                        </button>
+                        <button class="menu_button" data-choice="userImages">
+                            <i class="fa-solid fa-folder-open"></i>
+                            Scan user/images/ folder
+                        </button>
+                        <button class="menu_button" data-choice="manual">
+                            <i class="fa-solid fa-link"></i>
+                            Add manual URL
+                        </button>
+                    </div>
+                    <button class="menu_button cancel-btn" data-choice="cancel">Cancel</button>
+                </div>
+            `;
+            
+            // Add styles
+            dialog.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                background: rgba(0,0,0,0.7);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10000;
+            `;
+            
+            const content = dialog.querySelector('.inline-assets-import-dialog-content');
+            content.style.cssText = `
+                background: var(--SmartThemeBlurTintColor, #1a1a1a);
+                padding: 20px;
+                border-radius: 10px;
+                min-width: 300px;
+                text-align: center;
+            `;
+            
+            const options = dialog.querySelector('.inline-assets-import-options');
+            options.style.cssText = `
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                margin: 15px 0;
+            `;
+            
+            dialog.querySelectorAll('button').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const choice = btn.dataset.choice;
+                    dialog.remove();
+                    resolve(choice === 'cancel' ? null : choice);
+                });
             });
+            
+            document.body.appendChild(dialog);
+        });
+    }
+
+    /**
+     * Scans user/images/{characterName}/ directory for images
+     * Uses HEAD requests to test if images exist at known paths
+     * Also tries to discover files by testing common patterns
+     * @param {string} characterName - Character name
+     * @param {Array<string>} knownNames - Optional array of known asset names to check
+     * @returns {Promise<Array>} - Array of found assets
+     */
+    async function scanUserImagesDirectory(characterName, knownNames = []) {
+        // Prefer SillyTavern Images API if available.
+        // If it returns data, it's more reliable than the old HEAD-probing approach.
+        try {
+            const sanitizedName = sanitizePathSegment(characterName);
+            const foldersToTry = [characterName];
+            if (sanitizedName && sanitizedName !== characterName) foldersToTry.push(sanitizedName);
+
+            for (const folder of foldersToTry) {
+                let headers = await getApiHeaders();
+                let response = await fetch('/api/images/list', {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({
+                        folder,
+                        sortField: 'date',
+                        sortOrder: 'desc',
+                    }),
+                });
+
+                if (response.status === 403) {
+                    log('[InlineImageAssets] Got 403 on /api/images/list (scan), refreshing CSRF token and retrying...');
+                    invalidateCsrfToken();
+                    csrfDisabled = false;
+                    headers = await getApiHeaders();
+                    response = await fetch('/api/images/list', {
+                        method: 'POST',
+                        headers,
+                        body: JSON.stringify({
+                            folder,
+                            sortField: 'date',
+                            sortOrder: 'desc',
+                        }),
+                    });
+                }
+
+                if (response.status === 404) {
+                    // No images API on this server; fall back to probing.
+                    break;
+                }
+
+                if (response.ok) {
+                    const result = await response.json();
+                    if (Array.isArray(result)) {
+                        const assets = [];
+                        result.forEach((item) => {
+                            const src = (item && (item.src || item.url || item.path)) || item;
+                            let fileName = item && (item.name || item.filename);
+                            if ((!fileName || typeof fileName !== 'string') && typeof src === 'string') {
+                                fileName = src.split('/').pop();
+                            }
+                            if (!fileName || typeof fileName !== 'string') return;
+
+                            const ext = fileName.split('.').pop()?.toLowerCase();
+                            if (!SUPPORTED_FORMATS.includes(ext)) return;
+
+                            const assetName = fileName.substring(0, fileName.lastIndexOf('.'));
+                            const url = (typeof src === 'string' && src.startsWith('/'))
+                                ? src
+                                : `/user/images/${folder}/${fileName}`;
+
+                            assets.push({
+                                name: assetName,
+                                filename: fileName,
+                                path: url,
+                                url,
+                                tags: [],
+                                isImageDir: true,
+                                size: item && item.size,
+                                modified: item && (item.modified || item.mtime),
+                            });
+                        });
+
+                        // If the API works, trust it (even if empty) to avoid expensive probing.
+                        return assets;
+                    }
+                }
+            }
+        } catch (e) {
+            log('Images API list failed during scan, falling back to probing:', e.message);
+        }
+
+        const foundAssets = [];
+        const sanitizedName = sanitizePathSegment(characterName);
+        const testedUrls = new Set();
+        
+        // Try different base paths - prioritize original name for unicode support
+        const basePaths = [
+            `/user/images/${characterName}`,
+            `/user/images/${sanitizedName}`,
+        ];
+        
+        // Remove duplicates
+        const uniqueBasePaths = [...new Set(basePaths)];
+        
+        // Common image filenames to try
+        const commonNames = new Set();
+        
+        // Add known names first (from existing assets)
+        knownNames.forEach(name => {
+            SUPPORTED_FORMATS.forEach(ext => {
+                commonNames.add(`${name}.${ext}`);
+            });
+        });
+        
+        // Generate common expression names
+        const expressions = [
+            'smile', 'happy', 'sad', 'angry', 'surprised', 'neutral', 'blush', 'smirk',
+            'worried', 'excited', 'shy', 'embarrassed', 'confused', 'thinking', 'crying',
+            'laughing', 'serious', 'annoyed', 'scared', 'love', 'heart', 'wink',
+            'default', 'normal', 'idle', 'talk', 'speaking'
+        ];
+        
+        expressions.forEach(expr => {
+            SUPPORTED_FORMATS.forEach(ext => {
+                commonNames.add(`${expr}.${ext}`);
+            });
+        });
+        
+        // Also try numbered patterns and common naming conventions
+        for (let i = 1; i <= 30; i++) {
+            SUPPORTED_FORMATS.forEach(ext => {
+                commonNames.add(`${i}.${ext}`);
+                commonNames.add(`image${i}.${ext}`);
+                commonNames.add(`img${i}.${ext}`);
+                commonNames.add(`pic${i}.${ext}`);
+                commonNames.add(`photo${i}.${ext}`);
+            });
+        }
+        
+        // Add alphabet-based patterns (a.png, b.png, etc.)
+        'abcdefghijklmnopqrstuvwxyz'.split('').forEach(letter => {
+            SUPPORTED_FORMATS.forEach(ext => {
+                commonNames.add(`${letter}.${ext}`);
+            });
+        });
+        
+        log(`Scanning for images in user/images/ for character: ${characterName}`);
+        log(`Testing ${commonNames.size} filename patterns across ${uniqueBasePaths.length} base paths`);
+        
+        // Helper function to test a URL
+        async function testUrl(url) {
+            if (testedUrls.has(url)) return null;
+            testedUrls.add(url);
+            
+            try {
+                const response = await fetch(url, { method: 'HEAD' });
+                if (response.ok) {
+                    return url;
+                }
+            } catch (e) {
+                // Ignore errors
+            }
+            return null;
+        }
+        
+        // Test each base path
+        let workingBasePath = null;
+        
+        for (const basePath of uniqueBasePaths) {
+            // Quick test with a few common filenames to find working base path
+            const quickTestNames = ['1.png', 'default.png', 'smile.png', 'happy.png', 'normal.png'];
+            
+            for (const testName of quickTestNames) {
+                const url = `${basePath}/${testName}`;
+                const result = await testUrl(url);
+                
+                if (result) {
+                    workingBasePath = basePath;
+                    const assetName = testName.substring(0, testName.lastIndexOf('.'));
+                    
+                    foundAssets.push({
+                        name: assetName,
+                        filename: testName,
+                        path: url,
+                        url: url,
+                        tags: [],
+                        isImageDir: true
+                    });
+                    log(`Found image: ${url}`);
+                    break;
+                }
+            }
+            
+            if (workingBasePath) break;
+        }
+        
+        // If we found a working base path, test all common names
+        if (workingBasePath) {
+            log(`Found working base path: ${workingBasePath}`);
+            
+            // Test remaining filenames in parallel batches for speed
+            const filenames = Array.from(commonNames);
+            const batchSize = 10;
+            
+            for (let i = 0; i < filenames.length; i += batchSize) {
+                const batch = filenames.slice(i, i + batchSize);
+                const promises = batch.map(async (filename) => {
+                    const url = `${workingBasePath}/${filename}`;
+                    const result = await testUrl(url);
+                    
+                    if (result) {
+                        const assetName = filename.substring(0, filename.lastIndexOf('.'));
+                        
+                        if (!foundAssets.some(a => a.name === assetName)) {
+                            return {
+                                name: assetName,
+                                filename: filename,
+                                path: url,
+                                url: url,
+                                tags: [],
+                                isImageDir: true
+                            };
+                        }
+                    }
+                    return null;
+                });
+                
+                const results = await Promise.all(promises);
+                results.filter(Boolean).forEach(asset => {
+                    foundAssets.push(asset);
+                    log(`Found image: ${asset.url}`);
+                });
+            }
+        } else {
+            // No working base path found, try all paths with all names
+            log('No working base path found, trying all combinations...');
+            
+            for (const basePath of uniqueBasePaths) {
+                for (const filename of Array.from(commonNames).slice(0, 50)) { // Limit to first 50
+                    const url = `${basePath}/${filename}`;
+                    const result = await testUrl(url);
+                    
+                    if (result) {
+                        const assetName = filename.substring(0, filename.lastIndexOf('.'));
+                        
+                        if (!foundAssets.some(a => a.name === assetName)) {
+                            foundAssets.push({
+                                name: assetName,
+                                filename: filename,
+                                path: url,
+                                url: url,
+                                tags: [],
+                                isImageDir: true
+                            });
+                            log(`Found image: ${url}`);
+                        }
+                    }
+                }
+            }
+        }
+        
+        log(`Scan complete. Found ${foundAssets.length} images`);
+        return foundAssets;
+    }
+
+    /**
+     * Imports charx assets to the character's image directory
+     * @param {string} characterName - Character name
+     * @param {Array} charxAssets - Array of charx asset info
+     * @returns {Promise<Array>} - Array of imported asset info
+     */
+    async function importCharxAssets(characterName, charxAssets) {
+        const importedAssets = [];
+        
+        for (const asset of charxAssets) {
+            try {
+                // Fetch the image from charx location
+                const response = await fetch(asset.url);
+                if (!response.ok) continue;
+                
+                const blob = await response.blob();
+                const savedFile = await saveImageFile(characterName, asset.filename, blob);
+                
+                importedAssets.push({
+                    name: asset.name,
+                    filename: savedFile.filename,
+                    path: savedFile.path,
+                    url: savedFile.url,
+                    tags: []
+                });
+            } catch (error) {
+                console.error(`[InlineImageAssets] Failed to import charx asset ${asset.name}:`, error);
+            }
+        }
+        
+        return importedAssets;
+    }
+
+    // === CONTEXT UTILITIES ===
+    
+    class ContextUtil {
+        static getCharacterFromData(message, context) {
+            // Optimization: Don't search if user message
+            if (message.is_user) return null;
+            // Group chat messages record the author's avatar (names can repeat across cards)
+            if (message.original_avatar && context.characters) {
+                const byAvatar = context.characters.find(c => c.avatar === message.original_avatar);
+                if (byAvatar) return byAvatar;
+            }
+            // Direct lookup if possible, fallback to find
+            if (context.characters && context.characterId !== undefined) {
+                 // Assuming the current chat belongs to the current character mostly
+                 const current = context.characters[context.characterId];
+                 if (current && current.name === message.name) return current;
+            }
+            const character = context.characters.find(c => c.name === message.name);
+            return character;
+        }
+
+        /**
+         * Gets the characters of the open chat: the group members in a group chat,
+         * otherwise the selected character
+         * @param {Object} context - SillyTavern context
+         * @returns {Array} - Character objects
+         */
+        static getChatCharacters(context) {
+            if (context.groupId) {
+                const group = context.groups?.find(g => g.id === context.groupId);
+                return (group?.members || [])
+                    .map(avatar => context.characters?.find(c => c.avatar === avatar))
+                    .filter(Boolean);
+            }
+            const character = context.characters?.[context.characterId];
+            return character ? [character] : [];
+        }
+
+        /**
+         * Gets the character whose assets a message's tags resolve against
+         * @param {Object} message - Chat message
+         * @param {Object} context - SillyTavern context
+         * @returns {Object|null} - The author in group chats; the selected character otherwise
+         */
+        static getMessageAssetOwner(message, context) {
+            if (!context.groupId) {
+                return context.characters?.[context.characterId] || null;
+            }
+            return ContextUtil.getCharacterFromData(message, context) || null;
+        }
+
+        /**
+         * Gets assets for a character (file-based)
+         * @param {Object} character - Character object
+         * @returns {Array} - Array of asset info
+         */
+        static getAssetsRaw(character) {
+            if (character && character.data && character.data.extensions) {
+                // Prefer new file-based assets
+                const fileAssets = character.data.extensions.inline_image_assets || [];
+                if (fileAssets.length > 0) {
+                    log(`getAssetsRaw: Found ${fileAssets.length} file-based assets`);
+                    return fileAssets;
+                }
+                // Fallback to legacy base64 (for migration)
+                const legacyAssets = character.data.extensions.inline_image_assets_b64 || [];
+                if (legacyAssets.length > 0) {
+                    log(`getAssetsRaw: Found ${legacyAssets.length} legacy base64 assets`);
+                    return legacyAssets;
+                }
+            }
+            log('getAssetsRaw: No assets found');
+            return [];
+        }
+
+        /**
+         * Saves asset metadata to character
+         * @param {number} characterId - Character ID
+         * @param {Array} assets - Array of asset metadata
+         */
+        static async saveAssets(characterId, assets) {
+            // Save to new file-based field
+            getContext().writeExtensionField(characterId, 'inline_image_assets', assets);
+            // Invalidate cache when assets change
+            invalidateAssetCache();
+            // Keep the injected asset list in sync
+            updateAssetPromptInjection();
+        }
+
+        /**
+         * Gets per-character extension settings (default asset, etc.)
+         * @param {Object} character - Character object
+         * @returns {Object} - Settings object (empty if none saved)
+         */
+        static getSettings(character) {
+            return character?.data?.extensions?.inline_image_assets_settings || {};
+        }
+
+        /**
+         * Saves per-character extension settings
+         * @param {number} characterId - Character ID
+         * @param {Object} settings - Settings object
+         */
+        static async saveSettings(characterId, settings) {
+            getContext().writeExtensionField(characterId, 'inline_image_assets_settings', settings);
+            updateAssetPromptInjection();
+        }
+
+        /**
+         * Clears legacy base64 data after migration
+         * @param {number} characterId - Character ID
+         */
+        static async clearLegacyAssets(characterId) {
+            getContext().writeExtensionField(characterId, 'inline_image_assets_b64', []);
+        }
+    }
+
+    // === GLOBAL PERFORMANCE BOOSTER ===
+    // This runs for ALL characters, regardless of assets
+    function initializePerformanceBooster() {
+        if (performanceBoosterInitialized) return;
+        
+        log('Initializing Global Performance Booster');
+        
+        // Inject performance CSS
+        injectPerformanceCSS();
+        
+        // Setup scroll performance optimizations
+        setupScrollPerformance();
+        
+        // Apply content-visibility to existing messages
+        applyContentVisibility();
+        
+        // Setup observer for new messages (lightweight, always active)
+        setupPerformanceObserver();
+        
+        performanceBoosterInitialized = true;
+        console.log('[InlineImageAssets] Global Performance Booster activated for all chats');
+    }
+
+    function injectPerformanceCSS() {
+        if (performanceStyleElement) return;
+        
+        performanceStyleElement = document.createElement('style');
+        performanceStyleElement.id = 'inline-assets-performance-boost';
+        performanceStyleElement.textContent = `
+            /* === GLOBAL PERFORMANCE OPTIMIZATIONS v5.0 === */
+            /* content-visibility removed - causes scrollbar issues */
+            /* Using CSS containment only for performance */
+            
+            /* Message container optimization */
+            #chat .mes {
+                contain: layout style !important;
+            }
+            
+            /* Text content optimization */
+            #chat .mes .mes_text {
+                contain: layout style !important;
+            }
+            
+            /* Avatar optimization */
+            #chat .mes .avatar img {
+                contain: layout !important;
+            }
+            
+            /* Optimize swipe containers */
+            #chat .mes .swipe_left,
+            #chat .mes .swipe_right {
+                contain: layout style !important;
+            }
+            
+            /* Optimize message block */
+            #chat .mes .mes_block {
+                contain: layout style !important;
+            }
+            
+            /* Inline asset images */
+            #chat .mes .inline-asset-image {
+                contain: layout !important;
+                max-width: 100%;
+                height: auto;
+            }
+        `;
+        
+        document.head.appendChild(performanceStyleElement);
+        log('Performance CSS v5.0 injected (containment only, no content-visibility)');
+    }
+
+    function setupScrollPerformance() {
+        const chatElement = document.getElementById('chat');
+        if (!chatElement || chatElement.dataset.perfScrollSetup) return;
+        
+        // Simple scroll tracking for asset rendering optimization
+        // No content-visibility manipulation needed
+        chatElement.dataset.perfScrollSetup = 'true';
+        log('Scroll performance v5.0 setup complete (simplified)');
+    }
+
+    function applyContentVisibility() {
+        const chatElement = document.getElementById('chat');
+        if (!chatElement) return;
+        
+        // The CSS handles most of this, but we can add data attributes for fine-tuning
+        const messages = chatElement.querySelectorAll('.mes');
+        const viewportHeight = window.innerHeight;
+        const chatRect = chatElement.getBoundingClientRect();
+        
+        messages.forEach((msg) => {
+            const msgRect = msg.getBoundingClientRect();
+            const isVisible = msgRect.bottom >= chatRect.top && msgRect.top <= viewportHeight;
+            
+            // Mark visibility state for potential future optimizations
+            if (!isVisible) {
+                msg.dataset.offscreen = 'true';
+            } else {
+                delete msg.dataset.offscreen;
+            }
+        });
+        
+        log(`Applied content visibility hints to ${messages.length} messages`);
+    }
+
+    // Lightweight observer that only adds performance hints to new messages
+    let performanceObserver = null;
+
+    // === MACRO AUTO-RESOLVE (for {{ia:...}} etc) ===
+    // Goal: Let users write macros directly in chat/regex HTML without having to call
+    // window.inlineImageAssetsMacros.resolve(...) manually.
+    let macroObserver = null;
+    let macroMutationBatch = [];
+    let macroMutationTimeout = null;
+    let macroRenderQueue = [];
+    let isMacroRenderScheduled = false;
+    const MACRO_RENDER_BATCH_SIZE = 4;
+
+    function hasInlineImageAssetsMacros(html) {
+        if (!html) return false;
+        // Keep this conservative: only our macro names to avoid stepping on other systems.
+        return /\{\{\s*(?:ia|iaImagePath|iaCssPath|iaJsPath|iaHtmlPath|iaListFiles)\s*(?:::|:)/.test(html);
+    }
+
+    function hashString32FNV1a(str) {
+        // Fast non-crypto hash for change detection.
+        let h = 2166136261;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 16777619);
+        }
+        return (h >>> 0).toString(16);
+    }
+
+    function scheduleMacroRender() {
+        if (isMacroRenderScheduled) return;
+        isMacroRenderScheduled = true;
+
+        const ric = window.requestIdleCallback || ((cb) => setTimeout(() => cb({ timeRemaining: () => 0 }), 1));
+        ric(async (deadline) => {
+            try {
+                await processMacroRenderBatch(deadline);
+            } finally {
+                isMacroRenderScheduled = false;
+                if (macroRenderQueue.length > 0) {
+                    scheduleMacroRender();
+                }
+            }
+        }, { timeout: 100 });
+    }
+
+    function queueMessageForMacroResolve(messageElement) {
+        if (!messageElement || messageElement.nodeType !== Node.ELEMENT_NODE) return;
+        if (!messageElement.matches?.('.mes')) return;
+        if (!macroRenderQueue.includes(messageElement)) {
+            macroRenderQueue.push(messageElement);
+            scheduleMacroRender();
+        }
+    }
+
+    async function resolveMacrosInMessageElement(messageElement) {
+        if (!messageElement || messageElement.nodeType !== Node.ELEMENT_NODE) return;
+        const textElement = messageElement.querySelector?.('.mes_text');
+        if (!textElement) return;
+        if (textElement.dataset?.iiaMacroRendering === 'true') return;
+
+        const html = textElement.innerHTML || '';
+        if (!hasInlineImageAssetsMacros(html)) {
+            // Track hash anyway so we can detect future edits.
+            textElement.dataset.iiaMacroHash = hashString32FNV1a(html);
+            return;
+        }
+
+        const currentHash = hashString32FNV1a(html);
+        if (textElement.dataset.iiaMacroHash === currentHash) return;
+
+        const api = window.inlineImageAssetsMacros;
+        if (!api || typeof api.resolveWithTavernHelper !== 'function') {
+            // Should not happen when extension is loaded, but fail gracefully.
+            textElement.dataset.iiaMacroHash = currentHash;
+            return;
+        }
+
+        textElement.dataset.iiaMacroRendering = 'true';
+        try {
+            // "\{{" stays a literal "{{" joined by a zero-width character, so later passes leave it alone.
+            // Deck draws are remembered per message and swipe; without a known message they wait.
+            const message = getDeckMessage(getContext(), parseInt(messageElement.getAttribute('mesid')));
+            const resolved = await api.resolveWithTavernHelper(html, { literalOpen: '{\u2060{', message, deckOps: message !== null });
+            if (typeof resolved === 'string' && resolved !== html) {
+                textElement.innerHTML = resolved;
+            }
+        } catch (err) {
+            macroError('Auto macro resolve failed', err);
+        } finally {
+            const finalHtml = textElement.innerHTML || '';
+            textElement.dataset.iiaMacroHash = hashString32FNV1a(finalHtml);
+            delete textElement.dataset.iiaMacroRendering;
+        }
+    }
+
+    async function processMacroRenderBatch(deadline) {
+        let processed = 0;
+        while (macroRenderQueue.length > 0 && processed < MACRO_RENDER_BATCH_SIZE) {
+            if (deadline && typeof deadline.timeRemaining === 'function' && deadline.timeRemaining() < 2) {
+                break;
+            }
+            const el = macroRenderQueue.shift();
+            if (el && el.isConnected) {
+                // eslint-disable-next-line no-await-in-loop
+                await resolveMacrosInMessageElement(el);
+                processed++;
+            }
+        }
+    }
+
+    function processMacroMutationBatch() {
+        const uniqueMessages = new Set();
+
+        for (const mutation of macroMutationBatch) {
+            // Added nodes: likely new messages
+            if (mutation.addedNodes && mutation.addedNodes.length > 0) {
+                for (const node of mutation.addedNodes) {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        if (node.matches?.('.mes')) {
+                            uniqueMessages.add(node);
+                        } else if (node.querySelectorAll) {
+                            node.querySelectorAll('.mes').forEach(m => uniqueMessages.add(m));
+                        }
+                    }
+                }
+            }
+
+            // Character data changes: streaming edits often mutate text nodes.
+            if (mutation.type === 'characterData' || mutation.type === 'childList') {
+                const targetEl = mutation.target?.nodeType === Node.ELEMENT_NODE
+                    ? mutation.target
+                    : mutation.target?.parentElement;
+                const mes = targetEl?.closest?.('.mes');
+                if (mes) uniqueMessages.add(mes);
+            }
+        }
+
+        macroMutationBatch = [];
+        for (const msg of uniqueMessages) {
+            queueMessageForMacroResolve(msg);
+        }
+    }
+
+    function setupMacroObserver() {
+        const chatElement = document.getElementById('chat');
+        if (!chatElement || macroObserver) return;
+
+        macroObserver = new MutationObserver((mutations) => {
+            macroMutationBatch.push(...mutations);
+            if (macroMutationTimeout) clearTimeout(macroMutationTimeout);
+            macroMutationTimeout = setTimeout(() => {
+                processMacroMutationBatch();
+                macroMutationTimeout = null;
+            }, 50);
+        });
+
+        // Observe subtree to catch streaming updates to message HTML.
+        macroObserver.observe(chatElement, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+        });
+
+        // Initial pass for existing messages
+        chatElement.querySelectorAll('.mes').forEach(m => queueMessageForMacroResolve(m));
+        log('Macro auto-resolve observer setup complete');
+    }
+    
+    // === NATIVE MACROS (SillyTavern macro engine + final prompt) ===
+    // SillyTavern's macro registry only knows fixed names, so the first asset names of the character
+    // and persona are registered as concrete macros ({{ia:smile}}, {{ia:char:smile}}, {{ia:user:smile}}).
+    // Everything else ({{ia:rand:...}}, options, names past the limit) is expanded in the finished prompt,
+    // which covers the card, author's note and world info text that SillyTavern sends.
+    const NATIVE_MACRO_NAME_LIMIT = 100;
+    let registeredNativeMacros = [];
+    // Owners whose names past the limit were already reported ("Alice:130"), so the warning shows once
+    const reportedNativeMacroOverflows = new Set();
+
+    /**
+     * Card and author's note texts of the current chat (where macros are usually written)
+     * @param {Object} context - SillyTavern context
+     * @returns {string[]}
+     */
+    function getMacroSourceTexts(context) {
+        const texts = [];
+        for (const character of ContextUtil.getChatCharacters(context)) {
+            const data = character.data || {};
+            texts.push(
+                character.description, character.personality, character.scenario, character.first_mes, character.mes_example,
+                data.system_prompt, data.post_history_instructions,
+                ...(data.character_book?.entries || []).map(entry => entry?.content),
+            );
+        }
+        texts.push(context.chatMetadata?.note_prompt);
+        return texts.filter(text => typeof text === 'string' && text);
+    }
+
+    /**
+     * Builds the asset caches the synchronous macros read and resolves the card's other macros
+     * (paths, listings, markup), then refreshes the native macro registrations.
+     */
+    async function prewarmMacroCaches() {
+        try {
+            const context = getContext();
+            for (const character of ContextUtil.getChatCharacters(context)) {
+                await buildAssetCache(character, context);
+            }
+            const personaName = getCurrentPersonaName();
+            if (personaName) await buildPersonaAssetCache(personaName);
+
+            const texts = getMacroSourceTexts(context).filter(hasInlineImageAssetsMacros);
+            await Promise.all(texts.map(text => resolveInlineImageAssetsMacros(text, { deckOps: false })));
+            registerNativeAssetMacros(context);
+        } catch (err) {
+            macroError('Macro prewarm failed', err);
+        }
+    }
+
+    /**
+     * Registers concrete {{ia:name}} macros for the current character's and persona's assets
+     * @param {Object} context - SillyTavern context
+     */
+    function registerNativeAssetMacros(context = getContext()) {
+        if (typeof context.registerMacro !== 'function') return;
+
+        const overflows = [];
+        const listNames = (cache, owner) => {
+            const names = (getAssetIndex(cache)?.records || [])
+                .map(record => record.name)
+                .filter(name => name && name === name.trim() && !/[{}|:]/.test(name));
+            if (names.length > NATIVE_MACRO_NAME_LIMIT) overflows.push({ owner, count: names.length });
+            return names.slice(0, NATIVE_MACRO_NAME_LIMIT);
+        };
+
+        const keys = new Set();
+        const character = context.characters?.[context.characterId];
+        const charCache = character ? characterAssetCaches.get(getCharacterCacheKey(character)) : null;
+        for (const name of listNames(charCache, character?.name)) {
+            keys.add(`ia:${name}`);
+            keys.add(`ia:char:${name}`);
+        }
+        const personaName = getCurrentPersonaName();
+        if (personaName && cachedPersonaName === personaName) {
+            for (const name of listNames(personaAssetCache, personaName)) {
+                keys.add(`ia:${name}`);
+                keys.add(`ia:user:${name}`);
+            }
+        }
+        reportNativeMacroOverflows(overflows);
+
+        for (const key of registeredNativeMacros) {
+            if (!keys.has(key)) context.unregisterMacro?.(key);
+        }
+        const previous = new Set(registeredNativeMacros);
+        for (const key of keys) {
+            if (previous.has(key)) continue;
+            try {
+                // Looked up on every expansion, so the value follows asset changes
+                context.registerMacro(key, () => resolveInlineImageAssetsMacrosSync(`{{${key}}}`), 'InlineImageAssets asset URL');
+            } catch (err) {
+                macroWarn(`Could not register macro {{${key}}}`, err);
+                keys.delete(key);
+            }
+        }
+        registeredNativeMacros = Array.from(keys);
+        log(`Registered ${registeredNativeMacros.length} native asset macros`);
+    }
+
+    /**
+     * Warns that asset names past NATIVE_MACRO_NAME_LIMIT weren't registered as native macros
+     * (once per owner and name count)
+     * @param {Array<{owner: string, count: number}>} overflows
+     */
+    function reportNativeMacroOverflows(overflows) {
+        for (const { owner, count } of overflows) {
+            const reportKey = `${owner}:${count}`;
+            if (reportedNativeMacroOverflows.has(reportKey)) continue;
+            reportedNativeMacroOverflows.add(reportKey);
+            const skipped = count - NATIVE_MACRO_NAME_LIMIT;
+            macroWarn(`${owner}: only the first ${NATIVE_MACRO_NAME_LIMIT} of ${count} asset names are registered as SillyTavern macros`);
+            toastr.warning(`${owner} has ${count} assets. {{ia:...}} works in slash commands and other SillyTavern macro fields for the first ${NATIVE_MACRO_NAME_LIMIT} only; the other ${skipped} are expanded in the prompt only.`);
+        }
+    }
+
+    /**
+     * Expands the remaining {{ia:...}} macros in the finished prompt (chat completion messages and
+     * the combined text completion prompt)
+     */
+    function setupNativeMacroHooks() {
+        if (event_types.CHAT_COMPLETION_PROMPT_READY) {
+            eventSource.on(event_types.CHAT_COMPLETION_PROMPT_READY, (eventData) => {
+                for (const message of eventData?.chat || []) {
+                    if (typeof message?.content === 'string') {
+                        message.content = resolveInlineImageAssetsMacrosSync(message.content);
+                    } else if (Array.isArray(message?.content)) {
+                        message.content.forEach(part => {
+                            if (part?.type === 'text' && typeof part.text === 'string') {
+                                part.text = resolveInlineImageAssetsMacrosSync(part.text);
+                            }
+                        });
+                    }
+                }
+            });
+        }
+        if (event_types.GENERATE_AFTER_COMBINE_PROMPTS) {
+            eventSource.on(event_types.GENERATE_AFTER_COMBINE_PROMPTS, (data) => {
+                if (typeof data?.prompt === 'string') {
+                    data.prompt = resolveInlineImageAssetsMacrosSync(data.prompt);
+                }
+            });
+        }
+    }
+
+    function setupPerformanceObserver() {
+        const chatElement = document.getElementById('chat');
+        if (!chatElement || performanceObserver) return;
+        
+        performanceObserver = new MutationObserver((mutations) => {
+            for (const mutation of mutations) {
+                if (mutation.addedNodes.length > 0) {
+                    for (const node of mutation.addedNodes) {
+                        if (node.nodeType === Node.ELEMENT_NODE) {
+                            if (node.classList?.contains('mes')) {
+                                // New message added - CSS will handle optimization
+                                // Note: content-visibility removed to fix scrollbar issues
+                            }
+                        }
+                    }
+                }
+            }
+        });
+        
+        performanceObserver.observe(chatElement, {
+            childList: true,
+            subtree: false // Only watch direct children for performance
+        });
+        
+        log('Performance observer setup complete');
+    }
+
+    // === CACHE MANAGEMENT ===
+    function invalidateAssetCache() {
+        characterAssetCaches.clear();
+        thumbnailCache.clear();
+        verifiedAssetUrls.clear();
+        isAssetRenderingActive = false; // Reset active state
+        // Also invalidate CSRF token to ensure fresh token on next request
+        invalidateCsrfToken();
+        log('Asset cache invalidated');
+    }
+
+    function invalidatePersonaAssetCache() {
+        personaAssetCache.clear();
+        cachedPersonaName = null;
+        log('Persona asset cache invalidated');
+    }
+
+    /**
+     * Builds the secondary index stored alongside an asset cache.
+     * Precomputes everything the per-tag lookups need, so rendering never scans cache.entries().
+     * @param {Array<{name: string, url: string, tags: string[], aliases: string[]}>} records - One record per asset
+     * @param {Map} cache - The finished name -> url cache
+     * @returns {{records: Array, byTag: Map, lowerKeys: Map, normalizedKeys: Map, fuzzyEntries: Array}}
+     */
+    function buildAssetIndex(records, cache) {
+        const byTag = new Map();
+        for (const record of records) {
+            for (const tag of record.tags) {
+                const key = tag.toLowerCase();
+                if (!byTag.has(key)) byTag.set(key, []);
+                byTag.get(key).push(record);
+            }
+        }
+
+        // Case-insensitive and separator-insensitive exact lookups (first key wins)
+        const lowerKeys = new Map();
+        const normalizedKeys = new Map();
+        for (const [key, value] of cache.entries()) {
+            const lowerKey = key.toLowerCase();
+            if (!lowerKeys.has(lowerKey)) lowerKeys.set(lowerKey, value);
+            const normalizedKey = normalizeAssetNameForMatch(key);
+            if (normalizedKey && !normalizedKeys.has(normalizedKey)) normalizedKeys.set(normalizedKey, value);
+        }
+
+        // Fuzzy candidates: every name and alias, pre-normalized and tokenized
+        const fuzzyEntries = [];
+        for (const record of records) {
+            for (const name of [record.name, ...record.aliases]) {
+                const normalized = normalizeAssetNameForMatch(name);
+                if (!normalized) continue;
+                fuzzyEntries.push({ name: record.name, matchedName: name, url: record.url, normalized, tokens: tokenizeAssetName(normalized) });
+            }
+        }
+
+        // Source -> record, for the details of whatever a tag resolved to
+        const byUrl = new Map();
+        for (const record of records) {
+            if (!byUrl.has(record.url)) byUrl.set(record.url, record);
+        }
+
+        return { records, byTag, lowerKeys, normalizedKeys, fuzzyEntries, byUrl };
+    }
+
+    /**
+     * Gets the secondary index for a cache built by buildAssetCache/buildPersonaAssetCache
+     * @param {Map} cache - Asset cache
+     * @returns {Object|null} - Index or null if the cache has none
+     */
+    function getAssetIndex(cache) {
+        return (cache && assetCacheIndexes.get(cache)) || null;
+    }
+
+    /**
+     * Finds the index record of a resolved asset source
+     * @param {Map[]} caches - Asset caches, highest priority first
+     * @param {string} url - URL or base64 source
+     * @returns {Object|null}
+     */
+    function findAssetRecordByUrl(caches, url) {
+        for (const cache of caches || []) {
+            const record = getAssetIndex(cache)?.byUrl.get(url);
+            if (record) return record;
+        }
+        return null;
+    }
+
+    /**
+     * Gets the alias list of an asset entry (extra names that resolve to the same file)
+     * @param {Object} asset - Asset metadata entry
+     * @returns {string[]} - Trimmed, non-empty aliases
+     */
+    function getAssetAliases(asset) {
+        if (!Array.isArray(asset?.aliases)) return [];
+        return asset.aliases
+            .filter(a => typeof a === 'string' && a.trim())
+            .map(a => a.trim());
+    }
+
+    const ASSET_DETAIL_TEXT_FIELDS = ['description', 'whenToUse'];
+
+    /**
+     * Parses a random-pick weight
+     * @param {*} value - Stored or typed value
+     * @returns {number|null} - A finite number >= 0, or null when unset/invalid
+     */
+    function parseAssetWeight(value) {
+        if (typeof value === 'string') value = value.trim();
+        if (value === null || value === undefined || value === '') return null;
+        const weight = Number(value);
+        return Number.isFinite(weight) && weight >= 0 ? weight : null;
+    }
+
+    /**
+     * Gets an asset's details (editable in the asset manager)
+     * @param {Object} asset - Asset metadata entry
+     * @returns {{description: string, whenToUse: string, nsfw: boolean, weight: number|null}}
+     */
+    function getAssetDetails(asset) {
+        const text = (value) => (typeof value === 'string' ? value.trim() : '');
+        return {
+            description: text(asset?.description),
+            whenToUse: text(asset?.whenToUse),
+            nsfw: asset?.nsfw === true,
+            weight: parseAssetWeight(asset?.weight),
+        };
+    }
+
+    /**
+     * Applies detail changes to an asset entry. Empty text, nsfw=false and an empty weight remove the field.
+     * @param {Object} asset - Asset metadata entry (modified in place)
+     * @param {Object} changes - Any of description, whenToUse, nsfw, weight
+     */
+    function applyAssetDetails(asset, changes) {
+        for (const field of ASSET_DETAIL_TEXT_FIELDS) {
+            if (!(field in changes)) continue;
+            const value = (changes[field] ?? '').toString().trim();
+            if (value) asset[field] = value;
+            else delete asset[field];
+        }
+        if ('weight' in changes) {
+            const weight = parseAssetWeight(changes.weight);
+            if (weight !== null) asset.weight = weight;
+            else delete asset.weight;
+        }
+        if ('nsfw' in changes) {
+            if (changes.nsfw) asset.nsfw = true;
+            else delete asset.nsfw;
+        }
+    }
+
+    /**
+     * Adds alias keys to a finished cache. Aliases resolve to the same file under the same
+     * lookup variants as real names, but never shadow a key that is already taken.
+     * @param {Map} cache - Asset cache
+     * @param {Array<[string, string]>} aliasEntries - [alias, url] pairs
+     */
+    function applyAliasKeys(cache, aliasEntries) {
+        for (const [alias, url] of aliasEntries) {
+            for (const key of [alias, sanitizeFilename(alias), getCanonicalAssetKey(alias), alias.toLowerCase()]) {
+                if (!cache.has(key)) {
+                    cache.set(key, url);
+                }
+            }
+        }
+    }
+
+    /**
+     * Checks a new alias against the asset list
+     * @param {Array} assets - Asset metadata entries
+     * @param {number} index - Index of the asset receiving the alias
+     * @param {string} alias - Trimmed alias
+     * @returns {string|null} - Error message, or null if the alias can be added
+     */
+    function validateAssetAlias(assets, index, alias) {
+        if (!alias) return 'Alias cannot be empty.';
+        const key = getCanonicalAssetKey(alias);
+        if (getCanonicalAssetKey(assets[index]?.name) === key) {
+            return 'An alias cannot repeat the asset name.';
+        }
+        for (let i = 0; i < assets.length; i++) {
+            if (getCanonicalAssetKey(assets[i]?.name) === key) {
+                return `"${alias}" is already the name of another asset.`;
+            }
+            if (getAssetAliases(assets[i]).some(a => getCanonicalAssetKey(a) === key)) {
+                return i === index
+                    ? `"${alias}" is already an alias of this asset.`
+                    : `"${alias}" is already an alias of "${assets[i].name}".`;
+            }
+        }
+        return null;
+    }
+
+    function toAssetIndexRecord(name, url, tags, aliases = [], details = null) {
+        return {
+            name,
+            url,
+            tags: Array.isArray(tags) ? tags.filter(t => typeof t === 'string' && t.trim()).map(t => t.trim()) : [],
+            aliases,
+            ...getAssetDetails(details),
+        };
+    }
+
+    /**
+     * Gets current persona name from context
+     * @returns {string|null} - Current persona name or null
+     */
+    function getCurrentPersonaName() {
+        const context = getContext();
+        // SillyTavern stores persona info in name1 or user_avatar
+        return context.name1 || null;
+    }
+
+    /**
+     * Gets persona assets from extension settings
+     * @param {string} personaName - Persona name
+     * @returns {Array} - Array of asset info
+     */
+    function getPersonaAssetsRaw(personaName) {
+        if (!personaName) return [];
+        
+        const context = getContext();
+        // Store persona assets in extension settings
+        const extensionSettings = context.extensionSettings || {};
+        const inlineAssetsSettings = extensionSettings.inlineImageAssets || {};
+        const personaAssets = inlineAssetsSettings.personas || {};
+        
+        const assets = personaAssets[personaName] || [];
+        log(`getPersonaAssetsRaw: Found ${assets.length} assets for persona "${personaName}"`);
+        return assets;
+    }
+
+    /**
+     * Saves persona assets to extension settings
+     * @param {string} personaName - Persona name
+     * @param {Array} assets - Array of asset metadata
+     */
+    async function savePersonaAssets(personaName, assets) {
+        if (!personaName) return;
+        
+        const context = getContext();
+        // Initialize settings structure if needed
+        if (!context.extensionSettings.inlineImageAssets) {
+            context.extensionSettings.inlineImageAssets = {};
+        }
+        if (!context.extensionSettings.inlineImageAssets.personas) {
+            context.extensionSettings.inlineImageAssets.personas = {};
+        }
+        
+        context.extensionSettings.inlineImageAssets.personas[personaName] = assets;
+        
+        // Save settings
+        context.saveSettingsDebounced();
+        
+        // Invalidate cache
+        invalidatePersonaAssetCache();
+        log(`Saved ${assets.length} assets for persona "${personaName}"`);
+    }
+
+    /**
+     * Builds persona asset cache
+     * @param {string} personaName - Persona name
+     * @returns {Promise<Map>} - Asset cache map
+     */
+    async function buildPersonaAssetCache(personaName) {
+        if (!personaName) return new Map();
+        
+        // Return existing cache if valid
+        if (cachedPersonaName === personaName && personaAssetCache.size > 0) {
+            return personaAssetCache;
+        }
+        
+        personaAssetCache.clear();
+        const assets = getPersonaAssetsRaw(personaName);
+        const indexRecords = [];
+        const aliasEntries = []; // [alias, url] - applied last so aliases never shadow real names
+        
+        log(`Building persona asset cache for ${personaName}, ${assets.length} assets from settings`);
+        
+        // Also try to get file list from file system
+        let fileSystemAssets = [];
+        try {
+            fileSystemAssets = await listPersonaImages(personaName);
+            log(`Found ${fileSystemAssets.length} persona files in file system (user/files/)`);
+        } catch (e) {
+            log('Could not list persona file system assets:', e.message);
+        }
+        
+        // Create a map of filename -> URL from file system
+        const fileUrlMap = new Map();
+        fileSystemAssets.forEach(fa => {
+            if (fa.filename && fa.url) {
+                fileUrlMap.set(fa.filename, fa.url);
+                fileUrlMap.set(fa.name, fa.url);
+                const sanitizedName = sanitizeFilename(fa.name);
+                if (sanitizedName !== fa.name) {
+                    fileUrlMap.set(sanitizedName, fa.url);
+                }
+                fileUrlMap.set(fa.name.toLowerCase(), fa.url);
+            }
+        });
+        
+        for (const asset of assets) {
+            if (asset.name) {
+                let url = asset.url;
+                
+                if (!url && asset.filename) {
+                    url = `/user/files/${asset.filename}`;
+                } else if (!url && fileUrlMap.has(asset.name)) {
+                    url = fileUrlMap.get(asset.name);
+                }
+                
+                if (url) {
+                    personaAssetCache.set(asset.name, url);
+                    indexRecords.push(toAssetIndexRecord(asset.name, url, asset.tags, getAssetAliases(asset), asset));
+                    getAssetAliases(asset).forEach(alias => aliasEntries.push([alias, url]));
+                    log(`Cached persona asset: ${asset.name} -> ${url}`);
+                    
+                    const sanitizedName = sanitizeFilename(asset.name);
+                    if (sanitizedName !== asset.name && !personaAssetCache.has(sanitizedName)) {
+                        personaAssetCache.set(sanitizedName, url);
+                    }
+                    
+                    const lowerName = asset.name.toLowerCase();
+                    if (!personaAssetCache.has(lowerName)) {
+                        personaAssetCache.set(lowerName, url);
+                    }
+                }
+            }
+        }
+        
+        // Also add any file system assets not in settings
+        fileSystemAssets.forEach(fa => {
+            if (fa.name && !personaAssetCache.has(fa.name) && fa.url) {
+                personaAssetCache.set(fa.name, fa.url);
+                indexRecords.push(toAssetIndexRecord(fa.name, fa.url, []));
+                log(`Added persona file system asset to cache: ${fa.name} -> ${fa.url}`);
+                
+                const sanitizedName = sanitizeFilename(fa.name);
+                if (sanitizedName !== fa.name && !personaAssetCache.has(sanitizedName)) {
+                    personaAssetCache.set(sanitizedName, fa.url);
+                }
+                
+                const lowerName = fa.name.toLowerCase();
+                if (!personaAssetCache.has(lowerName)) {
+                    personaAssetCache.set(lowerName, fa.url);
+                }
+            }
+        });
+        
+        applyAliasKeys(personaAssetCache, aliasEntries);
+
+        assetCacheIndexes.set(personaAssetCache, buildAssetIndex(indexRecords, personaAssetCache));
+        cachedPersonaName = personaName;
+        replanPendingShownImages();
+        
+        log(`Persona asset cache built: ${personaAssetCache.size} items for persona ${personaName}`);
+        return personaAssetCache;
+    }
+
+    /**
+     * Check if current character has any assets.
+     * This is the KEY function for asset rendering mode.
+     * @returns {boolean} true if character has assets
+     */
+    function checkCharacterHasAssets() {
+        const context = getContext();
+        if (!context.characters) {
+            return false;
+        }
+        
+        // In group chats, any member with assets activates rendering
+        return ContextUtil.getChatCharacters(context).some(character => {
+            const assets = ContextUtil.getAssetsRaw(character);
+            return assets && assets.length > 0;
+        });
+    }
+
+    /**
+     * Activate or deactivate ASSET RENDERING based on whether assets exist.
+     * Note: Performance booster is ALWAYS active regardless of this.
+     */
+    function updateAssetRenderingState() {
+        const hasAssets = checkCharacterHasAssets();
+        const wasActive = isAssetRenderingActive;
+        isAssetRenderingActive = hasAssets;
+        
+        if (hasAssets && !wasActive) {
+            log('Asset Rendering ACTIVATED - character has assets');
+            activateAssetObservers();
+        } else if (!hasAssets && wasActive) {
+            log('Asset Rendering DEACTIVATED - character has no assets');
+            deactivateAssetObservers();
+        } else if (!hasAssets) {
+            log('Asset Rendering remains DORMANT - no assets (Performance Booster still active)');
+        }
+        
+        return hasAssets;
+    }
+
+    /**
+     * Activate asset-related observers (only called when assets exist)
+     */
+    function activateAssetObservers() {
+        const chatElement = document.getElementById('chat');
+        if (!chatElement) return;
+        
+        // Setup scroll detection for asset rendering
+        if (!scrollListenerAttached) {
+            setupScrollDetection();
+        }
+        
+        // Setup MutationObserver for asset rendering
+        if (!chatObserver) {
+            chatObserver = new MutationObserver((mutations) => {
+                if (!isAssetRenderingActive) return; // Double-check
+                
+                mutationBatch.push(...mutations);
+                
+                if (mutationTimeout) {
+                    clearTimeout(mutationTimeout);
+                }
+                
+                mutationTimeout = setTimeout(() => {
+                    processMutationBatch();
+                    mutationTimeout = null;
+                }, 50);
+            });
+        }
+        
+        chatObserver.observe(chatElement, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+        });
+        
+        // Setup visibility observer for lazy asset loading
+        setupVisibilityObserver();
+        
+        // Process existing messages for assets
+        initialLoadMessages();
+    }
+
+    /**
+     * Deactivate asset-related observers (zero overhead for asset rendering)
+     * Note: Performance booster remains active
+     */
+    function deactivateAssetObservers() {
+        // Disconnect asset MutationObserver
+        if (chatObserver) {
+            chatObserver.disconnect();
+        }
+        
+        // Disconnect asset IntersectionObserver
+        teardownVisibilityObserver();
+        
+        // Clear asset queues
+        renderQueue = [];
+        mutationBatch = [];
+        
+        log('Asset observers deactivated - Performance Booster still active');
+    }
+
+    /**
+     * Key of a character's asset cache (avatar filenames are unique, names are not)
+     */
+    function getCharacterCacheKey(character) {
+        return character?.avatar || character?.name || '';
+    }
+
+    async function buildAssetCache(character, context) {
+        const cacheKey = getCharacterCacheKey(character);
+        
+        // Return existing cache if valid
+        const existingCache = characterAssetCaches.get(cacheKey);
+        if (existingCache) {
+            return existingCache;
+        }
+        
+        // Rebuild cache
+        const assetCache = new Map();
+        const assets = ContextUtil.getAssetsRaw(character);
+        const indexRecords = [];
+        const aliasEntries = []; // [alias, url] - applied last so aliases never shadow real names
+        
+        log(`Building asset cache for ${character.name}, ${assets.length} assets from metadata`);
+        
+        // Also try to get file list from file system for URL verification
+        let fileSystemAssets = [];
+        try {
+            fileSystemAssets = await listCharacterImages(character.name);
+            log(`Found ${fileSystemAssets.length} files in file system (user/files/)`);
+        } catch (e) {
+            log('Could not list file system assets:', e.message);
+        }
+        
+        // === NEW: Also scan user/images/{characterName}/ directory ===
+        // This is the primary location for manually managed images
+        let userImagesAssets = [];
+        try {
+            // Get known asset names to help with scanning
+            const knownNames = assets.map(a => a.name);
+            userImagesAssets = await scanUserImagesDirectory(character.name, knownNames);
+            log(`Found ${userImagesAssets.length} files in user/images/${character.name}/`);
+        } catch (e) {
+            log('Could not scan user/images/ directory:', e.message);
+        }
+        
+        // Merge all file sources
+        const allFileAssets = [...fileSystemAssets, ...userImagesAssets];
+        
+        // Create a map of filename -> URL from file system
+        // This handles unicode character names properly
+        const fileUrlMap = new Map();
+        allFileAssets.forEach(fa => {
+            if (fa.filename && fa.url) {
+                // Map both the full filename and the extracted name
+                fileUrlMap.set(fa.filename, fa.url);
+                fileUrlMap.set(fa.name, fa.url);
+                // Also map sanitized version for lookup
+                const sanitizedName = sanitizeFilename(fa.name);
+                if (sanitizedName !== fa.name) {
+                    fileUrlMap.set(sanitizedName, fa.url);
+                }
+                // Map lowercase versions for case-insensitive lookup
+                fileUrlMap.set(fa.name.toLowerCase(), fa.url);
+                if (sanitizedName !== fa.name) {
+                    fileUrlMap.set(sanitizedName.toLowerCase(), fa.url);
+                }
+            }
+        });
+        
+        log(`File URL map has ${fileUrlMap.size} entries`);
+        
+        for (const asset of assets) {
+            if (asset.name) {
+                let url = null;
+                
+                // Priority 1: Check if file exists in user/images/ (preferred location)
+                const userImagesUrl = `/user/images/${character.name}/${asset.name}`;
+                if (userImagesAssets.some(a => a.name === asset.name)) {
+                    const found = userImagesAssets.find(a => a.name === asset.name);
+                    url = found?.url;
+                    log(`Found in user/images/: "${asset.name}" -> ${url}`);
+                }
+                // Priority 2: Use existing URL if valid
+                else if (asset.url) {
+                    url = asset.url.startsWith('/') ? asset.url : `/${asset.url}`;
+                }
+                // Priority 3: Construct URL from filename
+                else if (asset.filename) {
+                    url = `/user/files/${asset.filename}`;
+                }
+                // Priority 4: Try to find in file system by name
+                else if (fileUrlMap.has(asset.name)) {
+                    url = fileUrlMap.get(asset.name);
+                    log(`Found URL from file system for "${asset.name}": ${url}`);
+                }
+                // Priority 5: Try sanitized name in file system
+                else {
+                    const sanitizedName = sanitizeFilename(asset.name);
+                    if (fileUrlMap.has(sanitizedName)) {
+                        url = fileUrlMap.get(sanitizedName);
+                        log(`Found URL from file system via sanitized name for "${asset.name}": ${url}`);
+                    }
+                }
+                // Priority 6: For legacy base64 assets, store the data directly
+                if (!url && asset.data) {
+                    assetCache.set(asset.name, asset.data);
+                    indexRecords.push(toAssetIndexRecord(asset.name, asset.data, asset.tags, getAssetAliases(asset), asset));
+                    getAssetAliases(asset).forEach(alias => aliasEntries.push([alias, asset.data]));
+                    // Also cache under sanitized name for lookup
+                    const sanitizedName = sanitizeFilename(asset.name);
+                    if (sanitizedName !== asset.name) {
+                        assetCache.set(sanitizedName, asset.data);
+                    }
+                    log(`Cached legacy asset: ${asset.name} (base64)`);
+                    continue;
+                }
+                
+                if (url) {
+                    // Cache under original name
+                    assetCache.set(asset.name, url);
+                    indexRecords.push(toAssetIndexRecord(asset.name, url, asset.tags, getAssetAliases(asset), asset));
+                    getAssetAliases(asset).forEach(alias => aliasEntries.push([alias, url]));
+                    log(`Cached asset: ${asset.name} -> ${url}`);
+                    
+                    // Also cache under sanitized name for lookup flexibility
+                    const sanitizedName = sanitizeFilename(asset.name);
+                    if (sanitizedName !== asset.name && !assetCache.has(sanitizedName)) {
+                        assetCache.set(sanitizedName, url);
+                        log(`Also cached as sanitized: ${sanitizedName} -> ${url}`);
+                    }
+
+                    // Also cache under canonical key (matches /api/images/upload base-name sanitization)
+                    const canonicalKey = getCanonicalAssetKey(asset.name);
+                    if (canonicalKey !== asset.name && !assetCache.has(canonicalKey)) {
+                        assetCache.set(canonicalKey, url);
+                    }
+                    
+                    // Also cache under lowercase for case-insensitive lookup
+                    const lowerName = asset.name.toLowerCase();
+                    if (!assetCache.has(lowerName)) {
+                        assetCache.set(lowerName, url);
+                    }
+                } else {
+                    log(`Warning: No URL found for asset "${asset.name}"`);
+                }
+            }
+        }
+        
+        // Also add any file system assets not in metadata
+        // This ensures images in user/images/ are available even without explicit registration
+        allFileAssets.forEach(fa => {
+            if (fa.name && !assetCache.has(fa.name) && fa.url) {
+                assetCache.set(fa.name, fa.url);
+                indexRecords.push(toAssetIndexRecord(fa.name, fa.url, []));
+                log(`Added file system asset to cache: ${fa.name} -> ${fa.url}`);
+                
+                // Also add sanitized version
+                const sanitizedName = sanitizeFilename(fa.name);
+                if (sanitizedName !== fa.name && !assetCache.has(sanitizedName)) {
+                    assetCache.set(sanitizedName, fa.url);
+                }
+
+                // Also add canonical version
+                const canonicalKey = getCanonicalAssetKey(fa.name);
+                if (canonicalKey !== fa.name && !assetCache.has(canonicalKey)) {
+                    assetCache.set(canonicalKey, fa.url);
+                }
+                
+                // Also add lowercase version for case-insensitive lookup
+                const lowerName = fa.name.toLowerCase();
+                if (!assetCache.has(lowerName)) {
+                    assetCache.set(lowerName, fa.url);
+                }
+            }
+        });
+        
+        applyAliasKeys(assetCache, aliasEntries);
+        
+        assetCacheIndexes.set(assetCache, buildAssetIndex(indexRecords, assetCache));
+        characterAssetCaches.set(cacheKey, assetCache);
+        replanPendingShownImages();
+        
+        // Update active state based on cache
+        if (assetCache.size > 0) {
+            isAssetRenderingActive = true;
+        }
+        
+        log(`Asset cache built: ${assetCache.size} items for character ${character.name}`);
+        log('Cache contents:', Array.from(assetCache.keys()).join(', '));
+        return assetCache;
+    }
+
+    /**
+     * Builds another character's asset cache in the background, then re-renders the waiting message.
+     * Used by cross-character tags (%%img:Alice/smile%%), which render synchronously.
+     * @param {Object} character - Character object
+     * @param {HTMLElement} messageElement - Message to re-render once the cache is ready
+     */
+    function requestCharacterAssetCache(character, messageElement) {
+        const cacheKey = getCharacterCacheKey(character);
+        const waiting = pendingCharacterCacheBuilds.get(cacheKey);
+        if (waiting) {
+            if (messageElement) waiting.add(messageElement);
+            return;
+        }
+
+        pendingCharacterCacheBuilds.set(cacheKey, new Set(messageElement ? [messageElement] : []));
+        buildAssetCache(character, getContext())
+            .catch((error) => {
+                console.error(`[InlineImageAssets] Failed to build asset cache for "${character.name}":`, error);
+                characterAssetCaches.set(cacheKey, new Map());
+            })
+            .finally(() => {
+                const messages = pendingCharacterCacheBuilds.get(cacheKey) || [];
+                pendingCharacterCacheBuilds.delete(cacheKey);
+                replanPendingShownImages();
+                messages.forEach(el => queueMessageForRenderForce(el));
+            });
+    }
+
+    /**
+     * Parses an asset name to extract base name, separator, and number.
+     * Matches trailing numbers with or without separator (e.g., name.1, name_1, happy1)
+     * @param {string} name - Asset name
+     * @returns {Object} - { original, base, separator, num, hasNumber }
+     */
+    function parseAssetNameForCompression(name) {
+        // First try: Match patterns with separator (name.1, name_1, name-1)
+        const matchWithSep = name.match(/^(.+)([._\-])(\d+)$/);
+        if (matchWithSep) {
+            return {
+                original: name,
+                base: matchWithSep[1],
+                separator: matchWithSep[2],
+                num: parseInt(matchWithSep[3], 10),
+                hasNumber: true
+            };
+        }
+        
+        // Second try: Match patterns without separator (happy1, happy2)
+        const matchNoSep = name.match(/^([a-zA-Z_]+)(\d+)$/);
+        if (matchNoSep) {
+            return {
+                original: name,
+                base: matchNoSep[1],
+                separator: '',
+                num: parseInt(matchNoSep[2], 10),
+                hasNumber: true
+            };
+        }
+        
+        return { original: name, base: null, separator: null, num: null, hasNumber: false };
+    }
+
+    /**
+     * Extracts the base name from an asset filename.
+     * Returns the part before the first underscore (or the whole name if no underscore).
+     * e.g., "Junpei_nsfw_1" -> "Junpei"
+     * e.g., "Junpei_summer_2" -> "Junpei"
+     * e.g., "happy1" -> "happy"
+     * @param {string} name - Asset name
+     * @returns {string} - Base name (first part before underscore)
+     */
+    function extractBaseName(name) {
+        // Remove trailing number suffix first (e.g., .1, _1, or just 1)
+        let cleanName = name.replace(/[._\-]\d+$/, '');
+        
+        // Also remove trailing numbers without separator (e.g., happy1 -> happy)
+        cleanName = cleanName.replace(/\d+$/, '');
+        
+        // For underscore-separated names, use FIRST underscore to get base name
+        if (cleanName.includes('_')) {
+            const firstUnderscoreIndex = cleanName.indexOf('_');
+            if (firstUnderscoreIndex > 0) {
+                return cleanName.substring(0, firstUnderscoreIndex);
+            }
+        }
+        
+        // For space-separated names, use first word as base
+        if (cleanName.includes(' ')) {
+            const firstSpaceIndex = cleanName.indexOf(' ');
+            if (firstSpaceIndex > 0) {
+                return cleanName.substring(0, firstSpaceIndex);
+            }
+        }
+        
+        // If no separator, return the clean name
+        return cleanName || name;
+    }
+
+    /**
+     * Extracts the folder/category name from an asset name.
+     * First tries to match against existing folder names (case-insensitive).
+     * If no match found, extracts the base name (first part before underscore).
+     * e.g., "Junpei_nsfw_1" with existing folder "Junpei" -> "Junpei"
+     * e.g., "bote_bunny_admiring" with no existing "bote" folder -> "bote"
+     * @param {string} name - Asset name
+     * @param {Set<string>} existingFolders - Set of existing folder names (optional)
+     * @returns {string} - Folder/category name
+     */
+    function getFolderName(name, existingFolders = null) {
+        // Remove trailing number suffix first (e.g., .1, _1, or just 1)
+        let cleanName = name.replace(/[._\-]\d+$/, '');
+        
+        // Also remove trailing numbers without separator (e.g., happy1 -> happy)
+        cleanName = cleanName.replace(/\d+$/, '');
+        
+        // If we have existing folders, try to match against them
+        if (existingFolders && existingFolders.size > 0) {
+            // Try progressively shorter prefixes to find a matching folder
+            // e.g., for "Junpei_nsfw_1", try "Junpei_nsfw", then "Junpei"
+            
+            // First, try the base name (first part before underscore)
+            const baseName = extractBaseName(name);
+            
+            // Check if base name matches any existing folder (case-insensitive)
+            for (const folder of existingFolders) {
+                if (folder.toLowerCase() === baseName.toLowerCase()) {
+                    return folder; // Return the existing folder name with original case
+                }
+            }
+            
+            // If underscore-separated, try each prefix level
+            if (cleanName.includes('_')) {
+                const parts = cleanName.split('_');
+                // Try from longest to shortest prefix
+                for (let i = parts.length - 1; i >= 1; i--) {
+                    const prefix = parts.slice(0, i).join('_');
+                    for (const folder of existingFolders) {
+                        if (folder.toLowerCase() === prefix.toLowerCase()) {
+                            return folder; // Return the existing folder name with original case
+                        }
+                    }
+                }
+            }
+            
+            // If space-separated, try each prefix level
+            if (cleanName.includes(' ')) {
+                const parts = cleanName.split(' ');
+                for (let i = parts.length - 1; i >= 1; i--) {
+                    const prefix = parts.slice(0, i).join(' ');
+                    for (const folder of existingFolders) {
+                        if (folder.toLowerCase() === prefix.toLowerCase()) {
+                            return folder;
+                        }
+                    }
+                }
+            }
+        }
+        
+        // No existing folder match found - extract base name
+        // For underscore-separated names, use FIRST underscore to get base name
+        if (cleanName.includes('_')) {
+            const firstUnderscoreIndex = cleanName.indexOf('_');
+            if (firstUnderscoreIndex > 0) {
+                return cleanName.substring(0, firstUnderscoreIndex);
+            }
+        }
+        
+        // For space-separated names, try to find a sensible split point
+        if (cleanName.includes(' ')) {
+            const parts = cleanName.split(' ');
+            
+            // If we have 3+ parts, assume first 2 are the name (e.g., "alice croft")
+            if (parts.length >= 3) {
+                let splitIndex = parts.length - 1;
+                for (let i = 1; i < parts.length; i++) {
+                    if (parts[i].length > 0 && parts[i][0] === parts[i][0].toLowerCase()) {
+                        splitIndex = i;
+                        break;
+                    }
+                }
+                
+                if (splitIndex > 0) {
+                    return parts.slice(0, splitIndex).join(' ');
+                }
+            }
+            
+            // Fallback: use all but last word
+            if (parts.length >= 2) {
+                return parts.slice(0, -1).join(' ');
+            }
+        }
+        
+        // If no separator, return the clean name (base name without numbers)
+        return cleanName || name;
+    }
+
+    /**
+     * Compresses asset names by grouping files with the same folder/category.
+     * Groups numbered files and also groups files by their folder name.
+     * Uses the same folder detection logic as groupAssetsByFolder for consistency.
+     * e.g., ["Junpei_nsfw_1", "Junpei_summer_2"] -> '"Junpei_[nsfw_1, summer_2]"'
+     * e.g., ["maid_flustered.1", "maid_flustered.2"] -> '"maid_flustered.1~2"'
+     * @param {string[]} names - Array of asset names
+     * @returns {string} - Compressed string representation
+     */
+    function compressAssetNames(names) {
+        if (names.length === 0) return '';
+        
+        // First, build the set of potential folders (same logic as groupAssetsByFolder)
+        const potentialFolders = new Set();
+        names.forEach(name => {
+            const baseName = extractBaseName(name);
+            if (baseName) {
+                potentialFolders.add(baseName);
+            }
+        });
+        
+        // Group by folder name using the same logic as groupAssetsByFolder
+        const folderGroups = new Map();
+        names.forEach(name => {
+            const folderName = getFolderName(name, potentialFolders);
+            if (!folderGroups.has(folderName)) {
+                folderGroups.set(folderName, []);
+            }
+            folderGroups.get(folderName).push(name);
+        });
+        
+        const result = [];
+        
+        folderGroups.forEach((groupNames, folderName) => {
+            if (groupNames.length === 1) {
+                // Single item, just add as-is
+                result.push(`"${groupNames[0]}"`);
+            } else {
+                // Multiple items in the same folder
+                // Check if they have numbers for range compression
+                const parsed = groupNames.map(parseAssetNameForCompression);
+                const numbered = parsed.filter(i => i.hasNumber);
+                const nonNumbered = parsed.filter(i => !i.hasNumber);
+                
+                // Process numbered items (range compression)
+                if (numbered.length > 0) {
+                    // Group by base + separator
+                    const numGroups = new Map();
+                    numbered.forEach(item => {
+                        const key = item.base + '|' + item.separator;
+                        if (!numGroups.has(key)) {
+                            numGroups.set(key, []);
+                        }
+                        numGroups.get(key).push(item);
+                    });
+                    
+                    numGroups.forEach((items) => {
+                        items.sort((a, b) => a.num - b.num);
+                        
+                        // Find consecutive ranges
+                        const ranges = [];
+                        let rangeStart = items[0];
+                        let rangeEnd = items[0];
+                        
+                        for (let i = 1; i < items.length; i++) {
+                            if (items[i].num === rangeEnd.num + 1) {
+                                rangeEnd = items[i];
+                            } else {
+                                ranges.push({ start: rangeStart, end: rangeEnd });
+                                rangeStart = items[i];
+                                rangeEnd = items[i];
+                            }
+                        }
+                        ranges.push({ start: rangeStart, end: rangeEnd });
+                        
+                        ranges.forEach(range => {
+                            if (range.start.num === range.end.num) {
+                                result.push(`"${range.start.original}"`);
+                            } else {
+                                result.push(`"${range.start.base}${range.start.separator}${range.start.num}~${range.end.num}"`);
+                            }
+                        });
+                    });
+                }
+                
+                // Process non-numbered items (expression list compression)
+                if (nonNumbered.length > 0) {
+                    // Extract expression names (part after the folder name)
+                    let detectedSeparator = null;
+                    const expressions = nonNumbered.map(item => {
+                        const name = item.original;
+                        if (name.toLowerCase().startsWith(folderName.toLowerCase())) {
+                            // Remove folder name and detect separator
+                            let remaining = name.substring(folderName.length);
+                            // Detect separator type (underscore or space)
+                            if (remaining.startsWith('_')) {
+                                detectedSeparator = '_';
+                                remaining = remaining.substring(1);
+                            } else if (remaining.startsWith(' ')) {
+                                detectedSeparator = ' ';
+                                remaining = remaining.substring(1);
+                            }
+                            return remaining;
+                        }
+                        return name;
+                    });
+                    
+                    // If we have multiple expressions, compress them with actual separator info
+                    if (expressions.length > 1 && expressions.every(e => e.length > 0)) {
+                        // Show the actual format hint in the compressed output
+                        const sep = detectedSeparator || '_';
+                        const sepName = sep === '_' ? 'underscore' : 'space';
+                        result.push(`"${folderName}${sep}[${expressions.join(', ')}]" (${sepName}-separated)`);
+                    } else {
+                        // Fallback: add each item individually
+                        nonNumbered.forEach(item => {
+                            result.push(`"${item.original}"`);
+                        });
+                    }
+                }
+            }
         });
         
-        // Generate common expression names
-        const expressions = [
-            'smile', 'happy', 'sad', 'angry', 'surprised', 'neutral', 'blush', 'smirk',
-            'worried', 'excited', 'shy', 'embarrassed', 'confused', 'thinking', 'crying',
-            'laughing', 'serious', 'annoyed', 'scared', 'love', 'heart', 'wink',
-            'default', 'normal', 'idle', 'talk', 'speaking'
-        ];
+        return result.join(', ');
+    }
+
+    // === SCROLL DETECTION (for asset rendering) ===
+    function setupScrollDetection() {
+        if (scrollListenerAttached) return;
         
-        expressions.forEach(expr => {
-            SUPPORTED_FORMATS.forEach(ext => {
-                commonNames.add(`${expr}.${ext}`);
-            });
-        });
+        const chatElement = document.getElementById('chat');
+        if (!chatElement) return;
         
-        // Also try numbered patterns and common naming conventions
-        for (let i = 1; i <= 30; i++) {
-            SUPPORTED_FORMATS.forEach(ext => {
-                commonNames.add(`${i}.${ext}`);
-                commonNames.add(`image${i}.${ext}`);
-                commonNames.add(`img${i}.${ext}`);
-                commonNames.add(`pic${i}.${ext}`);
-                commonNames.add(`photo${i}.${ext}`);
-            });
+        chatElement.addEventListener('scroll', () => {
+            // Only process asset rendering if active
+            if (!isAssetRenderingActive) return;
+            
+            lastScrollTime = Date.now();
+            isScrolling = true;
+            
+            if (scrollTimeout) {
+                clearTimeout(scrollTimeout);
+            }
+            
+            scrollTimeout = setTimeout(() => {
+                isScrolling = false;
+                // Resume asset rendering after scroll stops
+                if (renderQueue.length > 0 && isAssetRenderingActive) {
+                    scheduleRender();
+                }
+            }, SCROLL_THROTTLE);
+        }, { passive: true });
+        
+        scrollListenerAttached = true;
+    }
+
+    // === BATCH RENDERING SYSTEM (for assets) ===
+    function scheduleRender() {
+        // Skip if asset rendering is not active
+        if (!isAssetRenderingActive || isRenderScheduled) return;
+        
+        // Don't schedule during active scrolling for smoother experience
+        if (isScrolling) {
+            return;
         }
         
-        // Add alphabet-based patterns (a.png, b.png, etc.)
-        'abcdefghijklmnopqrstuvwxyz'.split('').forEach(letter => {
-            SUPPORTED_FORMATS.forEach(ext => {
-                commonNames.add(`${letter}.${ext}`);
-            });
-        });
+        isRenderScheduled = true;
         
-        log(`Scanning for images in user/images/ for character: ${characterName}`);
-        log(`Testing ${commonNames.size} filename patterns across ${uniqueBasePaths.length} base paths`);
+        // Use requestIdleCallback for non-urgent rendering
+        requestIdleCallback((deadline) => {
+            processBatchRender(deadline);
+            isRenderScheduled = false;
+        }, { timeout: 100 }); // Max wait 100ms
+    }
+
+    function queueMessageForRender(messageElement) {
+        // Skip if asset rendering is not active
+        if (!isAssetRenderingActive) return;
         
-        // Helper function to test a URL
-        async function testUrl(url) {
-            if (testedUrls.has(url)) return null;
-            testedUrls.add(url);
-            
-            try {
-                const response = await fetch(url, { method: 'HEAD' });
-                if (response.ok) {
-                    return url;
-                }
-            } catch (e) {
-                // Ignore errors
-            }
-            return null;
+        if (!renderQueue.includes(messageElement)) {
+            renderQueue.push(messageElement);
+            scheduleRender();
+        }
+    }
+
+    async function processBatchRender(deadline) {
+        // Skip if asset rendering is not active
+        if (!isAssetRenderingActive) {
+            isRenderScheduled = false;
+            renderQueue = [];
+            return;
         }
         
-        // Test each base path
-        let workingBasePath = null;
+        // Skip if scrolling
+        if (isScrolling) {
+            isRenderScheduled = false;
+            return;
+        }
         
-        for (const basePath of uniqueBasePaths) {
-            // Quick test with a few common filenames to find working base path
-            const quickTestNames = ['1.png', 'default.png', 'smile.png', 'happy.png', 'normal.png'];
-            
-            for (const testName of quickTestNames) {
-                const url = `${basePath}/${testName}`;
-                const result = await testUrl(url);
-                
-                if (result) {
-                    workingBasePath = basePath;
-                    const assetName = testName.substring(0, testName.lastIndexOf('.'));
-                    
-                    foundAssets.push({
-                        name: assetName,
-                        filename: testName,
-                        path: url,
-                        url: url,
-                        tags: [],
-                        isImageDir: true
-                    });
-                    log(`Found image: ${url}`);
-                    break;
-                }
-            }
-            
-            if (workingBasePath) break;
+        const context = getContext();
+        if (!context.chat || context.chat.length === 0) return;
+        
+        // Get the chat's characters once for the batch (every member in a group chat)
+        const characters = ContextUtil.getChatCharacters(context);
+        if (characters.length === 0) return;
+        
+        // Build/get asset caches once for the batch; each message resolves against its author's cache
+        let hasCharacterAssets = false;
+        for (const character of characters) {
+            const cache = await buildAssetCache(character, context);
+            if (cache.size > 0) hasCharacterAssets = true;
         }
         
-        // If we found a working base path, test all common names
-        if (workingBasePath) {
-            log(`Found working base path: ${workingBasePath}`);
-            
-            // Test remaining filenames in parallel batches for speed
-            const filenames = Array.from(commonNames);
-            const batchSize = 10;
-            
-            for (let i = 0; i < filenames.length; i += batchSize) {
-                const batch = filenames.slice(i, i + batchSize);
-                const promises = batch.map(async (filename) => {
-                    const url = `${workingBasePath}/${filename}`;
-                    const result = await testUrl(url);
-                    
-                    if (result) {
-                        const assetName = filename.substring(0, filename.lastIndexOf('.'));
-                        
-                        if (!foundAssets.some(a => a.name === assetName)) {
-                            return {
-                                name: assetName,
-                                filename: filename,
-                                path: url,
-                                url: url,
-                                tags: [],
-                                isImageDir: true
-                            };
-                        }
-                    }
-                    return null;
-                });
-                
-                const results = await Promise.all(promises);
-                results.filter(Boolean).forEach(asset => {
-                    foundAssets.push(asset);
-                    log(`Found image: ${asset.url}`);
-                });
+        // Build persona cache as well (for fallback)
+        const personaName = getCurrentPersonaName();
+        let pCache = new Map();
+        if (personaName) {
+            pCache = await buildPersonaAssetCache(personaName);
+        }
+        
+        if (!hasCharacterAssets && pCache.size === 0) {
+            // No assets - clear queue and deactivate
+            renderQueue = [];
+            isAssetRenderingActive = false;
+            return;
+        }
+        
+        let processed = 0;
+        const maxBatch = BATCH_SIZE;
+        
+        // Process messages while we have time and items
+        while (renderQueue.length > 0 && processed < maxBatch) {
+            // Check if we should yield to browser (if deadline provided)
+            if (deadline && deadline.timeRemaining() < 2) {
+                break;
             }
-        } else {
-            // No working base path found, try all paths with all names
-            log('No working base path found, trying all combinations...');
             
-            for (const basePath of uniqueBasePaths) {
-                for (const filename of Array.from(commonNames).slice(0, 50)) { // Limit to first 50
-                    const url = `${basePath}/${filename}`;
-                    const result = await testUrl(url);
-                    
-                    if (result) {
-                        const assetName = filename.substring(0, filename.lastIndexOf('.'));
-                        
-                        if (!foundAssets.some(a => a.name === assetName)) {
-                            foundAssets.push({
-                                name: assetName,
-                                filename: filename,
-                                path: url,
-                                url: url,
-                                tags: [],
-                                isImageDir: true
-                            });
-                            log(`Found image: ${url}`);
-                        }
-                    }
-                }
+            const messageElement = renderQueue.shift();
+            if (messageElement) {
+                const message = context.chat[parseInt(messageElement.getAttribute('mesid'))];
+                const owner = message ? ContextUtil.getMessageAssetOwner(message, context) : null;
+                const cache = owner ? await buildAssetCache(owner, context) : new Map();
+                renderMessageFast(messageElement, context, owner, cache, pCache);
+                processed++;
             }
         }
-        
-        log(`Scan complete. Found ${foundAssets.length} images`);
-        return foundAssets;
+        
+        // If more messages in queue, schedule next batch
+        if (renderQueue.length > 0 && !isScrolling && isAssetRenderingActive) {
+            isRenderScheduled = false;
+            scheduleRender();
+        }
+    }
+
+    /**
+     * Splits a cross-character name: "Alice/smile" -> Alice's "smile".
+     * Only applies when the part before the slash names a character (group members first).
+     * @param {string} candidate - One name from the tag's fallback chain
+     * @param {Object} context - SillyTavern context
+     * @returns {{character: Object, name: string}|null}
+     */
+    function splitCharacterQualifiedName(candidate, context) {
+        const slashIndex = candidate.indexOf('/');
+        if (slashIndex <= 0) return null;
+
+        const characterName = candidate.substring(0, slashIndex).trim().toLowerCase();
+        const name = candidate.substring(slashIndex + 1).trim();
+        if (!characterName || !name) return null;
+
+        const matchesName = c => (c?.name || '').toLowerCase() === characterName;
+        const character = ContextUtil.getChatCharacters(context).find(matchesName)
+            || context.characters?.find(matchesName);
+        return character ? { character, name } : null;
+    }
+
+    /**
+     * Works out where one tag candidate is looked up.
+     * @param {string} candidate - One name from the tag's fallback chain
+     * @param {Object} context - SillyTavern context
+     * @param {Object|null} owner - Character whose assets the message uses
+     * @param {Map[]} caches - Owner's cache, then persona cache
+     * @param {HTMLElement|null} messageElement - Re-rendered once another character's cache is built
+     * @returns {{name: string, caches: Map[], character: Object|null, isPending: boolean}}
+     */
+    function getTagCandidateTarget(candidate, context, owner, caches, messageElement) {
+        const qualified = splitCharacterQualifiedName(candidate, context);
+        if (!qualified) {
+            return { name: candidate, caches, character: owner, isPending: false };
+        }
+
+        const cache = characterAssetCaches.get(getCharacterCacheKey(qualified.character));
+        if (!cache) {
+            requestCharacterAssetCache(qualified.character, messageElement);
+            return { name: qualified.name, caches: [], character: qualified.character, isPending: true };
+        }
+        return { name: qualified.name, caches: [cache], character: qualified.character, isPending: false };
     }
 
     /**
-     * Imports charx assets to the character's image directory
-     * @param {string} characterName - Character name
-     * @param {Array} charxAssets - Array of charx asset info
-     * @returns {Promise<Array>} - Array of imported asset info
+     * Resolves a single tag candidate: a tag query (#angry+outdoor), a random variant (smile_*)
+     * or a plain asset name.
+     * @param {string} candidate - One name from the tag's fallback chain
+     * @param {Map[]} caches - Asset caches, highest priority first
+     * @param {string} seed - Seed for query picks
+     * @param {string|string[]|null} kind - Asset kind(s) the tag accepts (see TAG_ASSET_KINDS), or any
+     * @returns {string|null} - URL or base64 source
      */
-    async function importCharxAssets(characterName, charxAssets) {
-        const importedAssets = [];
-        
-        for (const asset of charxAssets) {
-            try {
-                // Fetch the image from charx location
-                const response = await fetch(asset.url);
-                if (!response.ok) continue;
-                
-                const blob = await response.blob();
-                const savedFile = await saveImageFile(characterName, asset.filename, blob);
-                
-                importedAssets.push({
-                    name: asset.name,
-                    filename: savedFile.filename,
-                    path: savedFile.path,
-                    url: savedFile.url,
-                    tags: []
-                });
-            } catch (error) {
-                console.error(`[InlineImageAssets] Failed to import charx asset ${asset.name}:`, error);
-            }
+    function resolveTagCandidate(candidate, caches, seed, kind = null) {
+        const tagQuery = parseTagQuery(candidate);
+        if (tagQuery) {
+            return pickAssetByTags(caches, tagQuery, `${seed}::#${tagQuery.join('+')}`, kind);
         }
-        
-        return importedAssets;
+        const variantPrefix = getRandomVariantPrefix(candidate);
+        if (variantPrefix !== null) {
+            return pickAssetVariant(caches, variantPrefix, `${seed}::${variantPrefix}`, kind);
+        }
+        const source = findAssetInCaches(caches, candidate);
+        return source && matchesAssetKind(source, kind) ? source : null;
     }
 
-    // === CONTEXT UTILITIES ===
-    
-    class ContextUtil {
-        static getCharacterFromData(message, context) {
-            // Optimization: Don't search if user message
-            if (message.is_user) return null;
-            // Direct lookup if possible, fallback to find
-            if (context.characters && context.characterId !== undefined) {
-                 // Assuming the current chat belongs to the current character mostly
-                 const current = context.characters[context.characterId];
-                 if (current && current.name === message.name) return current;
+    /**
+     * Picks the asset an %%img%%, %%vid%%, %%sfx%% or %%bgm%% tag shows, before the repeat policy:
+     * the fallback candidates in order, then auto-correction, the disk check (%%img%% only) and the
+     * owner's default asset. renderMessageFast() and planShownImages() both pick through here.
+     * @param {string} type - Tag type
+     * @param {{name: string, names: string[]}} tag - parseInlineImageTag() result
+     * @param {Object} context - SillyTavern context
+     * @param {Object|null} owner - Character whose assets the message uses
+     * @param {Map[]} caches - Owner's cache, then persona cache
+     * @param {string} seed - Seed for random and tag picks
+     * @param {HTMLElement|null} messageElement - Re-rendered when a pending lookup finishes
+     * @returns {{source: string|null, isPending: boolean, targets: Object[]}} - isPending: a cache build or disk check is still running
+     */
+    function resolveInlineTagAsset(type, tag, context, owner, caches, seed, messageElement) {
+        const kind = TAG_ASSET_KINDS[type];
+
+        // Candidates resolve against the message owner's assets (then persona),
+        // or another character's with the cross-character form (%%img:Alice/smile%%)
+        const targets = tag.names.map(candidate => getTagCandidateTarget(candidate, context, owner, caches, messageElement));
+        let isPending = targets.some(target => target.isPending);
+
+        // Try each fallback candidate in order (%%img:smile_big||smile||neutral%%)
+        let source = null;
+        for (const target of targets) {
+            if (target.isPending) continue;
+            source = resolveTagCandidate(target.name, target.caches, seed, kind);
+            if (source) {
+                if (target !== targets[0]) {
+                    log(`Fallback candidate used for "${tag.name}": "${target.name}"`);
+                }
+                break;
             }
-            const character = context.characters.find(c => c.name === message.name);
-            return character;
         }
 
-        /**
-         * Gets assets for a character (file-based)
-         * @param {Object} character - Character object
-         * @returns {Array} - Array of asset info
-         */
-        static getAssetsRaw(character) {
-            if (character && character.data && character.data.extensions) {
-                // Prefer new file-based assets
-                const fileAssets = character.data.extensions.inline_image_assets || [];
-                if (fileAssets.length > 0) {
-                    log(`getAssetsRaw: Found ${fileAssets.length} file-based assets`);
-                    return fileAssets;
+        const plainTargets = targets.filter(t => !t.isPending && parseTagQuery(t.name) === null && getRandomVariantPrefix(t.name) === null);
+
+        // Near-miss names (typos, separators, mixed scripts) auto-correct to the closest asset
+        if (!source) {
+            for (const target of plainTargets) {
+                const fuzzyMatch = findFuzzyAssetMatch(target.caches, target.name, kind);
+                if (fuzzyMatch) {
+                    source = fuzzyMatch.url;
+                    break;
                 }
-                // Fallback to legacy base64 (for migration)
-                const legacyAssets = character.data.extensions.inline_image_assets_b64 || [];
-                if (legacyAssets.length > 0) {
-                    log(`getAssetsRaw: Found ${legacyAssets.length} legacy base64 assets`);
-                    return legacyAssets;
+            }
+        }
+
+        if (type === 'sfx' || type === 'bgm') return { source, isPending, targets };
+
+        // Names missing from the caches: check the disk (async) instead of guessing an image URL
+        if (!source && type === 'img') {
+            for (const target of plainTargets) {
+                if (!target.character?.name) continue;
+                const verified = getVerifiedAssetUrl(target.character.name, target.name);
+                if (verified) {
+                    source = verified;
+                    break;
+                }
+                if (verified === undefined) {
+                    requestAssetVerification(target.character.name, target.name, messageElement);
+                    isPending = true;
                 }
             }
-            log('getAssetsRaw: No assets found');
-            return [];
         }
 
-        /**
-         * Saves asset metadata to character
-         * @param {number} characterId - Character ID
-         * @param {Array} assets - Array of asset metadata
-         */
-        static async saveAssets(characterId, assets) {
-            // Save to new file-based field
-            getContext().writeExtensionField(characterId, 'inline_image_assets', assets);
-            // Invalidate cache when assets change
-            invalidateAssetCache();
+        if (!source && isPending) return { source, isPending, targets };
+
+        // Per-character default asset for tags that match nothing
+        const defaultAssetName = (ContextUtil.getSettings(owner).defaultAsset || '').toString().trim();
+        if (!source && defaultAssetName) {
+            source = findAssetInCaches([caches[0]], defaultAssetName);
+            if (source) {
+                log(`Using default asset "${defaultAssetName}" for "${tag.name}"`);
+            }
         }
+        return { source, isPending, targets };
+    }
 
-        /**
-         * Clears legacy base64 data after migration
-         * @param {number} characterId - Character ID
-         */
-        static async clearLegacyAssets(characterId) {
-            getContext().writeExtensionField(characterId, 'inline_image_assets_b64', []);
+    // === VERIFIED URL RESOLUTION (for names missing from the caches) ===
+    // Instead of guessing "/user/images/{char}/{name}.png", unknown names are checked against one
+    // listing of the character's images (listCharacterImages), shared by every name in a batch.
+    // Only when nothing can be listed do we fall back to HEAD requests per SUPPORTED_FORMATS
+    // extension. Hits and misses are cached, and messages waiting on a lookup are re-rendered
+    // once it finishes.
+    const verifiedAssetUrls = new Map();     // "char::name" -> { url: string|null, ts }
+    const pendingVerifications = new Map();  // "char::name" -> { characterName, name, messages: Set, started }
+    const characterImageListings = new Map(); // char -> { promise: Promise<Map|null>, ts }
+    let verificationTimer = null;
+    const VERIFIED_MISS_TTL_MS = 60_000;
+    const IMAGE_LISTING_TTL_MS = 10_000;  // one listing serves a render batch, then files may have changed
+    const VERIFICATION_BATCH_DELAY = 50;  // ms to collect names from a render batch
+    const VERIFICATION_CONCURRENCY = 4;   // names checked in parallel
+
+    function getVerificationKey(characterName, name) {
+        return `${characterName}::${name}`;
+    }
+
+    /**
+     * Sync lookup of an earlier verification.
+     * @returns {string|null|undefined} URL, null for a cached miss, undefined if unknown (or the miss expired)
+     */
+    function getVerifiedAssetUrl(characterName, name) {
+        const entry = verifiedAssetUrls.get(getVerificationKey(characterName, name));
+        if (!entry) return undefined;
+        if (entry.url === null && (Date.now() - entry.ts) > VERIFIED_MISS_TTL_MS) return undefined;
+        return entry.url;
+    }
+
+    /**
+     * The character's image files by base name, listed once for every name checked in a batch
+     * @param {string} characterName - Character (folder) name
+     * @returns {Promise<Map<string, string>|null>} - base name (and its lowercase form) -> URL; null when nothing could be listed
+     */
+    function getCharacterImageListing(characterName) {
+        const entry = characterImageListings.get(characterName);
+        if (entry && (Date.now() - entry.ts) < IMAGE_LISTING_TTL_MS) return entry.promise;
+
+        const promise = listCharacterImages(characterName)
+            .then(files => {
+                if (!Array.isArray(files) || files.length === 0) return null;
+                const byName = new Map();
+                for (const file of files) {
+                    const ext = (file.filename || file.url || '').split('.').pop()?.toLowerCase();
+                    if (!file.name || !file.url || !SUPPORTED_FORMATS.includes(ext)) continue;
+                    // Exact spelling first, so it wins over a case-insensitive match
+                    if (!byName.has(file.name)) byName.set(file.name, file.url);
+                }
+                for (const [fileName, url] of Array.from(byName)) {
+                    const lower = fileName.toLowerCase();
+                    if (!byName.has(lower)) byName.set(lower, url);
+                }
+                return byName;
+            })
+            .catch(() => null);
+        characterImageListings.set(characterName, { promise, ts: Date.now() });
+        return promise;
+    }
+
+    /**
+     * HEAD-checks user/images/{characterName}/ for the base names with every supported extension
+     * (fallback when the folder can't be listed)
+     * @returns {Promise<string|null>} - URL of the first existing file, or null
+     */
+    async function probeAssetUrl(characterName, baseNames) {
+        const urls = [];
+        for (const baseName of baseNames) {
+            for (const ext of SUPPORTED_FORMATS) {
+                urls.push(`/user/images/${encodeURIComponent(characterName)}/${encodeURIComponent(baseName)}.${ext}`);
+            }
         }
+
+        const results = await Promise.all(urls.map(async (url) => {
+            try {
+                const res = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+                const contentType = res.headers.get('Content-Type') || '';
+                return (res.ok && !contentType.includes('text/html')) ? url : null;
+            } catch {
+                return null;
+            }
+        }));
+        return results.find(Boolean) || null;
     }
 
-    // === GLOBAL PERFORMANCE BOOSTER ===
-    // This runs for ALL characters, regardless of assets
-    function initializePerformanceBooster() {
-        if (performanceBoosterInitialized) return;
-        
-        log('Initializing Global Performance Booster');
+    /**
+     * Looks for an asset name among the character's image files.
+     * @param {string} characterName - Character (folder) name
+     * @param {string} name - Asset base name
+     * @returns {Promise<string|null>} - URL of the file, or null
+     */
+    async function verifyAssetUrl(characterName, name) {
+        const cached = getVerifiedAssetUrl(characterName, name);
+        if (cached !== undefined) return cached;
+
+        // Uploads through /api/images sanitize the base name, so try that spelling as well
+        const baseNames = Array.from(new Set([name, sanitizeImageBaseName(name)].filter(Boolean)));
+        const listing = await getCharacterImageListing(characterName);
+        const url = listing
+            ? baseNames.map(baseName => listing.get(baseName) ?? listing.get(baseName.toLowerCase())).find(Boolean) || null
+            : await probeAssetUrl(characterName, baseNames);
+        verifiedAssetUrls.set(getVerificationKey(characterName, name), { url, ts: Date.now() });
+        log(url ? `Verified asset on disk: "${name}" -> ${url}` : `Asset not found on disk: "${name}"`);
+        return url;
+    }
+
+    /**
+     * Queues a name for verification; the message is re-rendered when the lookup finishes.
+     */
+    function requestAssetVerification(characterName, name, messageElement) {
+        const key = getVerificationKey(characterName, name);
+        let pending = pendingVerifications.get(key);
+        if (!pending) {
+            pending = { characterName, name, messages: new Set(), started: false };
+            pendingVerifications.set(key, pending);
+        }
+        if (messageElement) pending.messages.add(messageElement);
+        if (!verificationTimer) {
+            verificationTimer = setTimeout(flushAssetVerifications, VERIFICATION_BATCH_DELAY);
+        }
+    }
+
+    async function flushAssetVerifications() {
+        verificationTimer = null;
+        const batch = Array.from(pendingVerifications.values()).filter(p => !p.started);
+        batch.forEach(p => { p.started = true; });
+
+        for (let i = 0; i < batch.length; i += VERIFICATION_CONCURRENCY) {
+            await Promise.all(batch.slice(i, i + VERIFICATION_CONCURRENCY)
+                .map(p => verifyAssetUrl(p.characterName, p.name)));
+        }
+
+        const toRender = new Set();
+        for (const p of batch) {
+            pendingVerifications.delete(getVerificationKey(p.characterName, p.name));
+            p.messages.forEach(m => toRender.add(m));
+        }
+        if (batch.length > 0) replanPendingShownImages();
+        for (const messageElement of toRender) {
+            if (messageElement.isConnected) {
+                queueMessageForRenderForce(messageElement);
+            }
+        }
+    }
+
+    /**
+     * Placeholder chip for a tag that could not be resolved anywhere (instead of a hidden broken image).
+     * Clicking it opens showMissingAssetDialog().
+     * @param {string} name - Missing asset name
+     * @param {Object|null} character - Character whose assets were searched (group member or cross-character target)
+     */
+    function buildMissingAssetChipHtml(name, character = null) {
+        const safeName = escapeHtmlAttr(name);
+        const characterAttr = character?.avatar ? ` data-character="${escapeHtmlAttr(character.avatar)}"` : '';
+        return `<span class="inline-asset-missing" data-asset-name="${safeName}"${characterAttr} role="button" tabindex="0" title="Missing image asset: ${safeName} (click to fix)"><i class="fa-solid fa-image"></i><span class="inline-asset-missing-name">${safeName}</span><i class="fa-solid fa-wand-magic-sparkles"></i></span>`;
+    }
+
+    /**
+     * Stable seed for per-message random picks: chat id + message id + swipe id.
+     */
+    function getMessageRenderSeed(context, mesId, message) {
+        const chatId = (typeof context.getCurrentChatId === 'function' ? context.getCurrentChatId() : context.chatId) ?? '';
+        const swipeId = message?.swipe_id ?? 0;
+        return `${chatId}::${mesId}::${swipeId}`;
+    }
+
+    /**
+     * Identifies a chat message across deletes and reloads, where its index shifts: its send date,
+     * or the index for the rare message without one (some imported chats).
+     * @param {Object} message - Chat message
+     * @param {number} mesId - Message id
+     * @returns {string}
+     */
+    function getStableMessageKey(message, mesId) {
+        return message?.send_date ? `date:${message.send_date}` : `index:${mesId}`;
+    }
+
+    // Ultra-fast render function using cached data
+    // Now supports both character cache (priority) and persona cache (fallback)
+    function renderMessageFast(messageElement, context, character, cache, personaCache = new Map()) {
+        // Skip if being processed (prevent concurrent processing)
+        if (messageElement.dataset.rendering) {
+            return;
+        }
         
-        // Inject performance CSS
-        injectPerformanceCSS();
+        // Check if already processed - but verify content doesn't have unconverted tags
+        if (processedMessages.has(messageElement)) {
+            const textElement = messageElement.querySelector('.mes_text');
+            if (textElement) {
+                // If still has renderable chat tags (or lost its triggered images), need to re-process
+                if (collectInlineTagTextNodes(textElement).length === 0 && !needsTriggerRender(messageElement, context)) {
+                    return; // Already fully processed
+                }
+                // Has unconverted tags - continue processing
+                log('Re-processing message with unconverted tags:', messageElement.getAttribute('mesid'));
+            } else {
+                return;
+            }
+        }
         
-        // Setup scroll performance optimizations
-        setupScrollPerformance();
+        // Skip if we know this message has no image tags (and hasn't changed)
+        if (noImageTagMessages.has(messageElement)) {
+            const textElement = messageElement.querySelector('.mes_text');
+            if (textElement && collectInlineTagTextNodes(textElement).length === 0 && !needsTriggerRender(messageElement, context)) {
+                return;
+            }
+            // Content changed, remove from no-tag set conceptually and continue
+        }
         
-        // Apply content-visibility to existing messages
-        applyContentVisibility();
+        if (!messageElement.closest('#chat')) {
+            return;
+        }
+
+        const mesId = parseInt(messageElement.getAttribute('mesid'));
+        if (isNaN(mesId)) return;
+
+        const message = context.chat[mesId];
+        if (!message) return;
         
-        // Setup observer for new messages (lightweight, always active)
-        setupPerformanceObserver();
+        const textElement = messageElement.querySelector('.mes_text');
+        if (!textElement) return;
+
+        // Random variant (%%img:smile_*%%) and tag (%%img:#angry%%) picks are seeded per chat + message + swipe,
+        // so re-renders, reloads and scrolling keep the same pick while a new swipe re-rolls.
+        const renderSeed = getMessageRenderSeed(context, mesId, message);
+        // Image cap / no-repeat policy of the owner (null when unset)
+        const repeatState = message.is_user ? null : createRepeatState(context, character, mesId, textElement);
+
+        // Quick check - if no chat tag outside code blocks, mark and skip (trigger rules may still add images)
+        const tagNodes = collectInlineTagTextNodes(textElement);
+        if (tagNodes.length === 0) {
+            noImageTagMessages.add(messageElement);
+            if (!message.is_user && applyTriggerRules(textElement, context, character, [cache, personaCache], mesId, renderSeed, repeatState)) {
+                observeInlineVideos(messageElement);
+            }
+            if (repeatState) recordShownImages(context, mesId, message, repeatState.names);
+            return;
+        }
+
+        log(`Fast rendering mesId ${mesId}`);
+        messageElement.dataset.rendering = 'true';
+        let pickIndex = 0;
+        let galleryIndex = 0;
+
+        // Use cached Map for O(1) lookups instead of O(n) array.find()
+        // Priority: character cache first, then persona cache as fallback
+        let hasBackgroundTag = false;
+        const renderTag = (match, type, tagContent) => {
+            // Background tags are removed from the text; the active background is computed from chat data
+            if (type === 'bg') {
+                hasBackgroundTag = true;
+                return '';
+            }
+
+            // %%gallery:a,b,c%% / %%gallery:outfit_*%%: every listed or matching asset in one carousel/grid
+            if (type === 'gallery') {
+                const gallery = parseGalleryTag(tagContent);
+                if (gallery.names.length === 0) return match;
+                const gallerySeed = `${renderSeed}::gallery::${galleryIndex++}`;
+                const targets = gallery.names.map(candidate => getTagCandidateTarget(candidate, context, character, [cache, personaCache], messageElement));
+                if (targets.some(target => target.isPending)) return match;
+                const items = collectGalleryItems(targets, TAG_ASSET_KINDS.gallery);
+                if (items.length === 0) {
+                    log(`No assets for gallery: "${tagContent}"`);
+                    return buildMissingAssetChipHtml(targets[0].name, targets[0].character);
+                }
+                const recordCaches = [...targets.flatMap(t => t.caches), cache, personaCache];
+                const shownItems = applyRepeatPolicyToGallery(items, repeatState, recordCaches, gallerySeed);
+                return shownItems.length > 0 ? buildGalleryHtml(shownItems, gallery) : '';
+            }
+
+            const tag = parseInlineImageTag(tagContent);
+            const { name: trimmedName, display } = tag;
+            if (!trimmedName) return match;
+
+            const kind = TAG_ASSET_KINDS[type];
+            const tagSeed = `${renderSeed}::${pickIndex++}`;
+
+            // %%bgm:none%% stops the music
+            if (type === 'bgm' && trimmedName.toLowerCase() === AUDIO_NONE) {
+                return buildAudioChipHtml(type, '', trimmedName, tagSeed);
+            }
+
+            const resolved = resolveInlineTagAsset(type, tag, context, character, [cache, personaCache], tagSeed, messageElement);
+            const { isPending, targets } = resolved;
+            let assetSource = resolved.source;
+
+            if (type === 'sfx' || type === 'bgm') {
+                if (assetSource) return buildAudioChipHtml(type, assetSource, trimmedName, tagSeed);
+                if (isPending) return match;
+                log(`Audio asset not found: "${trimmedName}"`);
+                return buildMissingAssetChipHtml(targets[0].name, targets[0].character);
+            }
+
+            if (!assetSource && isPending) {
+                // Leave the tag as-is; the message is re-rendered when verification / cache building finishes
+                log(`Waiting for asset lookup: "${trimmedName}"`);
+                return match;
+            }
+
+            if (assetSource) {
+                const recordCaches = [...targets.flatMap(t => t.caches), cache, personaCache];
+                let record = findAssetRecordByUrl(recordCaches, assetSource);
+                let assetName = record?.name || trimmedName;
+                if (repeatState) {
+                    const shown = applyRepeatPolicy(repeatState, assetName, assetSource, recordCaches, tagSeed, kind);
+                    if (!shown) return '';
+                    if (shown.url !== assetSource) {
+                        assetSource = shown.url;
+                        assetName = shown.name;
+                        record = findAssetRecordByUrl(recordCaches, assetSource);
+                    }
+                }
+                // The asset's description doubles as alt/title text unless the tag sets its own
+                const description = record?.description || '';
+                const shownDisplay = description
+                    ? { ...display, alt: display.alt || description, title: display.title || description }
+                    : display;
+                // assetSource can be either a URL path or base64 data
+                return buildInlineAssetImageHtml(assetSource, {
+                    name: trimmedName,
+                    display: shownDisplay,
+                    extraAttrs: [`data-asset-name="${escapeHtmlAttr(assetName)}"`],
+                });
+            }
+            
+            log(`Asset not found: "${trimmedName}"`);
+            return buildMissingAssetChipHtml(targets[0].name, targets[0].character);
+        };
+
+        // Replace tags in text nodes only, so attribute values and code blocks are left alone
+        for (const textNode of tagNodes) {
+            replaceInlineTagsInTextNode(textNode, renderTag);
+        }
+
+        if (hasBackgroundTag) {
+            scheduleChatBackgroundUpdate();
+        }
+
+        if (!message.is_user) {
+            applyTriggerRules(textElement, context, character, [cache, personaCache], mesId, renderSeed, repeatState);
+        }
+        if (repeatState) recordShownImages(context, mesId, message, repeatState.names);
+
+        autoplayMessageAudio(messageElement, context, mesId, renderSeed);
+        observeInlineVideos(messageElement);
         
-        performanceBoosterInitialized = true;
-        console.log('[InlineImageAssets] Global Performance Booster activated for all chats');
+        // Mark as processed
+        processedMessages.add(messageElement);
+        delete messageElement.dataset.rendering;
+    }
+
+    // Legacy function for compatibility (now uses batch system)
+    function renderMessage(messageElement) {
+        queueMessageForRender(messageElement);
     }
 
-    function injectPerformanceCSS() {
-        if (performanceStyleElement) return;
+    // === VISIBILITY-BASED LAZY LOADING (for assets) ===
+    function setupVisibilityObserver() {
+        // Don't create observer if asset rendering is not active
+        if (!isAssetRenderingActive) return null;
         
-        performanceStyleElement = document.createElement('style');
-        performanceStyleElement.id = 'inline-assets-performance-boost';
-        performanceStyleElement.textContent = `
-            /* === GLOBAL PERFORMANCE OPTIMIZATIONS v5.0 === */
-            /* content-visibility removed - causes scrollbar issues */
-            /* Using CSS containment only for performance */
-            
-            /* Message container optimization */
-            #chat .mes {
-                contain: layout style !important;
-            }
-            
-            /* Text content optimization */
-            #chat .mes .mes_text {
-                contain: layout style !important;
-            }
-            
-            /* Avatar optimization */
-            #chat .mes .avatar img {
-                contain: layout !important;
+        if (visibilityObserver) {
+            visibilityObserver.disconnect();
+        }
+        
+        visibilityObserver = new IntersectionObserver((entries) => {
+            // Inline video loops stay observed: play on screen, pause off screen (even mid-scroll)
+            const messageEntries = [];
+            for (const entry of entries) {
+                if (entry.target.tagName === 'VIDEO') {
+                    setInlineVideoPlaying(entry.target, entry.isIntersecting);
+                } else {
+                    messageEntries.push(entry);
+                }
             }
             
-            /* Optimize swipe containers */
-            #chat .mes .swipe_left,
-            #chat .mes .swipe_right {
-                contain: layout style !important;
-            }
+            // Skip if asset rendering is not active
+            if (!isAssetRenderingActive) return;
             
-            /* Optimize message block */
-            #chat .mes .mes_block {
-                contain: layout style !important;
+            // Don't process during fast scrolling
+            if (isScrolling && Date.now() - lastScrollTime < 50) {
+                return;
             }
             
-            /* Inline asset images */
-            #chat .mes .inline-asset-image {
-                contain: layout !important;
-                max-width: 100%;
-                height: auto;
+            for (const entry of messageEntries) {
+                if (entry.isIntersecting) {
+                    const messageElement = entry.target;
+                    if (!processedMessages.has(messageElement) && !noImageTagMessages.has(messageElement)) {
+                        queueMessageForRender(messageElement);
+                    }
+                    // Stop observing once queued
+                    visibilityObserver.unobserve(messageElement);
+                }
             }
-        `;
+        }, {
+            root: document.getElementById('chat'),
+            rootMargin: '300px 0px', // Pre-load messages 300px before they become visible
+            threshold: 0
+        });
         
-        document.head.appendChild(performanceStyleElement);
-        log('Performance CSS v5.0 injected (containment only, no content-visibility)');
+        // Video loops rendered under a previous observer would otherwise never play again
+        document.querySelectorAll('#chat video.inline-asset-video').forEach(video => visibilityObserver.observe(video));
+        
+        return visibilityObserver;
     }
 
-    function setupScrollPerformance() {
-        const chatElement = document.getElementById('chat');
-        if (!chatElement || chatElement.dataset.perfScrollSetup) return;
+    /**
+     * Disconnects the visibility observer and pauses the video loops it was playing
+     */
+    function teardownVisibilityObserver() {
+        if (!visibilityObserver) return;
+        visibilityObserver.disconnect();
+        visibilityObserver = null;
+        document.querySelectorAll('#chat video.inline-asset-video').forEach(video => setInlineVideoPlaying(video, false));
+    }
+
+    /**
+     * Plays or pauses an inline video loop
+     * @param {HTMLVideoElement} video
+     * @param {boolean} playing
+     */
+    function setInlineVideoPlaying(video, playing) {
+        if (!playing) {
+            video.pause();
+            return;
+        }
+        // The muted attribute from innerHTML isn't always applied to the property; autoplay needs it
+        video.muted = true;
+        video.play().catch(() => {});
+    }
+
+    /**
+     * Hands a rendered message's video loops to the visibility observer, so they only play on screen.
+     * Without an observer (asset rendering inactive) they stay paused until setupVisibilityObserver() picks them up.
+     * @param {HTMLElement} messageElement
+     */
+    function observeInlineVideos(messageElement) {
+        const videos = messageElement.querySelectorAll('video.inline-asset-video');
+        if (videos.length === 0) return;
+        const observer = visibilityObserver || setupVisibilityObserver();
+        if (!observer) return;
+        for (const video of videos) {
+            observer.observe(video);
+        }
+    }
+
+    function observeMessage(messageElement) {
+        // Skip if asset rendering is not active
+        if (!isAssetRenderingActive || !visibilityObserver) return;
         
-        // Simple scroll tracking for asset rendering optimization
-        // No content-visibility manipulation needed
-        chatElement.dataset.perfScrollSetup = 'true';
-        log('Scroll performance v5.0 setup complete (simplified)');
+        if (!processedMessages.has(messageElement)) {
+            visibilityObserver.observe(messageElement);
+        }
     }
 
-    function applyContentVisibility() {
+    // === INITIAL LOAD OPTIMIZATION (for assets) ===
+    function initialLoadMessages() {
+        // Skip asset processing if not active
+        if (!isAssetRenderingActive) {
+            log('Asset initial load SKIPPED - no assets (Performance Booster still active)');
+            return;
+        }
+        
         const chatElement = document.getElementById('chat');
         if (!chatElement) return;
         
-        // The CSS handles most of this, but we can add data attributes for fine-tuning
         const messages = chatElement.querySelectorAll('.mes');
+        if (messages.length === 0) return;
+        
+        log(`Initial load: ${messages.length} messages`);
+        
+        // Setup visibility observer
+        setupVisibilityObserver();
+        
+        // For messages already in viewport, render immediately
+        // For others, use IntersectionObserver for lazy loading
         const viewportHeight = window.innerHeight;
         const chatRect = chatElement.getBoundingClientRect();
         
+        const immediateRender = [];
+        const lazyRender = [];
+        
         messages.forEach((msg) => {
             const msgRect = msg.getBoundingClientRect();
-            const isVisible = msgRect.bottom >= chatRect.top && msgRect.top <= viewportHeight;
-            
-            // Mark visibility state for potential future optimizations
-            if (!isVisible) {
-                msg.dataset.offscreen = 'true';
+            // Check if message is in or near viewport
+            if (msgRect.bottom >= chatRect.top - 200 && msgRect.top <= viewportHeight + 200) {
+                immediateRender.push(msg);
             } else {
-                delete msg.dataset.offscreen;
+                lazyRender.push(msg);
             }
         });
         
-        log(`Applied content visibility hints to ${messages.length} messages`);
+        log(`Immediate render: ${immediateRender.length}, Lazy render: ${lazyRender.length}`);
+        
+        // Queue immediate renders
+        for (const msg of immediateRender) {
+            queueMessageForRender(msg);
+        }
+        
+        // Setup lazy loading for off-screen messages
+        for (const msg of lazyRender) {
+            observeMessage(msg);
+        }
     }
 
-    // Lightweight observer that only adds performance hints to new messages
-    let performanceObserver = null;
+    // === TRIGGER RULES (images without model tags) ===
+    // Per-character rules that add an image when a message's text matches, e.g. "laughs, giggles" ->
+    // #laughing. Applied at render time only: the stored message text is never changed, so removing a
+    // rule removes its images. Only the rule owner's own (non-user) messages are matched; a cooldown
+    // keeps the same rule from firing again for the next N messages.
 
-    // === MACRO AUTO-RESOLVE (for {{ia:...}} etc) ===
-    // Goal: Let users write macros directly in chat/regex HTML without having to call
-    // window.inlineImageAssetsMacros.resolve(...) manually.
-    let macroObserver = null;
-    let macroMutationBatch = [];
-    let macroMutationTimeout = null;
-    let macroRenderQueue = [];
-    let isMacroRenderScheduled = false;
-    const MACRO_RENDER_BATCH_SIZE = 4;
+    const TRIGGER_PLACEMENTS = {
+        after: 'After the matching paragraph',
+        before: 'Before the matching paragraph',
+        top: 'Top of the message',
+        bottom: 'Bottom of the message',
+    };
+    const DEFAULT_TRIGGER_PLACEMENT = 'after';
 
-    function hasInlineImageAssetsMacros(html) {
-        if (!html) return false;
-        // Keep this conservative: only our macro names to avoid stepping on other systems.
-        return /\{\{\s*(?:ia|iaImagePath|iaCssPath|iaJsPath|iaHtmlPath|iaListFiles)\s*(?:::|:)/.test(html);
-    }
+    // Memoized firings per character (avatar): recomputed from the first message whose text changed
+    let triggerFiringStates = new Map();
 
-    function hashString32FNV1a(str) {
-        // Fast non-crypto hash for change detection.
-        let h = 2166136261;
-        for (let i = 0; i < str.length; i++) {
-            h ^= str.charCodeAt(i);
-            h = Math.imul(h, 16777619);
-        }
-        return (h >>> 0).toString(16);
+    /**
+     * Gets a character's enabled, complete trigger rules
+     * @param {Object|null} character - Character object
+     * @returns {Array<{pattern: string, target: string, placement: string, cooldown: number}>}
+     */
+    function getTriggerRules(character) {
+        if (!character) return [];
+        const rules = ContextUtil.getSettings(character).triggerRules;
+        if (!Array.isArray(rules)) return [];
+        return rules.filter(rule => rule && rule.enabled !== false
+            && (rule.pattern || '').toString().trim() && (rule.target || '').toString().trim());
     }
 
-    function scheduleMacroRender() {
-        if (isMacroRenderScheduled) return;
-        isMacroRenderScheduled = true;
-
-        const ric = window.requestIdleCallback || ((cb) => setTimeout(() => cb({ timeRemaining: () => 0 }), 1));
-        ric(async (deadline) => {
+    /**
+     * Compiles a rule pattern. "/regex/flags" is a regular expression; anything else is a
+     * comma-separated keyword list matched case-insensitively anywhere in the text.
+     * @param {string} pattern - Rule pattern
+     * @returns {RegExp|null} - null for an invalid regex or an empty keyword list
+     */
+    function compileTriggerPattern(pattern) {
+        const source = (pattern || '').toString().trim();
+        const regexMatch = source.match(/^\/([\s\S]+)\/([a-z]*)$/);
+        if (regexMatch) {
             try {
-                await processMacroRenderBatch(deadline);
-            } finally {
-                isMacroRenderScheduled = false;
-                if (macroRenderQueue.length > 0) {
-                    scheduleMacroRender();
-                }
+                // g/y make test() stateful across calls
+                return new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+            } catch {
+                return null;
             }
-        }, { timeout: 100 });
-    }
-
-    function queueMessageForMacroResolve(messageElement) {
-        if (!messageElement || messageElement.nodeType !== Node.ELEMENT_NODE) return;
-        if (!messageElement.matches?.('.mes')) return;
-        if (!macroRenderQueue.includes(messageElement)) {
-            macroRenderQueue.push(messageElement);
-            scheduleMacroRender();
         }
+        const keywords = source.split(',').map(k => k.trim()).filter(Boolean)
+            .map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return keywords.length > 0 ? new RegExp(keywords.join('|'), 'i') : null;
     }
 
-    async function resolveMacrosInMessageElement(messageElement) {
-        if (!messageElement || messageElement.nodeType !== Node.ELEMENT_NODE) return;
-        const textElement = messageElement.querySelector?.('.mes_text');
-        if (!textElement) return;
-        if (textElement.dataset?.iiaMacroRendering === 'true') return;
+    /**
+     * @param {Array} rules - Rules from getTriggerRules()
+     * @returns {Array<{pattern: string, target: string, placement: string, cooldown: number, regex: RegExp|null}>}
+     */
+    function compileTriggerRules(rules) {
+        return rules.map(rule => {
+            const cooldown = parseInt(rule.cooldown, 10);
+            return {
+                pattern: rule.pattern.toString().trim(),
+                target: rule.target.toString().trim(),
+                placement: TRIGGER_PLACEMENTS[rule.placement] ? rule.placement : DEFAULT_TRIGGER_PLACEMENT,
+                cooldown: Number.isInteger(cooldown) && cooldown > 0 ? cooldown : 0,
+                regex: compileTriggerPattern(rule.pattern),
+            };
+        });
+    }
 
-        const html = textElement.innerHTML || '';
-        if (!hasInlineImageAssetsMacros(html)) {
-            // Track hash anyway so we can detect future edits.
-            textElement.dataset.iiaMacroHash = hashString32FNV1a(html);
-            return;
+    /**
+     * Walks the chat up to mesId and records which rules fire on each message. Work done for earlier
+     * messages is kept in state and reused until a message's text changes.
+     * @param {Object} context - SillyTavern context
+     * @param {Object} character - Rule owner
+     * @param {Array} compiled - Rules from compileTriggerRules()
+     * @param {number} mesId - Last message to evaluate
+     * @param {{texts: Array, fired: Array<number[]>}} state - Memo (a fresh object evaluates from scratch)
+     * @returns {number[]} - Indexes of the rules that fire on mesId
+     */
+    function computeTriggerFirings(context, character, compiled, mesId, state) {
+        const chat = context.chat || [];
+        const end = Math.min(mesId, chat.length - 1);
+
+        let valid = 0;
+        while (valid < state.texts.length && valid <= end && state.texts[valid] === chat[valid]?.mes) valid++;
+        state.texts.length = Math.min(state.texts.length, valid);
+        state.fired.length = state.texts.length;
+
+        for (let i = state.texts.length; i <= end; i++) {
+            const message = chat[i];
+            const isOwn = !!message && !message.is_user && !message.is_system
+                && ContextUtil.getMessageAssetOwner(message, context) === character;
+            const fired = [];
+            if (isOwn) {
+                compiled.forEach((rule, ruleIndex) => {
+                    if (!rule.regex || !rule.regex.test(message.mes || '')) return;
+                    for (let j = i - 1; j >= 0 && i - j <= rule.cooldown; j--) {
+                        if (state.fired[j].includes(ruleIndex)) return;
+                    }
+                    fired.push(ruleIndex);
+                });
+            }
+            state.texts[i] = message?.mes;
+            state.fired[i] = fired;
         }
+        return state.fired[mesId] || [];
+    }
 
-        const currentHash = hashString32FNV1a(html);
-        if (textElement.dataset.iiaMacroHash === currentHash) return;
+    /**
+     * Gets the character's rules and the ones firing on a message (memoized per character)
+     * @param {Object} context - SillyTavern context
+     * @param {Object|null} character - Message owner
+     * @param {number} mesId - Message id
+     * @returns {{rules: Array, fired: number[]}}
+     */
+    function getTriggerFirings(context, character, mesId) {
+        const rules = getTriggerRules(character);
+        if (rules.length === 0) return { rules: [], fired: [] };
 
-        const api = window.inlineImageAssetsMacros;
-        if (!api || typeof api.resolveWithTavernHelper !== 'function') {
-            // Should not happen when extension is loaded, but fail gracefully.
-            textElement.dataset.iiaMacroHash = currentHash;
-            return;
+        const key = getCharacterCacheKey(character);
+        const rulesKey = JSON.stringify(rules);
+        let state = triggerFiringStates.get(key);
+        if (!state || state.rulesKey !== rulesKey) {
+            state = { rulesKey, compiled: compileTriggerRules(rules), texts: [], fired: [] };
+            triggerFiringStates.set(key, state);
         }
+        return { rules: state.compiled, fired: computeTriggerFirings(context, character, state.compiled, mesId, state) };
+    }
 
-        textElement.dataset.iiaMacroRendering = 'true';
-        try {
-            const resolved = await api.resolveWithTavernHelper(html);
-            if (typeof resolved === 'string' && resolved !== html) {
-                textElement.innerHTML = resolved;
-            }
-        } catch (err) {
-            macroError('Auto macro resolve failed', err);
-        } finally {
-            const finalHtml = textElement.innerHTML || '';
-            textElement.dataset.iiaMacroHash = hashString32FNV1a(finalHtml);
-            delete textElement.dataset.iiaMacroRendering;
-        }
+    /**
+     * Whether a rendered message is missing images its trigger rules should add
+     * (e.g. SillyTavern re-rendered the text after an edit or swipe)
+     * @param {HTMLElement} messageElement - .mes element
+     * @param {Object} context - SillyTavern context
+     * @returns {boolean}
+     */
+    function needsTriggerRender(messageElement, context) {
+        const textElement = messageElement.querySelector('.mes_text');
+        if (!textElement || textElement.querySelector('.inline-asset-triggered')) return false;
+        const mesId = parseInt(messageElement.getAttribute('mesid'));
+        const message = context.chat?.[mesId];
+        if (!message || message.is_user || message.is_system) return false;
+        return getTriggerFirings(context, ContextUtil.getMessageAssetOwner(message, context), mesId).fired.length > 0;
+    }
+
+    /**
+     * First top-level block of the message (paragraph, list, quote...) whose text matches the rule
+     * @param {HTMLElement} textElement - .mes_text element
+     * @param {RegExp} regex - Rule pattern
+     * @returns {Element|null}
+     */
+    function findTriggerParagraph(textElement, regex) {
+        return Array.from(textElement.children)
+            .filter(el => !el.classList.contains('inline-asset-triggered'))
+            .find(el => regex.test(el.textContent || '')) || null;
     }
 
-    async function processMacroRenderBatch(deadline) {
-        let processed = 0;
-        while (macroRenderQueue.length > 0 && processed < MACRO_RENDER_BATCH_SIZE) {
-            if (deadline && typeof deadline.timeRemaining === 'function' && deadline.timeRemaining() < 2) {
-                break;
+    /**
+     * Picks the images of the rules firing on a message (shared by applyTriggerRules() and planShownImages())
+     * @param {Object} context - SillyTavern context
+     * @param {Object} character - Message owner
+     * @param {Map[]} caches - Owner's cache, then persona cache
+     * @param {number} mesId - Message id
+     * @param {string} renderSeed - Seed from getMessageRenderSeed()
+     * @param {Object|null} repeatState - From createRepeatState(); triggered images count toward its limits
+     * @returns {Array<{ruleIndex: number, rule: Object, src: string, record: Object|null}>}
+     */
+    function pickTriggerImages(context, character, caches, mesId, renderSeed, repeatState = null) {
+        const { rules, fired } = getTriggerFirings(context, character, mesId);
+
+        const picks = [];
+        for (const ruleIndex of fired) {
+            const rule = rules[ruleIndex];
+            const seed = `${renderSeed}::trigger::${ruleIndex}`;
+            let src = resolveTagCandidate(rule.target, caches, seed, TAG_ASSET_KINDS.img);
+            if (!src) {
+                log(`Trigger rule target not found: "${rule.target}"`);
+                continue;
             }
-            const el = macroRenderQueue.shift();
-            if (el && el.isConnected) {
-                // eslint-disable-next-line no-await-in-loop
-                await resolveMacrosInMessageElement(el);
-                processed++;
+            let record = findAssetRecordByUrl(caches, src);
+            if (repeatState) {
+                const shown = applyRepeatPolicy(repeatState, record?.name || rule.target, src, caches, seed, TAG_ASSET_KINDS.img);
+                if (!shown) continue;
+                src = shown.url;
+                record = findAssetRecordByUrl(caches, src);
             }
+            picks.push({ ruleIndex, rule, src, record });
         }
+        return picks;
     }
 
-    function processMacroMutationBatch() {
-        const uniqueMessages = new Set();
-
-        for (const mutation of macroMutationBatch) {
-            // Added nodes: likely new messages
-            if (mutation.addedNodes && mutation.addedNodes.length > 0) {
-                for (const node of mutation.addedNodes) {
-                    if (node.nodeType === Node.ELEMENT_NODE) {
-                        if (node.matches?.('.mes')) {
-                            uniqueMessages.add(node);
-                        } else if (node.querySelectorAll) {
-                            node.querySelectorAll('.mes').forEach(m => uniqueMessages.add(m));
-                        }
-                    }
-                }
-            }
+    /**
+     * Adds the images of the rules firing on a message. Runs once per rendered text: a message
+     * that already has triggered images is left alone.
+     * @param {HTMLElement} textElement - .mes_text element
+     * @param {Object} context - SillyTavern context
+     * @param {Object|null} character - Message owner
+     * @param {Map[]} caches - Owner's cache, then persona cache
+     * @param {number} mesId - Message id
+     * @param {string} renderSeed - Seed from getMessageRenderSeed()
+     * @param {Object|null} repeatState - From createRepeatState(); triggered images count toward its limits
+     * @returns {boolean} - true if any image was added
+     */
+    function applyTriggerRules(textElement, context, character, caches, mesId, renderSeed, repeatState = null) {
+        if (!character || textElement.querySelector('.inline-asset-triggered')) return false;
+        const picks = pickTriggerImages(context, character, caches, mesId, renderSeed, repeatState);
+
+        for (const { ruleIndex, rule, src, record } of picks) {
+            const assetName = record?.name || rule.target;
+            const description = record?.description || '';
+            const wrapper = document.createElement('div');
+            wrapper.className = 'inline-asset-triggered';
+            wrapper.dataset.triggerRule = String(ruleIndex);
+            wrapper.innerHTML = buildInlineAssetImageHtml(src, {
+                name: assetName,
+                display: { alt: description, title: description },
+                extraAttrs: [`data-asset-name="${escapeHtmlAttr(assetName)}"`],
+            });
 
-            // Character data changes: streaming edits often mutate text nodes.
-            if (mutation.type === 'characterData' || mutation.type === 'childList') {
-                const targetEl = mutation.target?.nodeType === Node.ELEMENT_NODE
-                    ? mutation.target
-                    : mutation.target?.parentElement;
-                const mes = targetEl?.closest?.('.mes');
-                if (mes) uniqueMessages.add(mes);
+            const paragraph = (rule.placement === 'before' || rule.placement === 'after') && rule.regex
+                ? findTriggerParagraph(textElement, rule.regex)
+                : null;
+            if (paragraph) {
+                paragraph[rule.placement](wrapper);
+            } else if (rule.placement === 'top' || rule.placement === 'before') {
+                textElement.prepend(wrapper);
+            } else {
+                textElement.append(wrapper);
             }
         }
-
-        macroMutationBatch = [];
-        for (const msg of uniqueMessages) {
-            queueMessageForMacroResolve(msg);
-        }
+        return picks.length > 0;
     }
 
-    function setupMacroObserver() {
+    /**
+     * Drops triggered images and memoized firings, then re-renders the chat (after rules change)
+     */
+    function refreshTriggeredImages() {
+        triggerFiringStates = new Map();
         const chatElement = document.getElementById('chat');
-        if (!chatElement || macroObserver) return;
-
-        macroObserver = new MutationObserver((mutations) => {
-            macroMutationBatch.push(...mutations);
-            if (macroMutationTimeout) clearTimeout(macroMutationTimeout);
-            macroMutationTimeout = setTimeout(() => {
-                processMacroMutationBatch();
-                macroMutationTimeout = null;
-            }, 50);
-        });
+        if (!chatElement) return;
+        chatElement.querySelectorAll('.inline-asset-triggered').forEach(el => el.remove());
+        chatElement.querySelectorAll('.mes').forEach(m => queueMessageForRenderForce(m));
+    }
 
-        // Observe subtree to catch streaming updates to message HTML.
-        macroObserver.observe(chatElement, {
-            childList: true,
-            subtree: true,
-            characterData: true,
-        });
+    /**
+     * Dry run for the rules dialog: how each rule behaves on one existing message.
+     * @param {Array} rules - Rules as edited (not necessarily saved)
+     * @param {Object} character - Rule owner
+     * @param {number} mesId - Message to test
+     * @returns {Promise<Array<{rule: Object, error: string, matched: boolean, fires: boolean, lastFired: number, asset: string, paragraph: string}>>}
+     */
+    async function testTriggerRules(rules, character, mesId) {
+        const context = getContext();
+        const message = context.chat?.[mesId];
+        const usable = rules.filter(rule => (rule.pattern || '').toString().trim() && (rule.target || '').toString().trim());
+        const compiled = compileTriggerRules(usable);
+        const state = { texts: [], fired: [] };
+        const fired = computeTriggerFirings(context, character, compiled, mesId, state);
 
-        // Initial pass for existing messages
-        chatElement.querySelectorAll('.mes').forEach(m => queueMessageForMacroResolve(m));
-        log('Macro auto-resolve observer setup complete');
-    }
-    
-    function setupPerformanceObserver() {
-        const chatElement = document.getElementById('chat');
-        if (!chatElement || performanceObserver) return;
-        
-        performanceObserver = new MutationObserver((mutations) => {
-            for (const mutation of mutations) {
-                if (mutation.addedNodes.length > 0) {
-                    for (const node of mutation.addedNodes) {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            if (node.classList?.contains('mes')) {
-                                // New message added - CSS will handle optimization
-                                // Note: content-visibility removed to fix scrollbar issues
-                            }
-                        }
-                    }
+        const cache = await buildAssetCache(character, context);
+        const caches = [cache];
+        const personaName = getCurrentPersonaName();
+        if (personaName) caches.push(await buildPersonaAssetCache(personaName));
+        const renderSeed = getMessageRenderSeed(context, mesId, message);
+        const paragraphs = (message?.mes || '').split(/\n\s*\n/);
+
+        return compiled.map((rule, ruleIndex) => {
+            const result = { rule, error: '', matched: false, fires: fired.includes(ruleIndex), lastFired: -1, asset: '', paragraph: '' };
+            if (!rule.regex) {
+                result.error = 'Invalid pattern';
+                return result;
+            }
+            result.matched = rule.regex.test(message?.mes || '');
+            for (let j = mesId - 1; j >= 0; j--) {
+                if (state.fired[j]?.includes(ruleIndex)) {
+                    result.lastFired = j;
+                    break;
                 }
             }
+            const src = resolveTagCandidate(rule.target, caches, `${renderSeed}::trigger::${ruleIndex}`, TAG_ASSET_KINDS.img);
+            result.asset = src ? (findAssetRecordByUrl(caches, src)?.name || src) : '';
+            result.paragraph = paragraphs.find(p => rule.regex.test(p))?.trim() || '';
+            return result;
         });
-        
-        performanceObserver.observe(chatElement, {
-            childList: true,
-            subtree: false // Only watch direct children for performance
-        });
-        
-        log('Performance observer setup complete');
     }
 
-    // === CACHE MANAGEMENT ===
-    function invalidateAssetCache() {
-        assetCache.clear();
-        thumbnailCache.clear();
-        cachedCharacterId = null;
-        cachedCharacterName = null;
-        isAssetRenderingActive = false; // Reset active state
-        // Also invalidate CSRF token to ensure fresh token on next request
-        invalidateCsrfToken();
-        log('Asset cache invalidated');
+    // === REPEAT POLICY (image cap per message, no back-to-back repeats) ===
+    // Per-character render-time limits: a cap on images per message and a minimum number of messages
+    // before the same asset is shown again. A repeat is swapped for a numbered sibling (smile_1 ->
+    // smile_2) when one is free, otherwise left out. Gallery slides and trigger images count like
+    // %%img%% tags. What each message showed is kept in the chat metadata by send date and swipe, so
+    // later messages decide the same way after a reload or a delete; messages with nothing recorded
+    // are worked out oldest-first from their text (computeShownImageNames), never from render order.
+
+    const IMAGE_HISTORY_METADATA_KEY = 'inline_image_assets_history';
+    const NO_REPEAT_POLICY = Object.freeze({ maxImages: 0, minGap: 0, substitute: false });
+
+    // Oldest-first memo of computeShownImageNames(), reset with the chat. pending holds the message ids
+    // whose plan waited on a cache build or disk check (see replanPendingShownImages)
+    let shownImageState = { keys: [], texts: [], names: [], pending: new Set() };
+
+    /**
+     * Gets a character's repeat policy
+     * @param {Object|null} character - Character object
+     * @returns {{maxImages: number, minGap: number, substitute: boolean}|null} - null when no limit is set
+     */
+    function getRepeatPolicy(character) {
+        if (!character) return null;
+        const settings = ContextUtil.getSettings(character);
+        const maxImages = parseInt(settings.maxImagesPerMessage, 10);
+        const minGap = parseInt(settings.minRepeatGap, 10);
+        const policy = {
+            maxImages: Number.isInteger(maxImages) && maxImages > 0 ? maxImages : 0,
+            minGap: Number.isInteger(minGap) && minGap > 0 ? minGap : 0,
+            substitute: settings.substituteRepeats !== false,
+        };
+        return policy.maxImages > 0 || policy.minGap > 0 ? policy : null;
     }
 
-    function invalidatePersonaAssetCache() {
-        personaAssetCache.clear();
-        cachedPersonaName = null;
-        log('Persona asset cache invalidated');
+    /**
+     * Chat tags of a stored message, in order, leaving out code and escaped tags like the rendered text does
+     * @param {string} text - Raw message text
+     * @returns {Array<{type: string, content: string}>}
+     */
+    function getMessageInlineTags(text) {
+        const visible = (text || '').replace(/```[\s\S]*?(?:```|$)/g, '').replace(/`[^`\n]*`/g, '');
+        const tags = [];
+        for (const match of visible.matchAll(inlineTagRegex)) {
+            if (match.index > 0 && visible[match.index - 1] === '\\') continue;
+            tags.push({ type: match[1], content: match[2] });
+        }
+        return tags;
     }
 
     /**
-     * Gets current persona name from context
-     * @returns {string|null} - Current persona name or null
+     * Plain image names written in a message (random picks and tag queries can't be known without its caches)
+     * @param {string} text - Raw message text
+     * @returns {string[]}
      */
-    function getCurrentPersonaName() {
-        const context = getContext();
-        // SillyTavern stores persona info in name1 or user_avatar
-        return context.name1 || null;
+    function getWrittenImageNames(text) {
+        const names = [];
+        for (const { type, content } of getMessageInlineTags(text)) {
+            if (type !== 'img' && type !== 'vid') continue;
+            const { name } = parseInlineImageTag(content);
+            if (name && parseTagQuery(name) === null && getRandomVariantPrefix(name) === null) {
+                names.push(name);
+            }
+        }
+        return names;
     }
 
     /**
-     * Gets persona assets from extension settings
-     * @param {string} personaName - Persona name
-     * @returns {Array} - Array of asset info
+     * Names recorded for a message's current swipe
+     * @returns {string[]|null}
      */
-    function getPersonaAssetsRaw(personaName) {
-        if (!personaName) return [];
-        
-        const context = getContext();
-        // Store persona assets in extension settings
-        const extensionSettings = context.extensionSettings || {};
-        const inlineAssetsSettings = extensionSettings.inlineImageAssets || {};
-        const personaAssets = inlineAssetsSettings.personas || {};
-        
-        const assets = personaAssets[personaName] || [];
-        log(`getPersonaAssetsRaw: Found ${assets.length} assets for persona "${personaName}"`);
-        return assets;
+    function getRecordedImageNames(history, message, mesId) {
+        const names = history[getStableMessageKey(message, mesId)]?.[message.swipe_id ?? 0];
+        return Array.isArray(names) ? names : null;
     }
 
     /**
-     * Saves persona assets to extension settings
-     * @param {string} personaName - Persona name
-     * @param {Array} assets - Array of asset metadata
+     * Lowercase names from the `gap` entries before index `end`
+     * @param {string[][]} shownNames - Names per message
+     * @returns {Set<string>}
      */
-    async function savePersonaAssets(personaName, assets) {
-        if (!personaName) return;
-        
-        const context = getContext();
-        // Initialize settings structure if needed
-        if (!context.extensionSettings.inlineImageAssets) {
-            context.extensionSettings.inlineImageAssets = {};
-        }
-        if (!context.extensionSettings.inlineImageAssets.personas) {
-            context.extensionSettings.inlineImageAssets.personas = {};
+    function collectRecentNames(shownNames, end, gap) {
+        const recent = new Set();
+        for (let j = end - 1; j >= 0 && end - j <= gap; j--) {
+            (shownNames[j] || []).forEach(name => recent.add(name.toLowerCase()));
         }
-        
-        context.extensionSettings.inlineImageAssets.personas[personaName] = assets;
-        
-        // Save settings
-        context.saveSettingsDebounced();
-        
-        // Invalidate cache
-        invalidatePersonaAssetCache();
-        log(`Saved ${assets.length} assets for persona "${personaName}"`);
+        return recent;
     }
 
     /**
-     * Builds persona asset cache
-     * @param {string} personaName - Persona name
-     * @returns {Promise<Map>} - Asset cache map
+     * Works out which images a stored message shows without rendering it: its tags in order (gallery
+     * slides included) and its trigger images, picked and limited the way renderMessageFast() does.
+     * @param {Object} context - SillyTavern context
+     * @param {number} mesId - Message id
+     * @param {(gap: number) => Set<string>} getRecent - Lowercase names shown within `gap` messages before it
+     * @returns {{names: string[], complete: boolean}} - complete is false while a cache build or disk check
+     *   is pending; the names written in the text stand in while the owner's cache isn't built
      */
-    async function buildPersonaAssetCache(personaName) {
-        if (!personaName) return new Map();
-        
-        // Return existing cache if valid
-        if (cachedPersonaName === personaName && personaAssetCache.size > 0) {
-            return personaAssetCache;
-        }
-        
-        personaAssetCache.clear();
-        const assets = getPersonaAssetsRaw(personaName);
-        
-        log(`Building persona asset cache for ${personaName}, ${assets.length} assets from settings`);
-        
-        // Also try to get file list from file system
-        let fileSystemAssets = [];
-        try {
-            fileSystemAssets = await listPersonaImages(personaName);
-            log(`Found ${fileSystemAssets.length} persona files in file system (user/files/)`);
-        } catch (e) {
-            log('Could not list persona file system assets:', e.message);
-        }
-        
-        // Create a map of filename -> URL from file system
-        const fileUrlMap = new Map();
-        fileSystemAssets.forEach(fa => {
-            if (fa.filename && fa.url) {
-                fileUrlMap.set(fa.filename, fa.url);
-                fileUrlMap.set(fa.name, fa.url);
-                const sanitizedName = sanitizeFilename(fa.name);
-                if (sanitizedName !== fa.name) {
-                    fileUrlMap.set(sanitizedName, fa.url);
+    function planShownImages(context, mesId, getRecent) {
+        const message = context.chat[mesId];
+        const owner = ContextUtil.getMessageAssetOwner(message, context);
+        const cache = owner ? characterAssetCaches.get(getCharacterCacheKey(owner)) : new Map();
+        const personaName = getCurrentPersonaName();
+        if (!cache || (personaName && cachedPersonaName !== personaName)) {
+            return { names: getWrittenImageNames(message.mes), complete: false };
+        }
+
+        const caches = [cache, personaName ? personaAssetCache : new Map()];
+        const policy = message.is_user ? null : getRepeatPolicy(owner);
+        // Without a policy nothing is limited, but every shown image still counts for later messages
+        const state = { policy: policy || NO_REPEAT_POLICY, recent: policy?.minGap > 0 ? getRecent(policy.minGap) : new Set(), names: [] };
+        const renderSeed = getMessageRenderSeed(context, mesId, message);
+        let complete = true;
+        let pickIndex = 0;
+        let galleryIndex = 0;
+
+        for (const { type, content } of getMessageInlineTags(message.mes)) {
+            if (type === 'bg') continue;
+            if (type === 'gallery') {
+                const gallery = parseGalleryTag(content);
+                if (gallery.names.length === 0) continue;
+                const gallerySeed = `${renderSeed}::gallery::${galleryIndex++}`;
+                const targets = gallery.names.map(candidate => getTagCandidateTarget(candidate, context, owner, caches, null));
+                if (targets.some(target => target.isPending)) {
+                    complete = false;
+                    continue;
                 }
-                fileUrlMap.set(fa.name.toLowerCase(), fa.url);
+                const recordCaches = [...targets.flatMap(t => t.caches), ...caches];
+                applyRepeatPolicyToGallery(collectGalleryItems(targets, TAG_ASSET_KINDS.gallery), state, recordCaches, gallerySeed);
+                continue;
             }
-        });
-        
-        for (const asset of assets) {
-            if (asset.name) {
-                let url = asset.url;
-                
-                if (!url && asset.filename) {
-                    url = `/user/files/${asset.filename}`;
-                } else if (!url && fileUrlMap.has(asset.name)) {
-                    url = fileUrlMap.get(asset.name);
-                }
-                
-                if (url) {
-                    personaAssetCache.set(asset.name, url);
-                    log(`Cached persona asset: ${asset.name} -> ${url}`);
-                    
-                    const sanitizedName = sanitizeFilename(asset.name);
-                    if (sanitizedName !== asset.name && !personaAssetCache.has(sanitizedName)) {
-                        personaAssetCache.set(sanitizedName, url);
-                    }
-                    
-                    const lowerName = asset.name.toLowerCase();
-                    if (!personaAssetCache.has(lowerName)) {
-                        personaAssetCache.set(lowerName, url);
-                    }
-                }
+
+            const tag = parseInlineImageTag(content);
+            if (!tag.name) continue;
+            const tagSeed = `${renderSeed}::${pickIndex++}`;
+            if (type === 'sfx' || type === 'bgm') continue;
+
+            const { source, isPending, targets } = resolveInlineTagAsset(type, tag, context, owner, caches, tagSeed, null);
+            if (!source) {
+                if (isPending) complete = false;
+                continue;
             }
+            const recordCaches = [...targets.flatMap(t => t.caches), ...caches];
+            const name = findAssetRecordByUrl(recordCaches, source)?.name || tag.name;
+            applyRepeatPolicy(state, name, source, recordCaches, tagSeed, TAG_ASSET_KINDS[type]);
         }
-        
-        // Also add any file system assets not in settings
-        fileSystemAssets.forEach(fa => {
-            if (fa.name && !personaAssetCache.has(fa.name) && fa.url) {
-                personaAssetCache.set(fa.name, fa.url);
-                log(`Added persona file system asset to cache: ${fa.name} -> ${fa.url}`);
-                
-                const sanitizedName = sanitizeFilename(fa.name);
-                if (sanitizedName !== fa.name && !personaAssetCache.has(sanitizedName)) {
-                    personaAssetCache.set(sanitizedName, fa.url);
-                }
-                
-                const lowerName = fa.name.toLowerCase();
-                if (!personaAssetCache.has(lowerName)) {
-                    personaAssetCache.set(lowerName, fa.url);
-                }
-            }
+
+        if (owner && !message.is_user) {
+            pickTriggerImages(context, owner, caches, mesId, renderSeed, state);
+        }
+        return { names: state.names, complete };
+    }
+
+    /**
+     * Walks the chat oldest-first and works out which images each message before mesId shows: what was
+     * recorded for its current swipe, else planShownImages() against the messages before it. Work done
+     * for earlier messages is kept and reused until a message's text, swipe or place in the chat changes,
+     * or a lookup an incomplete plan waited on finishes.
+     * @param {Object} context - SillyTavern context
+     * @param {number} mesId - First message not to evaluate
+     * @returns {string[][]} - Names per message (index = message id)
+     */
+    function computeShownImageNames(context, mesId) {
+        const chat = context.chat || [];
+        const end = Math.min(mesId, chat.length);
+        const history = context.chatMetadata?.[IMAGE_HISTORY_METADATA_KEY] || {};
+        const state = shownImageState;
+        const getKey = i => `${getStableMessageKey(chat[i], i)}::${chat[i].swipe_id ?? 0}`;
+
+        let valid = 0;
+        while (valid < state.keys.length && valid < end && state.keys[valid] === getKey(valid) && state.texts[valid] === chat[valid].mes) valid++;
+        if (valid < end) truncateShownImages(valid);
+
+        for (let i = state.keys.length; i < end; i++) {
+            const recorded = getRecordedImageNames(history, chat[i], i);
+            const planned = recorded ? null : planShownImages(context, i, gap => collectRecentNames(state.names, i, gap));
+            // An incomplete plan stands until its lookup finishes, then it's worked out again
+            if (planned && !planned.complete) state.pending.add(i);
+            state.keys[i] = getKey(i);
+            state.texts[i] = chat[i].mes;
+            state.names[i] = recorded || planned.names;
+        }
+        return state.names;
+    }
+
+    /**
+     * Forgets memoized results from a message on (its recorded images changed)
+     */
+    function truncateShownImages(mesId) {
+        const length = Math.min(shownImageState.keys.length, mesId);
+        shownImageState.keys.length = length;
+        shownImageState.texts.length = length;
+        shownImageState.names.length = length;
+        shownImageState.pending.forEach(i => {
+            if (i >= length) shownImageState.pending.delete(i);
         });
-        
-        cachedPersonaName = personaName;
-        
-        log(`Persona asset cache built: ${personaAssetCache.size} items for persona ${personaName}`);
-        return personaAssetCache;
     }
 
     /**
-     * Check if current character has any assets.
-     * This is the KEY function for asset rendering mode.
-     * @returns {boolean} true if character has assets
+     * Forgets memoized results from the first incomplete plan on, so the next walk works it out
+     * again. Called when a cache build or disk check finishes.
      */
-    function checkCharacterHasAssets() {
-        const context = getContext();
-        if (!context.characters || context.characterId === undefined) {
-            return false;
-        }
-        
-        const character = context.characters[context.characterId];
-        if (!character) return false;
-        
-        const assets = ContextUtil.getAssetsRaw(character);
-        return assets && assets.length > 0;
+    function replanPendingShownImages() {
+        if (shownImageState.pending.size === 0) return;
+        truncateShownImages(Math.min(...shownImageState.pending));
     }
 
     /**
-     * Activate or deactivate ASSET RENDERING based on whether assets exist.
-     * Note: Performance booster is ALWAYS active regardless of this.
+     * Lowercase names of the images shown in the messages before mesId, within the policy's gap
+     * @param {Object} context - SillyTavern context
+     * @param {number} mesId - Message being rendered
+     * @param {number} gap - Messages to look back
+     * @returns {Set<string>}
      */
-    function updateAssetRenderingState() {
-        const hasAssets = checkCharacterHasAssets();
-        const wasActive = isAssetRenderingActive;
-        isAssetRenderingActive = hasAssets;
-        
-        if (hasAssets && !wasActive) {
-            log('Asset Rendering ACTIVATED - character has assets');
-            activateAssetObservers();
-        } else if (!hasAssets && wasActive) {
-            log('Asset Rendering DEACTIVATED - character has no assets');
-            deactivateAssetObservers();
-        } else if (!hasAssets) {
-            log('Asset Rendering remains DORMANT - no assets (Performance Booster still active)');
-        }
-        
-        return hasAssets;
+    function getRecentImageNames(context, mesId, gap) {
+        return collectRecentNames(computeShownImageNames(context, mesId), mesId, gap);
     }
 
     /**
-     * Activate asset-related observers (only called when assets exist)
+     * Starts the per-render repeat state of a message. Images already in the text (an earlier pass
+     * that waited on a lookup) count toward the cap.
+     * @param {Object} context - SillyTavern context
+     * @param {Object|null} character - Message owner
+     * @param {number} mesId - Message id
+     * @param {HTMLElement} textElement - .mes_text element
+     * @returns {{policy: Object, recent: Set<string>, names: string[]}|null} - null when the character has no policy
      */
-    function activateAssetObservers() {
-        const chatElement = document.getElementById('chat');
-        if (!chatElement) return;
-        
-        // Setup scroll detection for asset rendering
-        if (!scrollListenerAttached) {
-            setupScrollDetection();
+    function createRepeatState(context, character, mesId, textElement) {
+        const policy = getRepeatPolicy(character);
+        if (!policy) return null;
+        const names = Array.from(textElement.querySelectorAll('[data-asset-name]:not(.inline-asset-missing)'), el => el.dataset.assetName);
+        const recent = policy.minGap > 0 ? getRecentImageNames(context, mesId, policy.minGap) : new Set();
+        return { policy, recent, names };
+    }
+
+    /**
+     * Applies the repeat policy to one resolved image
+     * @param {Object} state - From createRepeatState()
+     * @param {string} name - Asset name that resolved
+     * @param {string} url - Resolved source
+     * @param {Map[]} caches - Caches to look for siblings in
+     * @param {string} seed - Seed for the sibling pick
+     * @param {string|string[]|null} kind - Accepted asset kinds
+     * @returns {{name: string, url: string}|null} - The image to show (maybe a sibling), or null to leave it out
+     */
+    function applyRepeatPolicy(state, name, url, caches, seed, kind) {
+        const { policy, recent, names } = state;
+        if (policy.maxImages > 0 && names.length >= policy.maxImages) {
+            log(`Image cap (${policy.maxImages}) reached, skipping "${name}"`);
+            return null;
         }
-        
-        // Setup MutationObserver for asset rendering
-        if (!chatObserver) {
-            chatObserver = new MutationObserver((mutations) => {
-                if (!isAssetRenderingActive) return; // Double-check
-                
-                mutationBatch.push(...mutations);
-                
-                if (mutationTimeout) {
-                    clearTimeout(mutationTimeout);
+
+        const used = new Set([...recent, ...names.map(n => n.toLowerCase())]);
+        let shown = { name, url };
+        if (policy.minGap > 0 && used.has(name.toLowerCase())) {
+            const base = parseAssetNameForCompression(name).base?.toLowerCase();
+            const siblings = [];
+            if (policy.substitute && base) {
+                const seen = new Set();
+                for (const cache of caches) {
+                    for (const record of getAssetIndex(cache)?.records || []) {
+                        if (seen.has(record.url) || record.url === url) continue;
+                        seen.add(record.url);
+                        if (parseAssetNameForCompression(record.name).base?.toLowerCase() !== base) continue;
+                        if (used.has(record.name.toLowerCase()) || !matchesAssetKind(record.url, kind)) continue;
+                        siblings.push({ name: record.name, url: record.url });
+                    }
                 }
-                
-                mutationTimeout = setTimeout(() => {
-                    processMutationBatch();
-                    mutationTimeout = null;
-                }, 50);
-            });
+            }
+            if (siblings.length === 0) {
+                log(`Repeated image "${name}" left out (shown within ${policy.minGap} messages)`);
+                return null;
+            }
+            shown = siblings[pickRandomIndex(siblings.length, `${seed}::repeat`)];
+            log(`Repeated image "${name}" replaced with "${shown.name}"`);
         }
-        
-        chatObserver.observe(chatElement, {
-            childList: true,
-            subtree: true,
-            characterData: true,
-        });
-        
-        // Setup visibility observer for lazy asset loading
-        setupVisibilityObserver();
-        
-        // Process existing messages for assets
-        initialLoadMessages();
+        names.push(shown.name);
+        return shown;
     }
 
     /**
-     * Deactivate asset-related observers (zero overhead for asset rendering)
-     * Note: Performance booster remains active
+     * Stores the image history, dropping the entries of deleted messages
+     * @param {Object} context - SillyTavern context
+     * @param {Object} history - message key (getStableMessageKey) -> swipe id -> shown names
      */
-    function deactivateAssetObservers() {
-        // Disconnect asset MutationObserver
-        if (chatObserver) {
-            chatObserver.disconnect();
-        }
-        
-        // Disconnect asset IntersectionObserver
-        if (visibilityObserver) {
-            visibilityObserver.disconnect();
-            visibilityObserver = null;
+    function saveShownImageHistory(context, history) {
+        const messageKeys = new Set((context.chat || []).map((message, mesId) => getStableMessageKey(message, mesId)));
+        Object.keys(history).forEach(key => {
+            if (!messageKeys.has(key)) delete history[key];
+        });
+        context.chatMetadata[IMAGE_HISTORY_METADATA_KEY] = history;
+        if (typeof context.saveMetadataDebounced === 'function') {
+            context.saveMetadataDebounced();
+        } else {
+            context.saveMetadata?.();
         }
-        
-        // Clear asset queues
-        renderQueue = [];
-        mutationBatch = [];
-        
-        log('Asset observers deactivated - Performance Booster still active');
     }
 
-    async function buildAssetCache(character, context) {
-        const charId = context.characterId;
-        
-        // Return existing cache if valid
-        if (cachedCharacterId === charId && assetCache.size > 0) {
-            return assetCache;
-        }
-        
-        // Rebuild cache
-        assetCache.clear();
-        const assets = ContextUtil.getAssetsRaw(character);
-        
-        log(`Building asset cache for ${character.name}, ${assets.length} assets from metadata`);
-        
-        // Also try to get file list from file system for URL verification
-        let fileSystemAssets = [];
-        try {
-            fileSystemAssets = await listCharacterImages(character.name);
-            log(`Found ${fileSystemAssets.length} files in file system (user/files/)`);
-        } catch (e) {
-            log('Could not list file system assets:', e.message);
-        }
-        
-        // === NEW: Also scan user/images/{characterName}/ directory ===
-        // This is the primary location for manually managed images
-        let userImagesAssets = [];
-        try {
-            // Get known asset names to help with scanning
-            const knownNames = assets.map(a => a.name);
-            userImagesAssets = await scanUserImagesDirectory(character.name, knownNames);
-            log(`Found ${userImagesAssets.length} files in user/images/${character.name}/`);
-        } catch (e) {
-            log('Could not scan user/images/ directory:', e.message);
+    /**
+     * Records the images a message showed, for the repeat checks of the messages after it
+     * @param {Object} context - SillyTavern context
+     * @param {number} mesId - Message id
+     * @param {Object} message - Chat message
+     * @param {string[]} names - Shown asset names
+     */
+    function recordShownImages(context, mesId, message, names) {
+        const metadata = context.chatMetadata;
+        if (!metadata) return;
+        const history = metadata[IMAGE_HISTORY_METADATA_KEY] || {};
+        const messageKey = getStableMessageKey(message, mesId);
+        const swipe = message.swipe_id ?? 0;
+        const previous = history[messageKey]?.[swipe];
+        if (Array.isArray(previous) && previous.join('\n') === names.join('\n')) return;
+
+        history[messageKey] = { ...history[messageKey], [swipe]: names };
+        // Later messages were worked out against what this one was expected to show
+        if (shownImageState.pending.has(mesId) || shownImageState.names[mesId]?.join('\n') !== names.join('\n')) {
+            truncateShownImages(mesId);
         }
-        
-        // Merge all file sources
-        const allFileAssets = [...fileSystemAssets, ...userImagesAssets];
-        
-        // Create a map of filename -> URL from file system
-        // This handles unicode character names properly
-        const fileUrlMap = new Map();
-        allFileAssets.forEach(fa => {
-            if (fa.filename && fa.url) {
-                // Map both the full filename and the extracted name
-                fileUrlMap.set(fa.filename, fa.url);
-                fileUrlMap.set(fa.name, fa.url);
-                // Also map sanitized version for lookup
-                const sanitizedName = sanitizeFilename(fa.name);
-                if (sanitizedName !== fa.name) {
-                    fileUrlMap.set(sanitizedName, fa.url);
-                }
-                // Map lowercase versions for case-insensitive lookup
-                fileUrlMap.set(fa.name.toLowerCase(), fa.url);
-                if (sanitizedName !== fa.name) {
-                    fileUrlMap.set(sanitizedName.toLowerCase(), fa.url);
-                }
-            }
-        });
-        
-        log(`File URL map has ${fileUrlMap.size} entries`);
-        
-        for (const asset of assets) {
-            if (asset.name) {
-                let url = null;
-                
-                // Priority 1: Check if file exists in user/images/ (preferred location)
-                const userImagesUrl = `/user/images/${character.name}/${asset.name}`;
-                if (userImagesAssets.some(a => a.name === asset.name)) {
-                    const found = userImagesAssets.find(a => a.name === asset.name);
-                    url = found?.url;
-                    log(`Found in user/images/: "${asset.name}" -> ${url}`);
-                }
-                // Priority 2: Use existing URL if valid
-                else if (asset.url) {
-                    url = asset.url.startsWith('/') ? asset.url : `/${asset.url}`;
-                }
-                // Priority 3: Construct URL from filename
-                else if (asset.filename) {
-                    url = `/user/files/${asset.filename}`;
-                }
-                // Priority 4: Try to find in file system by name
-                else if (fileUrlMap.has(asset.name)) {
-                    url = fileUrlMap.get(asset.name);
-                    log(`Found URL from file system for "${asset.name}": ${url}`);
-                }
-                // Priority 5: Try sanitized name in file system
-                else {
-                    const sanitizedName = sanitizeFilename(asset.name);
-                    if (fileUrlMap.has(sanitizedName)) {
-                        url = fileUrlMap.get(sanitizedName);
-                        log(`Found URL from file system via sanitized name for "${asset.name}": ${url}`);
-                    }
-                }
-                // Priority 6: For legacy base64 assets, store the data directly
-                if (!url && asset.data) {
-                    assetCache.set(asset.name, asset.data);
-                    // Also cache under sanitized name for lookup
-                    const sanitizedName = sanitizeFilename(asset.name);
-                    if (sanitizedName !== asset.name) {
-                        assetCache.set(sanitizedName, asset.data);
-                    }
-                    log(`Cached legacy asset: ${asset.name} (base64)`);
-                    continue;
-                }
-                
-                if (url) {
-                    // Cache under original name
-                    assetCache.set(asset.name, url);
-                    log(`Cached asset: ${asset.name} -> ${url}`);
-                    
-                    // Also cache under sanitized name for lookup flexibility
-                    const sanitizedName = sanitizeFilename(asset.name);
-                    if (sanitizedName !== asset.name && !assetCache.has(sanitizedName)) {
-                        assetCache.set(sanitizedName, url);
-                        log(`Also cached as sanitized: ${sanitizedName} -> ${url}`);
-                    }
+        saveShownImageHistory(context, history);
+    }
 
-                    // Also cache under canonical key (matches /api/images/upload base-name sanitization)
-                    const canonicalKey = getCanonicalAssetKey(asset.name);
-                    if (canonicalKey !== asset.name && !assetCache.has(canonicalKey)) {
-                        assetCache.set(canonicalKey, url);
-                    }
-                    
-                    // Also cache under lowercase for case-insensitive lookup
-                    const lowerName = asset.name.toLowerCase();
-                    if (!assetCache.has(lowerName)) {
-                        assetCache.set(lowerName, url);
-                    }
-                } else {
-                    log(`Warning: No URL found for asset "${asset.name}"`);
-                }
-            }
+    /**
+     * Re-renders every message from its stored text with fresh repeat history (after the limits change).
+     * The history is rebuilt oldest-first before anything renders, so each message decides against the
+     * messages before it rather than against whichever happened to render first.
+     */
+    function rerenderChatImages() {
+        const context = getContext();
+        shownImageState = { keys: [], texts: [], names: [], pending: new Set() };
+        if (context.chatMetadata) {
+            delete context.chatMetadata[IMAGE_HISTORY_METADATA_KEY];
+            const chat = context.chat || [];
+            const history = {};
+            computeShownImageNames(context, chat.length).forEach((names, mesId) => {
+                // Still waiting on a lookup: recorded once the message renders
+                if (shownImageState.pending.has(mesId)) return;
+                const messageKey = getStableMessageKey(chat[mesId], mesId);
+                history[messageKey] = { ...history[messageKey], [chat[mesId].swipe_id ?? 0]: names };
+            });
+            saveShownImageHistory(context, history);
         }
-        
-        // Also add any file system assets not in metadata
-        // This ensures images in user/images/ are available even without explicit registration
-        allFileAssets.forEach(fa => {
-            if (fa.name && !assetCache.has(fa.name) && fa.url) {
-                assetCache.set(fa.name, fa.url);
-                log(`Added file system asset to cache: ${fa.name} -> ${fa.url}`);
-                
-                // Also add sanitized version
-                const sanitizedName = sanitizeFilename(fa.name);
-                if (sanitizedName !== fa.name && !assetCache.has(sanitizedName)) {
-                    assetCache.set(sanitizedName, fa.url);
-                }
+        document.querySelectorAll('#chat .mes').forEach(messageElement => rerenderMessageText(messageElement));
+    }
 
-                // Also add canonical version
-                const canonicalKey = getCanonicalAssetKey(fa.name);
-                if (canonicalKey !== fa.name && !assetCache.has(canonicalKey)) {
-                    assetCache.set(canonicalKey, fa.url);
-                }
-                
-                // Also add lowercase version for case-insensitive lookup
-                const lowerName = fa.name.toLowerCase();
-                if (!assetCache.has(lowerName)) {
-                    assetCache.set(lowerName, fa.url);
+    // === GALLERY (%%gallery:a,b,c%% / %%gallery:prefix_*%%) ===
+    // Several assets in one spot: a scroll-snap carousel (swipe, arrows, keyboard) or, with |grid, a
+    // thumbnail grid. Slides use the same lazy <img>/<video> markup as %%img:%%, so off-screen slides
+    // load natively and video loops are played/paused by the visibility observer.
+    const GALLERY_MAX_ITEMS = 50;
+
+    /**
+     * Parses a gallery tag body: "smile, wink, Alice/blush|grid|h=200|caption=Outfits"
+     * @param {string} rawContent - Text between "%%gallery:" and "%%"
+     * @returns {{names: string[], layout: 'carousel'|'grid', height: string, caption: string}}
+     */
+    function parseGalleryTag(rawContent) {
+        const { main, opts, flags } = parsePipeOptions(rawContent);
+        const names = main.split(',').map(n => n.trim()).filter(Boolean);
+        const layoutOption = (opts.layout || '').toString().trim().toLowerCase();
+        const isGrid = layoutOption === 'grid' || flags.some(f => f.toLowerCase() === 'grid');
+        const display = parseImageDisplayOptions(opts, flags);
+        return { names, layout: isGrid ? 'grid' : 'carousel', height: display.height, caption: display.caption };
+    }
+
+    /**
+     * Resolves gallery entries to assets. Prefix entries (outfit_*) and tag queries (#outfit) expand to
+     * every match, sorted by name; plain names resolve like %%img:%% (including auto-correction).
+     * @param {Object[]} targets - getTagCandidateTarget() results, in tag order
+     * @param {string|string[]|null} kind - Accepted asset kind(s)
+     * @returns {{name: string, url: string, description: string}[]} unique by source, at most GALLERY_MAX_ITEMS
+     */
+    function collectGalleryItems(targets, kind) {
+        const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+        const items = new Map();
+        for (const target of targets) {
+            let matches = [];
+            const tagQuery = parseTagQuery(target.name);
+            const variantPrefix = getRandomVariantPrefix(target.name);
+            if (tagQuery) {
+                matches = listAssetsByTags(target.caches, tagQuery, kind).sort(byName);
+            } else if (variantPrefix !== null) {
+                matches = listAssetVariants(target.caches, variantPrefix, kind).sort(byName);
+            } else {
+                const url = findAssetInCaches(target.caches, target.name);
+                if (url && matchesAssetKind(url, kind)) {
+                    matches = [{ name: target.name, url }];
+                } else {
+                    const fuzzyMatch = findFuzzyAssetMatch(target.caches, target.name, kind);
+                    if (fuzzyMatch) matches = [{ name: target.name, url: fuzzyMatch.url }];
                 }
             }
+            for (const item of matches) {
+                if (items.has(item.url)) continue;
+                const description = findAssetRecordByUrl(target.caches, item.url)?.description || '';
+                items.set(item.url, { ...item, description });
+            }
+        }
+        return Array.from(items.values()).slice(0, GALLERY_MAX_ITEMS);
+    }
+
+    /**
+     * Puts gallery slides through the repeat policy: each slide counts toward the image cap and the
+     * repeat gap like a %%img%% tag, so a repeated slide is swapped for a sibling or left out.
+     * @param {{name: string, url: string, description: string}[]} items - collectGalleryItems() result
+     * @param {Object|null} repeatState - From createRepeatState() (null: no policy)
+     * @param {Map[]} caches - Caches the slides came from
+     * @param {string} seed - Seed for sibling picks
+     * @returns {{name: string, url: string, description: string}[]}
+     */
+    function applyRepeatPolicyToGallery(items, repeatState, caches, seed) {
+        if (!repeatState) return items;
+        const shownItems = [];
+        items.forEach((item, index) => {
+            const name = findAssetRecordByUrl(caches, item.url)?.name || item.name;
+            const shown = applyRepeatPolicy(repeatState, name, item.url, caches, `${seed}::${index}`, TAG_ASSET_KINDS.gallery);
+            if (!shown) return;
+            const description = shown.url === item.url ? item.description : (findAssetRecordByUrl(caches, shown.url)?.description || '');
+            shownItems.push({ name: shown.name, url: shown.url, description });
         });
-        
-        cachedCharacterId = charId;
-        cachedCharacterName = character.name;
-        
-        // Update active state based on cache
-        isAssetRenderingActive = assetCache.size > 0;
-        
-        log(`Asset cache built: ${assetCache.size} items for character ${charId}`);
-        log('Cache contents:', Array.from(assetCache.keys()).join(', '));
-        return assetCache;
+        return shownItems;
     }
 
     /**
-     * Parses an asset name to extract base name, separator, and number.
-     * Matches trailing numbers with or without separator (e.g., name.1, name_1, happy1)
-     * @param {string} name - Asset name
-     * @returns {Object} - { original, base, separator, num, hasNumber }
+     * Builds gallery markup
+     * @param {{name: string, url: string}[]} items - Resolved assets
+     * @param {Object} options - parseGalleryTag() result
+     * @returns {string}
      */
-    function parseAssetNameForCompression(name) {
-        // First try: Match patterns with separator (name.1, name_1, name-1)
-        const matchWithSep = name.match(/^(.+)([._\-])(\d+)$/);
-        if (matchWithSep) {
-            return {
-                original: name,
-                base: matchWithSep[1],
-                separator: matchWithSep[2],
-                num: parseInt(matchWithSep[3], 10),
-                hasNumber: true
-            };
-        }
-        
-        // Second try: Match patterns without separator (happy1, happy2)
-        const matchNoSep = name.match(/^([a-zA-Z_]+)(\d+)$/);
-        if (matchNoSep) {
-            return {
-                original: name,
-                base: matchNoSep[1],
-                separator: '',
-                num: parseInt(matchNoSep[2], 10),
-                hasNumber: true
-            };
+    function buildGalleryHtml(items, { layout = 'carousel', height = '', caption = '' } = {}) {
+        const label = caption || `Gallery (${items.length})`;
+        const style = height ? ` style="--inline-asset-gallery-height:${height}"` : '';
+        const media = (item) => buildInlineAssetImageHtml(item.url, {
+            name: item.name,
+            display: { alt: item.description, title: item.name },
+            className: 'inline-asset-gallery-image',
+            extraAttrs: [`data-asset-name="${escapeHtmlAttr(item.name)}"`],
+        });
+        const captionHtml = caption ? `<div class="inline-asset-gallery-caption">${escapeHtmlAttr(caption)}</div>` : '';
+
+        if (layout === 'grid') {
+            const cells = items.map(item => `<div class="inline-asset-gallery-cell">${media(item)}</div>`).join('');
+            return `<div class="inline-asset-gallery inline-asset-gallery-grid" role="group" aria-label="${escapeHtmlAttr(label)}"${style}>${cells}${captionHtml}</div>`;
         }
-        
-        return { original: name, base: null, separator: null, num: null, hasNumber: false };
+
+        const slides = items.map((item, i) =>
+            `<div class="inline-asset-gallery-slide" role="group" aria-roledescription="slide" aria-label="${i + 1} / ${items.length}">${media(item)}</div>`
+        ).join('');
+        const controls = items.length > 1
+            ? `<button type="button" class="inline-asset-gallery-nav inline-asset-gallery-prev" data-gallery-step="-1" aria-label="Previous image" tabindex="-1"><i class="fa-solid fa-chevron-left"></i></button>`
+              + `<button type="button" class="inline-asset-gallery-nav inline-asset-gallery-next" data-gallery-step="1" aria-label="Next image" tabindex="-1"><i class="fa-solid fa-chevron-right"></i></button>`
+              + `<span class="inline-asset-gallery-counter" aria-live="polite">1 / ${items.length}</span>`
+            : '';
+        return `<div class="inline-asset-gallery inline-asset-gallery-carousel" tabindex="0" role="region" aria-roledescription="carousel" aria-label="${escapeHtmlAttr(label)}"${style}>`
+            + `<div class="inline-asset-gallery-viewport"><div class="inline-asset-gallery-track">${slides}</div>${controls}</div>${captionHtml}</div>`;
     }
 
     /**
-     * Extracts the base name from an asset filename.
-     * Returns the part before the first underscore (or the whole name if no underscore).
-     * e.g., "Junpei_nsfw_1" -> "Junpei"
-     * e.g., "Junpei_summer_2" -> "Junpei"
-     * e.g., "happy1" -> "happy"
-     * @param {string} name - Asset name
-     * @returns {string} - Base name (first part before underscore)
+     * Index of the slide currently snapped into view
+     * @param {HTMLElement} track - .inline-asset-gallery-track
+     * @returns {number}
      */
-    function extractBaseName(name) {
-        // Remove trailing number suffix first (e.g., .1, _1, or just 1)
-        let cleanName = name.replace(/[._\-]\d+$/, '');
-        
-        // Also remove trailing numbers without separator (e.g., happy1 -> happy)
-        cleanName = cleanName.replace(/\d+$/, '');
-        
-        // For underscore-separated names, use FIRST underscore to get base name
-        if (cleanName.includes('_')) {
-            const firstUnderscoreIndex = cleanName.indexOf('_');
-            if (firstUnderscoreIndex > 0) {
-                return cleanName.substring(0, firstUnderscoreIndex);
+    function getGallerySlideIndex(track) {
+        const width = track.clientWidth || 1;
+        return Math.round(track.scrollLeft / width);
+    }
+
+    /**
+     * Scrolls a carousel to a slide, wrapping around at either end
+     * @param {HTMLElement} gallery - .inline-asset-gallery-carousel
+     * @param {number} index - Target slide index
+     */
+    function showGallerySlide(gallery, index) {
+        const track = gallery.querySelector('.inline-asset-gallery-track');
+        const count = track?.children.length || 0;
+        if (count < 2) return;
+        const target = ((index % count) + count) % count;
+        track.scrollTo({ left: target * track.clientWidth, behavior: 'smooth' });
+    }
+
+    function updateGalleryCounter(track) {
+        const counter = track.closest('.inline-asset-gallery')?.querySelector('.inline-asset-gallery-counter');
+        if (!counter) return;
+        const count = track.children.length;
+        const index = Math.min(count - 1, Math.max(0, getGallerySlideIndex(track)));
+        counter.textContent = `${index + 1} / ${count}`;
+    }
+
+    function setupGalleryHandler() {
+        const chatElement = document.getElementById('chat');
+        if (!chatElement || chatElement.dataset.iiaGalleryHandler) return;
+        chatElement.dataset.iiaGalleryHandler = 'true';
+
+        chatElement.addEventListener('click', (event) => {
+            const gallery = event.target.closest?.('.inline-asset-gallery');
+            if (!gallery) return;
+
+            const nav = event.target.closest('[data-gallery-step]');
+            if (nav) {
+                event.preventDefault();
+                event.stopPropagation();
+                const track = gallery.querySelector('.inline-asset-gallery-track');
+                showGallerySlide(gallery, getGallerySlideIndex(track) + Number(nav.dataset.galleryStep));
+                return;
             }
-        }
-        
-        // For space-separated names, use first word as base
-        if (cleanName.includes(' ')) {
-            const firstSpaceIndex = cleanName.indexOf(' ');
-            if (firstSpaceIndex > 0) {
-                return cleanName.substring(0, firstSpaceIndex);
+
+            const media = event.target.closest('.inline-asset-gallery-image');
+            if (media) {
+                event.preventDefault();
+                event.stopPropagation();
+                showImagePreview(media.getAttribute('src'), media.getAttribute('title') || '');
             }
+        });
+
+        // Arrow keys / Home / End while the carousel has focus. Stopped here so SillyTavern's
+        // own arrow-key swipe shortcuts don't also fire.
+        chatElement.addEventListener('keydown', (event) => {
+            const gallery = event.target;
+            if (!gallery.classList?.contains('inline-asset-gallery-carousel')) return;
+            const track = gallery.querySelector('.inline-asset-gallery-track');
+            if (!track) return;
+
+            const current = getGallerySlideIndex(track);
+            const targets = {
+                ArrowLeft: current - 1,
+                ArrowRight: current + 1,
+                Home: 0,
+                End: track.children.length - 1,
+            };
+            if (!(event.key in targets)) return;
+            event.preventDefault();
+            event.stopPropagation();
+            showGallerySlide(gallery, targets[event.key]);
+        });
+
+        // Scroll events don't bubble, so listen in the capture phase to keep the "n / total" counters current
+        let pendingTrack = null;
+        chatElement.addEventListener('scroll', (event) => {
+            const track = event.target;
+            if (!track.classList?.contains('inline-asset-gallery-track') || pendingTrack === track) return;
+            pendingTrack = track;
+            requestAnimationFrame(() => {
+                pendingTrack = null;
+                updateGalleryCounter(track);
+            });
+        }, true);
+    }
+
+    // === AUDIO (%%sfx:name%% / %%bgm:name%%) ===
+    // Tags render as replay chips. Only the newest message autoplays, once per tag, and never
+    // the message that was already last when the chat was opened.
+    const AUDIO_NONE = 'none';
+    const playedAudioKeys = new Set();
+    let audioAutoplayBlockedSeed = null;
+    let bgmAudio = null;
+    let bgmSource = null;
+
+    /**
+     * Replay chip for an audio tag
+     * @param {'sfx'|'bgm'} type - Tag type
+     * @param {string} src - Audio URL ('' for %%bgm:none%%)
+     * @param {string} name - Name as written in the tag
+     * @param {string} key - Stable per-tag key (message seed + tag index) used to autoplay once
+     */
+    function buildAudioChipHtml(type, src, name, key) {
+        const icon = !src ? 'fa-volume-xmark' : (type === 'bgm' ? 'fa-music' : 'fa-volume-high');
+        const title = !src ? 'Stop music' : (type === 'bgm' ? `Play/stop music: ${name}` : `Replay sound: ${name}`);
+        const playingClass = type === 'bgm' && src && src === bgmSource ? ' playing' : '';
+        return `<span class="inline-asset-audio inline-asset-audio-${type}${playingClass}" data-audio-type="${type}" data-audio-src="${escapeHtmlAttr(src)}" data-audio-key="${escapeHtmlAttr(key)}" role="button" tabindex="0" title="${escapeHtmlAttr(title)}"><i class="fa-solid ${icon}"></i><span class="inline-asset-audio-name">${escapeHtmlAttr(name)}</span></span>`;
+    }
+
+    function playSoundEffect(src) {
+        const settings = getExtensionSettings();
+        const audio = new Audio(src);
+        audio.volume = settings.audioVolume;
+        audio.play().catch(error => log('Sound effect playback blocked:', error?.message));
+    }
+
+    function updateBgmChipStates() {
+        document.querySelectorAll('#chat .inline-asset-audio-bgm').forEach(chip => {
+            chip.classList.toggle('playing', !!bgmSource && chip.dataset.audioSrc === bgmSource);
+        });
+    }
+
+    /**
+     * Loops a music asset, replacing the current one (the same track keeps playing)
+     */
+    function playBackgroundMusic(src) {
+        if (bgmAudio && bgmSource === src) return;
+        stopBackgroundMusic();
+
+        const settings = getExtensionSettings();
+        bgmAudio = new Audio(src);
+        bgmAudio.loop = true;
+        bgmAudio.volume = settings.audioVolume;
+        bgmAudio.muted = settings.audioMuted;
+        bgmSource = src;
+        bgmAudio.play().catch(error => log('Music playback blocked:', error?.message));
+        updateBgmChipStates();
+    }
+
+    function stopBackgroundMusic() {
+        if (bgmAudio) {
+            bgmAudio.pause();
+            bgmAudio.removeAttribute('src');
+            bgmAudio.load();
         }
-        
-        // If no separator, return the clean name
-        return cleanName || name;
+        bgmAudio = null;
+        bgmSource = null;
+        updateBgmChipStates();
     }
 
     /**
-     * Extracts the folder/category name from an asset name.
-     * First tries to match against existing folder names (case-insensitive).
-     * If no match found, extracts the base name (first part before underscore).
-     * e.g., "Junpei_nsfw_1" with existing folder "Junpei" -> "Junpei"
-     * e.g., "bote_bunny_admiring" with no existing "bote" folder -> "bote"
-     * @param {string} name - Asset name
-     * @param {Set<string>} existingFolders - Set of existing folder names (optional)
-     * @returns {string} - Folder/category name
+     * Applies volume/mute changes to the music that is already playing
      */
-    function getFolderName(name, existingFolders = null) {
-        // Remove trailing number suffix first (e.g., .1, _1, or just 1)
-        let cleanName = name.replace(/[._\-]\d+$/, '');
-        
-        // Also remove trailing numbers without separator (e.g., happy1 -> happy)
-        cleanName = cleanName.replace(/\d+$/, '');
-        
-        // If we have existing folders, try to match against them
-        if (existingFolders && existingFolders.size > 0) {
-            // Try progressively shorter prefixes to find a matching folder
-            // e.g., for "Junpei_nsfw_1", try "Junpei_nsfw", then "Junpei"
-            
-            // First, try the base name (first part before underscore)
-            const baseName = extractBaseName(name);
-            
-            // Check if base name matches any existing folder (case-insensitive)
-            for (const folder of existingFolders) {
-                if (folder.toLowerCase() === baseName.toLowerCase()) {
-                    return folder; // Return the existing folder name with original case
-                }
-            }
-            
-            // If underscore-separated, try each prefix level
-            if (cleanName.includes('_')) {
-                const parts = cleanName.split('_');
-                // Try from longest to shortest prefix
-                for (let i = parts.length - 1; i >= 1; i--) {
-                    const prefix = parts.slice(0, i).join('_');
-                    for (const folder of existingFolders) {
-                        if (folder.toLowerCase() === prefix.toLowerCase()) {
-                            return folder; // Return the existing folder name with original case
-                        }
-                    }
-                }
-            }
-            
-            // If space-separated, try each prefix level
-            if (cleanName.includes(' ')) {
-                const parts = cleanName.split(' ');
-                for (let i = parts.length - 1; i >= 1; i--) {
-                    const prefix = parts.slice(0, i).join(' ');
-                    for (const folder of existingFolders) {
-                        if (folder.toLowerCase() === prefix.toLowerCase()) {
-                            return folder;
-                        }
-                    }
-                }
-            }
+    function applyAudioSettings() {
+        if (!bgmAudio) return;
+        const settings = getExtensionSettings();
+        bgmAudio.volume = settings.audioVolume;
+        bgmAudio.muted = settings.audioMuted;
+    }
+
+    /**
+     * Plays the sound of an audio chip
+     * @param {HTMLElement} chip - .inline-asset-audio element
+     * @param {Object} [options]
+     * @param {boolean} [options.manual=false] - Clicked by the user (bgm chips toggle)
+     */
+    function playAudioChip(chip, { manual = false } = {}) {
+        const { audioType: type, audioSrc: src } = chip.dataset;
+        if (type === 'bgm' && (!src || (manual && src === bgmSource))) {
+            stopBackgroundMusic();
+            return;
         }
-        
-        // No existing folder match found - extract base name
-        // For underscore-separated names, use FIRST underscore to get base name
-        if (cleanName.includes('_')) {
-            const firstUnderscoreIndex = cleanName.indexOf('_');
-            if (firstUnderscoreIndex > 0) {
-                return cleanName.substring(0, firstUnderscoreIndex);
-            }
+        if (getExtensionSettings().audioMuted) {
+            if (manual) toastr.info('Audio is muted. Unmute it under Extensions → Inline Image Assets.');
+            return;
         }
-        
-        // For space-separated names, try to find a sensible split point
-        if (cleanName.includes(' ')) {
-            const parts = cleanName.split(' ');
-            
-            // If we have 3+ parts, assume first 2 are the name (e.g., "alice croft")
-            if (parts.length >= 3) {
-                let splitIndex = parts.length - 1;
-                for (let i = 1; i < parts.length; i++) {
-                    if (parts[i].length > 0 && parts[i][0] === parts[i][0].toLowerCase()) {
-                        splitIndex = i;
-                        break;
-                    }
-                }
-                
-                if (splitIndex > 0) {
-                    return parts.slice(0, splitIndex).join(' ');
-                }
+        if (type === 'bgm') {
+            playBackgroundMusic(src);
+        } else {
+            playSoundEffect(src);
+        }
+    }
+
+    /**
+     * Autoplays the audio tags of a freshly rendered message if it is the newest one
+     */
+    function autoplayMessageAudio(messageElement, context, mesId, renderSeed) {
+        const settings = getExtensionSettings();
+        if (!settings.audioAutoplay) return;
+        if (mesId !== context.chat.length - 1 || renderSeed === audioAutoplayBlockedSeed) return;
+
+        messageElement.querySelectorAll('.inline-asset-audio').forEach(chip => {
+            const key = chip.dataset.audioKey;
+            if (!key || playedAudioKeys.has(key)) return;
+            playedAudioKeys.add(key);
+            playAudioChip(chip);
+        });
+    }
+
+    /**
+     * Called when a chat opens: stops the previous chat's music and keeps the
+     * already-present last message from autoplaying
+     */
+    function resetChatAudio() {
+        stopBackgroundMusic();
+        const context = getContext();
+        const lastMesId = (context.chat?.length || 0) - 1;
+        audioAutoplayBlockedSeed = lastMesId >= 0
+            ? getMessageRenderSeed(context, lastMesId, context.chat[lastMesId])
+            : null;
+    }
+
+    /**
+     * Delegated click/keyboard handler for audio replay chips in chat
+     */
+    function setupAudioChipHandler() {
+        const chatElement = document.getElementById('chat');
+        if (!chatElement || chatElement.dataset.iiaAudioHandler) return;
+        chatElement.dataset.iiaAudioHandler = 'true';
+
+        const play = (event) => {
+            const chip = event.target.closest?.('.inline-asset-audio');
+            if (!chip) return;
+            event.preventDefault();
+            event.stopPropagation();
+            playAudioChip(chip, { manual: true });
+        };
+        chatElement.addEventListener('click', play);
+        chatElement.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') play(event);
+        });
+    }
+
+    // === CHAT BACKGROUND (%%bg:name%%) ===
+    // The active background comes from chat data: the last %%bg:...%% tag at or above the
+    // bottom-most visible message, so scrolling back past a tag reverts to the previous one.
+    const CHAT_BACKGROUND_METADATA_KEY = 'inline_image_assets_background';
+    const BACKGROUND_UPDATE_DELAY = 150;
+    const BACKGROUND_NONE = 'none';
+    let backgroundUpdateTimeout = null;
+    let backgroundUpdateToken = 0;
+    let backgroundApplyToken = 0;
+    let activeBackgroundUrl = null;
+    let activeBackgroundLayer = 0;
+    let chatHasBackgroundTags = false;
+
+    /**
+     * Gets (or creates) the two cross-fade layers, placed just above SillyTavern's own background
+     */
+    function getChatBackgroundContainer() {
+        let container = document.getElementById('inline-assets-bg');
+        if (container) return container;
+
+        container = document.createElement('div');
+        container.id = 'inline-assets-bg';
+        container.innerHTML = '<div class="inline-assets-bg-layer"></div><div class="inline-assets-bg-layer"></div>';
+
+        const anchor = document.getElementById('bg_custom') || document.getElementById('bg1');
+        if (anchor) {
+            container.style.zIndex = getComputedStyle(anchor).zIndex;
+            anchor.after(container);
+        } else {
+            container.style.zIndex = '-1';
+            document.body.prepend(container);
+        }
+        return container;
+    }
+
+    /**
+     * Cross-fades the chat background (null clears it). The image is decoded first so the fade never shows a blank frame.
+     * @param {string|null} url - Image URL or data URI
+     * @param {Object} [options]
+     * @param {boolean} [options.instant=false] - Skip the transition (restoring on chat load)
+     */
+    function applyChatBackground(url, { instant = false } = {}) {
+        if (url === activeBackgroundUrl) return;
+        activeBackgroundUrl = url;
+
+        const container = getChatBackgroundContainer();
+        const layers = container.querySelectorAll('.inline-assets-bg-layer');
+        const token = ++backgroundApplyToken;
+
+        const swap = () => {
+            if (token !== backgroundApplyToken) return; // A newer background won
+            container.classList.toggle('instant', instant);
+            if (url) {
+                const next = layers[1 - activeBackgroundLayer];
+                next.style.backgroundImage = `url(${JSON.stringify(url)})`;
+                next.classList.add('active');
+                layers[activeBackgroundLayer].classList.remove('active');
+                activeBackgroundLayer = 1 - activeBackgroundLayer;
+            } else {
+                layers.forEach(layer => layer.classList.remove('active'));
             }
-            
-            // Fallback: use all but last word
-            if (parts.length >= 2) {
-                return parts.slice(0, -1).join(' ');
+            if (instant) {
+                requestAnimationFrame(() => requestAnimationFrame(() => container.classList.remove('instant')));
             }
+        };
+
+        if (!url) {
+            swap();
+            return;
         }
-        
-        // If no separator, return the clean name (base name without numbers)
-        return cleanName || name;
+        const preload = new Image();
+        preload.src = url;
+        preload.decode().catch(() => {}).then(swap);
     }
 
     /**
-     * Compresses asset names by grouping files with the same folder/category.
-     * Groups numbered files and also groups files by their folder name.
-     * Uses the same folder detection logic as groupAssetsByFolder for consistency.
-     * e.g., ["Junpei_nsfw_1", "Junpei_summer_2"] -> '"Junpei_[nsfw_1, summer_2]"'
-     * e.g., ["maid_flustered.1", "maid_flustered.2"] -> '"maid_flustered.1~2"'
-     * @param {string[]} names - Array of asset names
-     * @returns {string} - Compressed string representation
+     * Finds the %%bg:...%% tags in the raw chat text, in message order.
+     * Code spans/blocks and escaped tags (\%%bg:x%%) are ignored, as in rendering.
+     * @param {Array} chat - context.chat
+     * @returns {Array<{mesId: number, content: string}>}
      */
-    function compressAssetNames(names) {
-        if (names.length === 0) return '';
-        
-        // First, build the set of potential folders (same logic as groupAssetsByFolder)
-        const potentialFolders = new Set();
-        names.forEach(name => {
-            const baseName = extractBaseName(name);
-            if (baseName) {
-                potentialFolders.add(baseName);
+    function getChatBackgroundTimeline(chat) {
+        const timeline = [];
+        (chat || []).forEach((message, mesId) => {
+            const text = message?.mes;
+            if (typeof text !== 'string' || !text.includes('%%bg:')) return;
+
+            const visibleText = text.replace(/```[\s\S]*?```|`[^`\n]*`/g, '');
+            for (const match of visibleText.matchAll(inlineTagRegex)) {
+                if (match[1] !== 'bg') continue;
+                if (match.index > 0 && visibleText[match.index - 1] === '\\') continue;
+                timeline.push({ mesId, content: match[2] });
             }
         });
-        
-        // Group by folder name using the same logic as groupAssetsByFolder
-        const folderGroups = new Map();
-        names.forEach(name => {
-            const folderName = getFolderName(name, potentialFolders);
-            if (!folderGroups.has(folderName)) {
-                folderGroups.set(folderName, []);
+        return timeline;
+    }
+
+    /**
+     * Id of the bottom-most message currently visible in the chat
+     * @param {HTMLElement} chatElement - #chat
+     * @param {number} fallbackMesId - Used when no message is on screen
+     * @returns {number}
+     */
+    function getBackgroundAnchorMesId(chatElement, fallbackMesId) {
+        const chatBottom = chatElement.getBoundingClientRect().bottom;
+        const messages = chatElement.querySelectorAll('.mes[mesid]');
+        for (let i = messages.length - 1; i >= 0; i--) {
+            if (messages[i].getBoundingClientRect().top < chatBottom) {
+                const mesId = parseInt(messages[i].getAttribute('mesid'));
+                if (!isNaN(mesId)) return mesId;
             }
-            folderGroups.get(folderName).push(name);
-        });
-        
-        const result = [];
-        
-        folderGroups.forEach((groupNames, folderName) => {
-            if (groupNames.length === 1) {
-                // Single item, just add as-is
-                result.push(`"${groupNames[0]}"`);
-            } else {
-                // Multiple items in the same folder
-                // Check if they have numbers for range compression
-                const parsed = groupNames.map(parseAssetNameForCompression);
-                const numbered = parsed.filter(i => i.hasNumber);
-                const nonNumbered = parsed.filter(i => !i.hasNumber);
-                
-                // Process numbered items (range compression)
-                if (numbered.length > 0) {
-                    // Group by base + separator
-                    const numGroups = new Map();
-                    numbered.forEach(item => {
-                        const key = item.base + '|' + item.separator;
-                        if (!numGroups.has(key)) {
-                            numGroups.set(key, []);
-                        }
-                        numGroups.get(key).push(item);
-                    });
-                    
-                    numGroups.forEach((items) => {
-                        items.sort((a, b) => a.num - b.num);
-                        
-                        // Find consecutive ranges
-                        const ranges = [];
-                        let rangeStart = items[0];
-                        let rangeEnd = items[0];
-                        
-                        for (let i = 1; i < items.length; i++) {
-                            if (items[i].num === rangeEnd.num + 1) {
-                                rangeEnd = items[i];
-                            } else {
-                                ranges.push({ start: rangeStart, end: rangeEnd });
-                                rangeStart = items[i];
-                                rangeEnd = items[i];
-                            }
-                        }
-                        ranges.push({ start: rangeStart, end: rangeEnd });
-                        
-                        ranges.forEach(range => {
-                            if (range.start.num === range.end.num) {
-                                result.push(`"${range.start.original}"`);
-                            } else {
-                                result.push(`"${range.start.base}${range.start.separator}${range.start.num}~${range.end.num}"`);
-                            }
-                        });
-                    });
-                }
-                
-                // Process non-numbered items (expression list compression)
-                if (nonNumbered.length > 0) {
-                    // Extract expression names (part after the folder name)
-                    let detectedSeparator = null;
-                    const expressions = nonNumbered.map(item => {
-                        const name = item.original;
-                        if (name.toLowerCase().startsWith(folderName.toLowerCase())) {
-                            // Remove folder name and detect separator
-                            let remaining = name.substring(folderName.length);
-                            // Detect separator type (underscore or space)
-                            if (remaining.startsWith('_')) {
-                                detectedSeparator = '_';
-                                remaining = remaining.substring(1);
-                            } else if (remaining.startsWith(' ')) {
-                                detectedSeparator = ' ';
-                                remaining = remaining.substring(1);
-                            }
-                            return remaining;
-                        }
-                        return name;
-                    });
-                    
-                    // If we have multiple expressions, compress them with actual separator info
-                    if (expressions.length > 1 && expressions.every(e => e.length > 0)) {
-                        // Show the actual format hint in the compressed output
-                        const sep = detectedSeparator || '_';
-                        const sepName = sep === '_' ? 'underscore' : 'space';
-                        result.push(`"${folderName}${sep}[${expressions.join(', ')}]" (${sepName}-separated)`);
-                    } else {
-                        // Fallback: add each item individually
-                        nonNumbered.forEach(item => {
-                            result.push(`"${item.original}"`);
-                        });
-                    }
-                }
+        }
+        return fallbackMesId;
+    }
+
+    /**
+     * Resolves a background tag's content to a URL, like %%img:%% does (fallback chains,
+     * Character/name, #tags, variants, fuzzy names, disk check). "none" clears the background.
+     * @returns {Promise<string|null>}
+     */
+    async function resolveBackgroundUrl(content, message, mesId, context) {
+        const { names } = parseInlineImageTag(content);
+        const owner = ContextUtil.getMessageAssetOwner(message, context);
+        const ownerCache = owner ? await buildAssetCache(owner, context) : new Map();
+        const personaName = getCurrentPersonaName();
+        const personaCache = personaName ? await buildPersonaAssetCache(personaName) : new Map();
+        const seed = `${getMessageRenderSeed(context, mesId, message)}::bg`;
+
+        for (const candidate of names) {
+            if (candidate.toLowerCase() === BACKGROUND_NONE) return null;
+
+            const qualified = splitCharacterQualifiedName(candidate, context);
+            const name = qualified ? qualified.name : candidate;
+            const character = qualified ? qualified.character : owner;
+            const caches = qualified ? [await buildAssetCache(qualified.character, context)] : [ownerCache, personaCache];
+
+            const url = resolveTagCandidate(name, caches, seed) || findFuzzyAssetMatch(caches, name)?.url;
+            if (url) return url;
+
+            if (character?.name && parseTagQuery(name) === null && getRandomVariantPrefix(name) === null) {
+                const verified = await verifyAssetUrl(character.name, name);
+                if (verified) return verified;
             }
-        });
-        
-        return result.join(', ');
+        }
+
+        log(`Background asset not found: "${content}"`);
+        return null;
     }
 
-    // === SCROLL DETECTION (for asset rendering) ===
-    function setupScrollDetection() {
-        if (scrollListenerAttached) return;
-        
+    /**
+     * Stores the active background in the chat metadata, so a reload restores it without waiting for caches
+     * @param {{content: string, mesId: number, url: string|null}|null} state
+     */
+    function saveChatBackgroundState(state) {
+        const context = getContext();
+        const metadata = context.chatMetadata;
+        if (!metadata) return;
+
+        const previous = metadata[CHAT_BACKGROUND_METADATA_KEY];
+        if (!state && !previous) return;
+        if (state && previous && previous.url === state.url && previous.mesId === state.mesId) return;
+
+        if (state) {
+            metadata[CHAT_BACKGROUND_METADATA_KEY] = state;
+        } else {
+            delete metadata[CHAT_BACKGROUND_METADATA_KEY];
+        }
+        if (typeof context.saveMetadataDebounced === 'function') {
+            context.saveMetadataDebounced();
+        } else {
+            context.saveMetadata?.();
+        }
+    }
+
+    async function updateChatBackground() {
+        const context = getContext();
         const chatElement = document.getElementById('chat');
-        if (!chatElement) return;
-        
+        if (!chatElement || !Array.isArray(context.chat)) return;
+
+        const token = ++backgroundUpdateToken;
+        const timeline = getChatBackgroundTimeline(context.chat);
+        chatHasBackgroundTags = timeline.length > 0;
+
+        const anchorMesId = getBackgroundAnchorMesId(chatElement, context.chat.length - 1);
+        const entry = timeline.filter(e => e.mesId <= anchorMesId).pop() || null;
+        const url = entry
+            ? await resolveBackgroundUrl(entry.content, context.chat[entry.mesId], entry.mesId, context)
+            : null;
+        if (token !== backgroundUpdateToken) return; // Superseded while resolving
+
+        applyChatBackground(url);
+        saveChatBackgroundState(entry ? { content: entry.content, mesId: entry.mesId, url } : null);
+    }
+
+    function scheduleChatBackgroundUpdate() {
+        if (backgroundUpdateTimeout) {
+            clearTimeout(backgroundUpdateTimeout);
+        }
+        backgroundUpdateTimeout = setTimeout(() => {
+            backgroundUpdateTimeout = null;
+            updateChatBackground().catch(error => console.error('[InlineImageAssets] Failed to update chat background:', error));
+        }, BACKGROUND_UPDATE_DELAY);
+    }
+
+    /**
+     * Shows the stored background of the opened chat immediately, then recomputes it from the chat
+     */
+    function restoreChatBackground() {
+        const state = getContext().chatMetadata?.[CHAT_BACKGROUND_METADATA_KEY];
+        chatHasBackgroundTags = !!state;
+        applyChatBackground(state?.url || null, { instant: true });
+        scheduleChatBackgroundUpdate();
+    }
+
+    function setupChatBackgroundTracking() {
+        const chatElement = document.getElementById('chat');
+        if (!chatElement || chatElement.dataset.iiaBackgroundTracking) return;
+        chatElement.dataset.iiaBackgroundTracking = 'true';
+
         chatElement.addEventListener('scroll', () => {
-            // Only process asset rendering if active
-            if (!isAssetRenderingActive) return;
-            
-            lastScrollTime = Date.now();
-            isScrolling = true;
-            
-            if (scrollTimeout) {
-                clearTimeout(scrollTimeout);
+            if (chatHasBackgroundTags) scheduleChatBackgroundUpdate();
+        }, { passive: true });
+
+        for (const eventType of [event_types.MESSAGE_EDITED, event_types.MESSAGE_DELETED, event_types.MESSAGE_SWIPED]) {
+            if (!eventType) continue;
+            eventSource.on(eventType, () => {
+                if (chatHasBackgroundTags) scheduleChatBackgroundUpdate();
+            });
+        }
+    }
+
+    // === ASSET LIST PROMPT (copy button + extension prompt injection) ===
+    // One builder for both the "Copy Asset List Prompt" button and the automatic injection.
+    // Templates use {{placeholders}}; SillyTavern macros such as {{char}} are left for SillyTavern.
+    const ASSET_PROMPT_INJECTION_KEY = 'inline_image_assets_list';
+    const ASSET_PROMPT_POSITIONS = {
+        in_prompt: 'IN_PROMPT',
+        in_chat: 'IN_CHAT',
+        before_prompt: 'BEFORE_PROMPT',
+    };
+    const DEFAULT_ASSET_PROMPT_POSITION = 'in_prompt';
+    const DEFAULT_ASSET_PROMPT_DEPTH = 4;
+    const DEFAULT_ASSET_PROMPT_TEMPLATE = `### {{char}}'s Image Asset Usage Guide
+
+**Overview:**
+You have access to pre-defined images for this character. Use them to visually enhance your descriptions and actions when appropriate.
+
+**How to Display an Image:**
+Use the tag \`%%img:filename%%\` in your response. Do not include the file extension.
+To show several images in one spot, list them in one gallery tag: \`%%gallery:filename1,filename2,filename3%%\`.
+
+**Available Image Filenames:**
+{{asset_list}}{{description_section}}{{tag_section}}{{sound_section}}
+
+**Format Guide:**
+- \`name_[a, b, c]\` (underscore-separated) → Files exist as \`name_a\`, \`name_b\`, \`name_c\` → Use \`%%img:name_a%%\`
+- \`name [a, b, c]\` (space-separated) → Files exist as \`name a\`, \`name b\`, \`name c\` → Use \`%%img:name a%%\`
+- \`name.1~3\` → Files exist as \`name.1\`, \`name.2\`, \`name.3\` → Use \`%%img:name.1%%\`
+
+**Note:**
+If there are variations in numbers, do not use them consecutively.`;
+
+    // Token budget (settings.promptTokenBudget): {{asset_list}} becomes a grouped list whose detail
+    // drops level by level until the whole prompt fits
+    const ASSET_PROMPT_DETAIL_LEVELS = ['full', 'names', 'compact', 'summary', 'groups'];
+    const ASSET_PROMPT_DETAIL_LABELS = {
+        flat: 'all names',
+        full: 'names with descriptions',
+        names: 'names by group',
+        compact: 'compressed names by group',
+        summary: 'variants summarized',
+        groups: 'group names only',
+    };
+    const ASSET_PROMPT_GROUP_BY = ['folder', 'tag'];
+    const ASSET_PROMPT_SUMMARY_EXAMPLES = 3;
+
+    /**
+     * Rough token count without a tokenizer: ~4 ASCII characters per token, one per other character
+     * (CJK text is close to a token per character in common tokenizers)
+     * @param {string} text
+     * @returns {number}
+     */
+    function estimateTokenCount(text) {
+        const value = (text ?? '').toString();
+        let ascii = 0;
+        for (let i = 0; i < value.length; i++) {
+            if (value.charCodeAt(i) < 128) ascii++;
+        }
+        return Math.ceil(ascii / 4) + (value.length - ascii);
+    }
+
+    /**
+     * Groups image assets for the budgeted list
+     * @param {Array} assets - Image asset records
+     * @param {'folder'|'tag'} groupBy - Folder (name prefix, as in the asset manager) or first tag
+     * @returns {{name: string, assets: Array, pick: string, isRest?: boolean}[]} pick is the tag name that picks one of the group
+     */
+    function groupAssetsForPrompt(assets, groupBy) {
+        const groups = [];
+        if (groupBy === 'tag') {
+            const byTag = new Map();
+            for (const asset of assets) {
+                const tag = (asset.tags || [])[0] || '';
+                if (!byTag.has(tag)) byTag.set(tag, []);
+                byTag.get(tag).push(asset);
             }
-            
-            scrollTimeout = setTimeout(() => {
-                isScrolling = false;
-                // Resume asset rendering after scroll stops
-                if (renderQueue.length > 0 && isAssetRenderingActive) {
-                    scheduleRender();
+            for (const [tag, items] of byTag) {
+                groups.push({ name: tag || 'untagged', assets: items, pick: tag ? `#${tag}` : '', isRest: !tag });
+            }
+        } else {
+            // Single assets would each get their own "name: name" line; they share one group instead
+            const singles = [];
+            for (const [folder, items] of groupAssetsByFolder(assets)) {
+                if (items.length === 1) {
+                    singles.push(items[0]);
+                    continue;
                 }
-            }, SCROLL_THROTTLE);
-        }, { passive: true });
-        
-        scrollListenerAttached = true;
+                const isVariantGroup = items.every(a => a.name.toLowerCase().startsWith(`${folder.toLowerCase()}_`));
+                groups.push({ name: folder, assets: items, pick: isVariantGroup ? `${folder}_*` : '' });
+            }
+            if (singles.length > 0) groups.push({ name: 'other', assets: singles, pick: '', isRest: true });
+        }
+        // Catch-all groups go last
+        return groups.sort((a, b) => Number(!!a.isRest) - Number(!!b.isRest) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Renders grouped assets at one detail level
+     * @param {Array} groups - groupAssetsForPrompt() result
+     * @param {string} level - One of ASSET_PROMPT_DETAIL_LEVELS
+     * @returns {string}
+     */
+    function renderAssetGroupsForPrompt(groups, level) {
+        switch (level) {
+            case 'full':
+                return groups.map(group =>
+                    `[${group.name}]\n${group.assets.map(asset => `- ${describeAssetForPrompt(asset)}`).join('\n')}`
+                ).join('\n');
+            case 'names':
+                return groups.map(group => `${group.name}: ${group.assets.map(a => a.name).join(', ')}`).join('\n');
+            case 'compact':
+                return groups.map(group => `${group.name}: ${compressAssetNames(group.assets.map(a => a.name))}`).join('\n');
+            case 'summary':
+                return groups.map(group => {
+                    const names = group.assets.map(a => a.name);
+                    if (names.length <= ASSET_PROMPT_SUMMARY_EXAMPLES) return `${group.name}: ${names.join(', ')}`;
+                    const examples = names.slice(0, ASSET_PROMPT_SUMMARY_EXAMPLES).join(', ');
+                    const pick = group.pick ? ` (\`%%img:${group.pick}%%\` picks one)` : '';
+                    return `${group.name}: ${names.length} variants, e.g. ${examples}${pick}`;
+                }).join('\n');
+            default:
+                return groups.map(group => `${group.pick || group.name} (${group.assets.length})`).join(', ');
+        }
+    }
+
+    /**
+     * Builds {{asset_list}} within a token budget, dropping detail level by level
+     * @param {Array} imageAssets - Image asset records
+     * @param {number} budget - Tokens available for the list
+     * @param {'folder'|'tag'} groupBy - Grouping
+     * @returns {{text: string, level: string}}
+     */
+    function buildBudgetedAssetList(imageAssets, budget, groupBy) {
+        const groups = groupAssetsForPrompt(imageAssets, groupBy);
+        for (const level of ASSET_PROMPT_DETAIL_LEVELS) {
+            const text = renderAssetGroupsForPrompt(groups, level);
+            if (estimateTokenCount(text) <= budget) return { text, level };
+        }
+
+        // Even group names alone don't fit: keep the largest groups that do
+        const largestFirst = [...groups].sort((a, b) => b.assets.length - a.assets.length);
+        const kept = [];
+        for (const group of largestFirst) {
+            const candidate = renderAssetGroupsForPrompt([...kept, group], 'groups');
+            if (estimateTokenCount(`${candidate}, … and ${groups.length} more`) > budget) break;
+            kept.push(group);
+        }
+        const omitted = groups.length - kept.length;
+        const text = renderAssetGroupsForPrompt(kept, 'groups') + (omitted > 0 ? `${kept.length ? ', ' : ''}… and ${omitted} more` : '');
+        return { text, level: 'groups' };
+    }
+
+    /**
+     * Placeholder values for an asset prompt template
+     * @param {Array} assets - Asset records
+     * @returns {Object} placeholder -> text
+     */
+    function getAssetPromptPlaceholders(assets) {
+        const imageAssets = assets.filter(asset => getAssetKind(getAssetSource(asset)) !== 'audio');
+        const audioAssets = assets.filter(asset => getAssetKind(getAssetSource(asset)) === 'audio');
+        const tagVocabulary = Array.from(new Set(imageAssets.flatMap(asset => asset.tags || []))).sort();
+        const soundList = compressAssetNames(audioAssets.map(asset => asset.name));
+        const describedAssets = imageAssets.filter(asset => {
+            const details = getAssetDetails(asset);
+            return details.description || details.whenToUse || details.nsfw;
+        });
+        const descriptionList = describedAssets.map(asset => `- ${describeAssetForPrompt(asset)}`).join('\n');
+        return {
+            asset_list: compressAssetNames(imageAssets.map(asset => asset.name)),
+            description_list: descriptionList,
+            description_section: describedAssets.length > 0 ? `
+
+**Image Notes:**
+${descriptionList}` : '',
+            asset_count: String(imageAssets.length),
+            tag_list: tagVocabulary.join(', '),
+            tag_section: tagVocabulary.length > 0 ? `
+
+**Available Tags:**
+${tagVocabulary.join(', ')}
+
+To show any image with a tag, use \`%%img:#tag%%\`. Combine tags with \`+\` to require all of them (e.g. \`%%img:#tag1+tag2%%\`).` : '',
+            sound_list: soundList,
+            sound_section: audioAssets.length > 0 ? `
+
+**Available Sounds:**
+${soundList}
+
+Play a sound effect once with \`%%sfx:name%%\`, or loop background music with \`%%bgm:name%%\` (\`%%bgm:none%%\` stops it).` : '',
+        };
     }
 
-    // === BATCH RENDERING SYSTEM (for assets) ===
-    function scheduleRender() {
-        // Skip if asset rendering is not active
-        if (!isAssetRenderingActive || isRenderScheduled) return;
-        
-        // Don't schedule during active scrolling for smoother experience
-        if (isScrolling) {
-            return;
-        }
-        
-        isRenderScheduled = true;
-        
-        // Use requestIdleCallback for non-urgent rendering
-        requestIdleCallback((deadline) => {
-            processBatchRender(deadline);
-            isRenderScheduled = false;
-        }, { timeout: 100 }); // Max wait 100ms
+    function fillAssetPromptTemplate(template, placeholders) {
+        return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+            const value = placeholders[key.toLowerCase()];
+            return value === undefined ? match : value;
+        });
     }
 
-    function queueMessageForRender(messageElement) {
-        // Skip if asset rendering is not active
-        if (!isAssetRenderingActive) return;
-        
-        if (!renderQueue.includes(messageElement)) {
-            renderQueue.push(messageElement);
-            scheduleRender();
+    /**
+     * Builds the asset list prompt from a template
+     * @param {Array} assets - Asset records
+     * @param {Object} [options]
+     * @param {string} [options.template] - Template with {{asset_list}}, {{asset_count}}, {{description_list}},
+     *   {{description_section}}, {{tag_list}}, {{tag_section}}, {{sound_list}} and {{sound_section}}; the default guide when empty
+     * @param {number} [options.budget] - Token budget for the whole prompt (0 = no limit)
+     * @param {'folder'|'tag'} [options.groupBy] - Grouping of the budgeted list
+     * @returns {{text: string, level: string, tokens: number}} level is 'flat' without a budget
+     */
+    function buildAssetListPromptDetails(assets, { template = '', budget = 0, groupBy = 'folder' } = {}) {
+        const placeholders = getAssetPromptPlaceholders(assets);
+        const source = (template ?? '').toString().trim() ? template : DEFAULT_ASSET_PROMPT_TEMPLATE;
+        let level = 'flat';
+
+        if (budget > 0) {
+            const imageAssets = assets.filter(asset => getAssetKind(getAssetSource(asset)) !== 'audio');
+            // The budgeted list carries descriptions itself (at its most detailed level)
+            placeholders.description_section = '';
+            placeholders.description_list = '';
+            // Whatever the template spends outside the list comes off the list's share
+            const overhead = estimateTokenCount(fillAssetPromptTemplate(source, { ...placeholders, asset_list: '' }));
+            const budgeted = buildBudgetedAssetList(imageAssets, Math.max(0, budget - overhead), groupBy);
+            placeholders.asset_list = budgeted.text;
+            level = budgeted.level;
         }
+
+        const text = fillAssetPromptTemplate(source, placeholders);
+        return { text, level, tokens: estimateTokenCount(text) };
     }
 
-    async function processBatchRender(deadline) {
-        // Skip if asset rendering is not active
-        if (!isAssetRenderingActive) {
-            isRenderScheduled = false;
-            renderQueue = [];
-            return;
-        }
-        
-        // Skip if scrolling
-        if (isScrolling) {
-            isRenderScheduled = false;
-            return;
-        }
-        
+    /**
+     * Builds the asset list prompt with a character's template, budget and grouping
+     * @param {Array} assets - Asset records
+     * @param {Object} settings - Per-character settings (ContextUtil.getSettings)
+     * @returns {{text: string, level: string, tokens: number}}
+     */
+    function buildCharacterAssetListPrompt(assets, settings) {
+        return buildAssetListPromptDetails(assets, {
+            template: settings.injectTemplate,
+            budget: Number(settings.promptTokenBudget) || 0,
+            groupBy: ASSET_PROMPT_GROUP_BY.includes(settings.promptGroupBy) ? settings.promptGroupBy : 'folder',
+        });
+    }
+
+    /**
+     * Sets (or clears) the injected asset list for a character, per its settings
+     * (injectPrompt, injectPosition, injectDepth, injectTemplate)
+     * @param {Object|null} [character] - Character to inject for; the selected character by default
+     */
+    function updateAssetPromptInjection(character = null) {
         const context = getContext();
-        if (!context.chat || context.chat.length === 0) return;
-        
-        // Get character once for the batch
-        const character = context.characters?.[context.characterId];
-        if (!character) return;
-        
-        // Build/get asset cache once for the batch
-        const cache = await buildAssetCache(character, context);
-        
-        // Build persona cache as well (for fallback)
-        const personaName = getCurrentPersonaName();
-        let pCache = new Map();
-        if (personaName) {
-            pCache = await buildPersonaAssetCache(personaName);
-        }
-        
-        if (cache.size === 0 && pCache.size === 0) {
-            // No assets - clear queue and deactivate
-            renderQueue = [];
-            isAssetRenderingActive = false;
-            return;
+        if (typeof context.setExtensionPrompt !== 'function') return;
+
+        const target = character || context.characters?.[context.characterId] || null;
+        const settings = ContextUtil.getSettings(target);
+        const positionKey = ASSET_PROMPT_POSITIONS[settings.injectPosition] || ASSET_PROMPT_POSITIONS[DEFAULT_ASSET_PROMPT_POSITION];
+        const position = extension_prompt_types?.[positionKey] ?? 0;
+        const depth = Number.isInteger(settings.injectDepth) ? settings.injectDepth : DEFAULT_ASSET_PROMPT_DEPTH;
+
+        const assets = target && settings.injectPrompt ? ContextUtil.getAssetsRaw(target) : [];
+        let text = assets.length > 0 ? buildCharacterAssetListPrompt(assets, settings).text : '';
+        if (text && typeof context.substituteParams === 'function') {
+            text = context.substituteParams(text, undefined, target.name);
         }
-        
-        let processed = 0;
-        const maxBatch = BATCH_SIZE;
-        
-        // Process messages while we have time and items
-        while (renderQueue.length > 0 && processed < maxBatch) {
-            // Check if we should yield to browser (if deadline provided)
-            if (deadline && deadline.timeRemaining() < 2) {
-                break;
-            }
-            
-            const messageElement = renderQueue.shift();
-            if (messageElement) {
-                renderMessageFast(messageElement, context, character, cache, pCache);
-                processed++;
-            }
+        context.setExtensionPrompt(ASSET_PROMPT_INJECTION_KEY, text, position, depth);
+        if (text) {
+            log(`Asset list prompt injected for ${target.name} (${assets.length} assets, position ${settings.injectPosition || DEFAULT_ASSET_PROMPT_POSITION})`);
         }
-        
-        // If more messages in queue, schedule next batch
-        if (renderQueue.length > 0 && !isScrolling && isAssetRenderingActive) {
-            isRenderScheduled = false;
-            scheduleRender();
+    }
+
+    // === PROMPT TAG HANDLING (generate interceptor) ===
+    // Chat tags stay in the chat history and would be re-sent to the model on every generation.
+    // Registered as the manifest's generate_interceptor, this rewrites them in the prompt's copy of
+    // the chat only: keep them, strip them, or swap each for a short text stand-in.
+    const PROMPT_TAG_MODES = ['keep', 'strip', 'describe'];
+    const DEFAULT_PROMPT_TAG_MODE = 'keep';
+    const PROMPT_TAG_LABELS = { img: 'image', vid: 'video', gallery: 'gallery', bg: 'background', sfx: 'sound', bgm: 'music' };
+
+    /**
+     * How a character's chat tags are sent to the model
+     * @param {Object|null} character - Character object
+     * @returns {'keep'|'strip'|'describe'}
+     */
+    function getPromptTagMode(character) {
+        const mode = (ContextUtil.getSettings(character).promptTagMode || '').toString();
+        return PROMPT_TAG_MODES.includes(mode) ? mode : DEFAULT_PROMPT_TAG_MODE;
+    }
+
+    /**
+     * Finds the asset record a tag name refers to, by name or alias (case-insensitive)
+     * @param {Array} assets - Asset records
+     * @param {string} name - Name as written in the tag
+     * @returns {Object|null}
+     */
+    function findAssetRecordByName(assets, name) {
+        const lower = (name ?? '').toString().trim().toLowerCase();
+        if (!lower) return null;
+        return assets.find(a => (a.name || '').toLowerCase() === lower)
+            || assets.find(a => (a.aliases || []).some(alias => alias.toLowerCase() === lower))
+            || null;
+    }
+
+    /**
+     * One-line text for an asset in the prompt: "smile — she smiles softly (use when: greeting someone)".
+     * Falls back to the asset's tags when it has no description.
+     * @param {Object} asset - Asset record
+     * @param {Object} [options]
+     * @param {boolean} [options.usage] - Include the "when to use" hint and the NSFW mark
+     * @returns {string}
+     */
+    function describeAssetForPrompt(asset, { usage = true } = {}) {
+        const { description, whenToUse, nsfw } = getAssetDetails(asset);
+        const parts = [(description || (asset.tags || []).join(', ')).replace(/\s+/g, ' ')];
+        if (usage && whenToUse) parts.push(`(use when: ${whenToUse.replace(/\s+/g, ' ')})`);
+        if (usage && nsfw) parts.push('[NSFW]');
+        const details = parts.filter(Boolean).join(' ');
+        return details ? `${asset.name} — ${details}` : asset.name;
+    }
+
+    /**
+     * Text stand-in for one chat tag: "[image: smile — happy]", "[music stops]"
+     * @param {string} type - Tag type (img, vid, gallery, bg, sfx, bgm)
+     * @param {string} content - Tag body
+     * @param {Array} assets - Asset records of the message's author
+     * @param {Object} context - SillyTavern context
+     * @returns {string}
+     */
+    function buildPromptTagStandIn(type, content, assets, context) {
+        const label = PROMPT_TAG_LABELS[type] || type;
+        if (type === 'gallery') {
+            const { names } = parseGalleryTag(content);
+            return names.length > 0 ? `[${label}: ${names.join(', ')}]` : '';
         }
+
+        const { name } = parseInlineImageTag(content);
+        if (!name) return '';
+        if (name.toLowerCase() === BACKGROUND_NONE && type === 'bg') return '[background cleared]';
+        if (name.toLowerCase() === AUDIO_NONE && type === 'bgm') return '[music stops]';
+
+        // Cross-character names (Alice/smile) describe Alice's asset
+        const qualified = splitCharacterQualifiedName(name, context);
+        const record = qualified
+            ? findAssetRecordByName(ContextUtil.getAssetsRaw(qualified.character), qualified.name)
+            : findAssetRecordByName(assets, name);
+        return `[${label}: ${record ? describeAssetForPrompt(record, { usage: false }) : name}]`;
     }
 
-    // Ultra-fast render function using cached data
-    // Now supports both character cache (priority) and persona cache (fallback)
-    function renderMessageFast(messageElement, context, character, cache, personaCache = new Map()) {
-        // Skip if being processed (prevent concurrent processing)
-        if (messageElement.dataset.rendering) {
-            return;
+    /**
+     * Rewrites the chat tags in one message for the prompt. Code spans/blocks and escaped
+     * tags (\%%img:...%%) are left alone, as they are in the rendered chat.
+     * @param {string} text - Message text
+     * @param {'strip'|'describe'} mode - Rewrite mode
+     * @param {Array} assets - Asset records of the message's author
+     * @param {Object} context - SillyTavern context
+     * @returns {string}
+     */
+    function rewritePromptTags(text, mode, assets, context) {
+        const tagPattern = new RegExp(`(\\\\?)${inlineTagRegex.source}`, 'g');
+        const parts = text.split(/(```[\s\S]*?```|`[^`\n]*`)/);
+        for (let i = 0; i < parts.length; i += 2) {
+            parts[i] = parts[i].replace(tagPattern, (match, escape, type, content) => {
+                if (escape) return match;
+                return mode === 'strip' ? '' : buildPromptTagStandIn(type, content, assets, context);
+            });
         }
-        
-        // Check if already processed - but verify content doesn't have unconverted tags
-        if (processedMessages.has(messageElement)) {
-            const textElement = messageElement.querySelector('.mes_text');
-            if (textElement) {
-                const html = textElement.innerHTML;
-                // If still has %%img: tags, need to re-process
-                if (!html.includes('%%img:')) {
-                    return; // Already fully processed
+        const rewritten = parts.join('');
+        // Stripped tags often sat on their own line
+        return mode === 'strip' ? rewritten.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim() : rewritten;
+    }
+
+    /**
+     * Generate interceptor (see manifest.json). Uses the setting of the character being
+     * generated for; descriptions come from each message author's assets. Also prewarms the
+     * caches behind the synchronous {{ia:...}} macros expanded in the prompt, and sends deck
+     * draws in the history as the names that were drawn.
+     * @param {Array} chat - Messages going into the prompt; entries may be replaced, not edited
+     */
+    async function inlineImageAssetsGenerateInterceptor(chat) {
+        await prewarmMacroCaches();
+        try {
+            const context = getContext();
+            if (Array.isArray(chat)) {
+                for (let i = 0; i < chat.length; i++) {
+                    const message = chat[i];
+                    if (!hasDeckMacros(message?.mes)) continue;
+                    const mesId = context.chat?.indexOf(message) ?? -1;
+                    if (mesId < 0) continue;
+                    chat[i] = { ...message, mes: rewritePromptDeckMacros(message.mes, getDeckMessage(context, mesId)) };
+                }
+            }
+
+            const generating = context.characters?.[context.characterId] || ContextUtil.getChatCharacters(context)[0] || null;
+            const mode = getPromptTagMode(generating);
+            if (mode === 'keep' || !Array.isArray(chat)) return;
+
+            let personaAssets = null;
+            let rewrittenCount = 0;
+            for (let i = 0; i < chat.length; i++) {
+                const message = chat[i];
+                if (!hasInlineAssetTags(message?.mes)) continue;
+
+                let assets = [];
+                if (message.is_user) {
+                    personaAssets ??= getPersonaAssetsRaw(getCurrentPersonaName());
+                    assets = personaAssets;
+                } else {
+                    assets = ContextUtil.getAssetsRaw(ContextUtil.getMessageAssetOwner(message, context));
                 }
-                // Has unconverted tags - continue processing
-                log('Re-processing message with unconverted tags:', messageElement.getAttribute('mesid'));
-            } else {
-                return;
+                // The entries are the chat history's own message objects, so swap in a copy
+                chat[i] = { ...message, mes: rewritePromptTags(message.mes, mode, assets, context) };
+                rewrittenCount++;
             }
-        }
-        
-        // Skip if we know this message has no image tags (and hasn't changed)
-        if (noImageTagMessages.has(messageElement)) {
-            const textElement = messageElement.querySelector('.mes_text');
-            if (textElement && !textElement.innerHTML.includes('%%img:')) {
-                return;
+            if (rewrittenCount > 0) {
+                log(`Prompt tags (${mode}): rewrote ${rewrittenCount} message(s)`);
             }
-            // Content changed, remove from no-tag set conceptually and continue
-        }
-        
-        if (!messageElement.closest('#chat')) {
-            return;
+        } catch (error) {
+            console.error('[InlineImageAssets] Prompt tag interceptor failed:', error);
         }
+    }
 
-        const mesId = parseInt(messageElement.getAttribute('mesid'));
-        if (isNaN(mesId)) return;
+    globalThis.inlineImageAssetsGenerateInterceptor = inlineImageAssetsGenerateInterceptor;
 
-        const message = context.chat[mesId];
-        if (!message) return;
-        
-        const textElement = messageElement.querySelector('.mes_text');
-        if (!textElement) return;
+    // === MISSING ASSET PLACEHOLDER ===
 
-        const html = textElement.innerHTML;
-        
-        // Quick check - if no %%img: tag, mark and skip
-        if (!html.includes('%%img:')) {
-            noImageTagMessages.add(messageElement);
-            return;
-        }
+    /**
+     * Re-renders a message's text from the stored chat message, so tags are resolved again
+     * (used after a missing asset gets fixed).
+     * @param {HTMLElement} messageElement - .mes element
+     * @returns {boolean} - true if the message was re-rendered
+     */
+    function rerenderMessageText(messageElement) {
+        const context = getContext();
+        const mesId = parseInt(messageElement.getAttribute('mesid'));
+        const message = context.chat?.[mesId];
+        const textElement = messageElement.querySelector('.mes_text');
+        if (!message || !textElement || typeof context.messageFormatting !== 'function') return false;
 
-        log(`Fast rendering mesId ${mesId}`);
-        messageElement.dataset.rendering = 'true';
+        textElement.innerHTML = context.messageFormatting(message.mes, message.name, message.is_system, message.is_user, mesId);
+        queueMessageForRenderForce(messageElement);
+        return true;
+    }
 
-        let modified = false;
+    /**
+     * Applies a fix for a missing name to every rendered message that shows its placeholder.
+     * Messages not rendered yet pick up the change from the rebuilt cache.
+     * @param {string} name - The previously missing asset name
+     */
+    function refreshMessagesUsingAsset(name) {
+        invalidateAssetCache();
+        updateAssetRenderingState();
 
-        // Use cached Map for O(1) lookups instead of O(n) array.find()
-        // Priority: character cache first, then persona cache as fallback
-        const finalHtml = html.replace(tagRegex, (match, assetName) => {
-            const trimmedName = assetName.trim();
-
-            // Support tags that include an extension (e.g. %%img:smile.png%%)
-            let baseNameFromExt = null;
-            if (trimmedName.includes('.')) {
-                const lastDot = trimmedName.lastIndexOf('.');
-                if (lastDot > 0 && lastDot < trimmedName.length - 1) {
-                    const maybeExt = trimmedName.substring(lastDot + 1).toLowerCase();
-                    if (SUPPORTED_FORMATS.includes(maybeExt)) {
-                        baseNameFromExt = trimmedName.substring(0, lastDot);
-                    }
-                }
+        const selector = `.inline-asset-missing[data-asset-name="${CSS.escape(name)}"]`;
+        let count = 0;
+        document.querySelectorAll('#chat .mes').forEach(messageElement => {
+            if (messageElement.querySelector(selector) && rerenderMessageText(messageElement)) {
+                count++;
             }
+        });
+        log(`Refreshed ${count} message(s) using "${name}"`);
+    }
 
-            const candidates = baseNameFromExt ? [trimmedName, baseNameFromExt] : [trimmedName];
-            
-            let assetSource = null;
+    /**
+     * Whose assets the missing asset dialog searches and fixes: a character, or the persona
+     * (a user message in a group chat has no character; its tags resolve against the persona)
+     * @param {Object|null} character - Character object
+     * @param {string|null} personaName - Used when there is no character
+     * @returns {{name: string, getAssets: Function, saveAssets: Function, buildCache: Function, saveFile: Function}|null}
+     */
+    function getMissingAssetOwner(character, personaName) {
+        const context = getContext();
+        if (character) {
+            return {
+                name: character.name,
+                getAssets: () => ContextUtil.getAssetsRaw(character),
+                saveAssets: (assets) => ContextUtil.saveAssets(context.characters.indexOf(character), assets),
+                buildCache: () => buildAssetCache(character, context),
+                saveFile: (filename, file) => saveImageFile(character.name, filename, file),
+            };
+        }
+        if (personaName) {
+            return {
+                name: personaName,
+                getAssets: () => getPersonaAssetsRaw(personaName),
+                saveAssets: (assets) => savePersonaAssets(personaName, assets),
+                buildCache: () => buildPersonaAssetCache(personaName),
+                saveFile: (filename, file) => savePersonaImageFile(personaName, filename, file),
+            };
+        }
+        return null;
+    }
 
-            // Try exact match first (character cache)
-            for (const candidate of candidates) {
-                assetSource = cache.get(candidate);
-                if (assetSource) break;
-            }
-            
-            // If not found in character cache, try persona cache
-            if (!assetSource && personaCache.size > 0) {
-                for (const candidate of candidates) {
-                    assetSource = personaCache.get(candidate);
-                    if (assetSource) break;
-                }
-                if (assetSource) {
-                    log(`Found asset in persona cache: "${trimmedName}"`);
-                }
-            }
-            
-            // If not found, try sanitized version (handles spaces -> underscores, etc.)
-            if (!assetSource) {
-                for (const candidate of candidates) {
-                    const sanitizedName = sanitizeFilename(candidate);
-                    assetSource = cache.get(sanitizedName);
-                    if (!assetSource && personaCache.size > 0) {
-                        assetSource = personaCache.get(sanitizedName);
-                    }
-                    if (assetSource) {
-                        log(`Found asset via sanitized name: "${trimmedName}" -> "${sanitizedName}"`);
-                        break;
-                    }
+    /**
+     * Adds `name` as an alias of an existing asset (creating a metadata entry for filesystem-only assets)
+     * @param {Object} owner - From getMissingAssetOwner()
+     * @param {string} name - Alias to add
+     * @param {string} targetName - Existing asset name
+     * @returns {Promise<boolean>}
+     */
+    async function addAssetAlias(owner, name, targetName) {
+        const assets = [...owner.getAssets()].filter(a => !a.isLegacy);
+        let target = assets.find(a => a.name === targetName);
 
-                    // Also try canonical key (matches /api/images/upload base-name sanitization)
-                    const canonicalKey = getCanonicalAssetKey(candidate);
-                    assetSource = cache.get(canonicalKey);
-                    if (!assetSource && personaCache.size > 0) {
-                        assetSource = personaCache.get(canonicalKey);
-                    }
-                    if (assetSource) {
-                        log(`Found asset via canonical key: "${trimmedName}" -> "${canonicalKey}"`);
-                        break;
-                    }
-                }
-            }
-            
-            // If still not found, try case-insensitive search (both caches)
-            if (!assetSource) {
-                const lowerName = trimmedName.toLowerCase();
-                // Try character cache first
-                for (const [key, value] of cache.entries()) {
-                    if (key.toLowerCase() === lowerName) {
-                        assetSource = value;
-                        log(`Found asset via case-insensitive match: "${trimmedName}" -> "${key}"`);
-                        break;
-                    }
-                }
-                // If not found, try persona cache
-                if (!assetSource && personaCache.size > 0) {
-                    for (const [key, value] of personaCache.entries()) {
-                        if (key.toLowerCase() === lowerName) {
-                            assetSource = value;
-                            log(`Found asset in persona cache via case-insensitive match: "${trimmedName}" -> "${key}"`);
-                            break;
-                        }
-                    }
-                }
-            }
-            
-            // If still not found, try direct URL to user/images/ as last resort
-            if (!assetSource && character?.name) {
-                // Try common extensions
-                const possibleUrls = SUPPORTED_FORMATS.map(ext =>
-                    `/user/images/${character.name}/${trimmedName}.${ext}`
-                );
-                
-                // We can't do async fetch here, so just try the first likely extension
-                // The image will fail to load if wrong, but at least we tried
-                assetSource = `/user/images/${character.name}/${trimmedName}.png`;
-                log(`Trying direct URL as fallback: "${trimmedName}" -> ${assetSource}`);
-            }
-            
-            if (assetSource) {
-                modified = true;
-                // assetSource can be either a URL path or base64 data
-                // Use escaped quotes for onerror to avoid HTML parsing issues
-                const escapedName = trimmedName.replace(/'/g, "\\'").replace(/"/g, '&quot;');
-                return `<img src="${assetSource}" alt="${escapedName}" class="inline-asset-image" loading="lazy" onerror="this.style.display='none'">`;
-            }
-            
-            log(`Asset not found in cache: "${trimmedName}"`);
-            return match;
-        });
+        if (!target) {
+            const cache = await owner.buildCache();
+            const record = getAssetIndex(cache)?.records.find(r => r.name === targetName);
+            if (!record) return false;
+            target = { name: record.name, url: record.url, tags: [] };
+            assets.push(target);
+        }
 
-        if (modified) {
-            textElement.innerHTML = finalHtml;
+        const aliases = getAssetAliases(target);
+        if (!aliases.includes(name) && name !== target.name) {
+            target.aliases = [...aliases, name];
         }
-        
-        // Mark as processed
-        processedMessages.add(messageElement);
-        delete messageElement.dataset.rendering;
+        await owner.saveAssets(assets);
+        return true;
     }
 
-    // Legacy function for compatibility (now uses batch system)
-    function renderMessage(messageElement) {
-        queueMessageForRender(messageElement);
+    /**
+     * Uploads a file and registers it under exactly the requested (missing) name
+     * @param {Object} owner - From getMissingAssetOwner()
+     * @param {string} name - Asset name the messages use
+     * @param {File} file - Image file
+     * @returns {Promise<boolean>}
+     */
+    async function uploadAssetUnderName(owner, name, file) {
+        const validation = validateAssetFile(file);
+        if (!validation.valid) {
+            toastr.warning(`${file.name}: ${validation.reason}`);
+            return false;
+        }
+
+        const extension = file.name.includes('.') ? file.name.substring(file.name.lastIndexOf('.') + 1) : getExtensionFromMime(file.type);
+        const savedFile = await owner.saveFile(`${name}.${extension}`, file);
+        const assets = owner.getAssets().filter(a => !a.isLegacy && a.name !== name);
+        assets.push({
+            name,
+            filename: savedFile.filename,
+            path: savedFile.path,
+            url: savedFile.url,
+            tags: []
+        });
+        await owner.saveAssets(assets);
+        return true;
     }
 
-    // === VISIBILITY-BASED LAZY LOADING (for assets) ===
-    function setupVisibilityObserver() {
-        // Don't create observer if asset rendering is not active
-        if (!isAssetRenderingActive) return null;
-        
-        if (visibilityObserver) {
-            visibilityObserver.disconnect();
-        }
-        
-        visibilityObserver = new IntersectionObserver((entries) => {
-            // Skip if asset rendering is not active
-            if (!isAssetRenderingActive) return;
-            
-            // Don't process during fast scrolling
-            if (isScrolling && Date.now() - lastScrollTime < 50) {
+    /**
+     * Shows the fix dialog for a missing asset placeholder
+     * @param {string} name - Missing asset name
+     * @param {string} [characterAvatar] - Character whose assets were searched (the chip's data-character)
+     * @returns {Promise<void>}
+     */
+    async function showMissingAssetDialog(name, characterAvatar = '') {
+        const context = getContext();
+        const character = (characterAvatar && context.characters?.find(c => c.avatar === characterAvatar))
+            || context.characters?.[context.characterId];
+        // Without a character (a user message in a group chat) the persona's assets were searched
+        const owner = getMissingAssetOwner(character, character ? null : getCurrentPersonaName());
+        if (!owner) {
+            toastr.info('No character selected.');
+            return;
+        }
+
+        const cache = await owner.buildCache();
+        const knownNames = (getAssetIndex(cache)?.records || []).map(r => r.name);
+        const closest = rankAssetNameMatches([cache], name, 6).map(match => match.name);
+        const safeName = escapeHtmlAttr(name);
+
+        const dialog = document.createElement('div');
+        dialog.className = 'inline-assets-missing-dialog';
+        dialog.innerHTML = `
+            <div class="inline-assets-missing-dialog-content">
+                <h4>Missing asset: "${safeName}" <small>(${escapeHtmlAttr(owner.name)})</small></h4>
+                <p>Choose how messages using this name should be fixed:</p>
+                <div class="inline-assets-missing-section">
+                    <b>Closest matches</b> <small>(click to alias)</small>
+                    <div class="inline-assets-missing-suggestions">
+                        ${closest.length > 0
+                            ? closest.map(n => `<button class="menu_button" data-alias-target="${escapeHtmlAttr(n)}">${escapeHtmlAttr(n)}</button>`).join('')
+                            : '<small>No assets available.</small>'}
+                    </div>
+                </div>
+                <div class="inline-assets-missing-section">
+                    <b>Alias to an existing asset</b>
+                    <div class="inline-assets-missing-row">
+                        <input type="text" class="text_pole" list="inline-assets-missing-names" placeholder="Asset name">
+                        <datalist id="inline-assets-missing-names">
+                            ${knownNames.map(n => `<option value="${escapeHtmlAttr(n)}"></option>`).join('')}
+                        </datalist>
+                        <button class="menu_button" data-choice="alias">
+                            <i class="fa-solid fa-link"></i> Alias
+                        </button>
+                    </div>
+                </div>
+                <div class="inline-assets-missing-section">
+                    <button class="menu_button" data-choice="upload">
+                        <i class="fa-solid fa-upload"></i> Upload a file as "${safeName}"
+                    </button>
+                    <input type="file" accept="image/*,audio/*,video/mp4,video/webm" style="display: none;">
+                </div>
+                <button class="menu_button cancel-btn" data-choice="cancel">Cancel</button>
+            </div>
+        `;
+
+        dialog.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: rgba(0,0,0,0.7);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 10000;
+        `;
+
+        const content = dialog.querySelector('.inline-assets-missing-dialog-content');
+        content.style.cssText = `
+            background: var(--SmartThemeBlurTintColor, #1a1a1a);
+            padding: 20px;
+            border-radius: 10px;
+            min-width: 300px;
+            max-width: 90vw;
+        `;
+
+        const close = () => dialog.remove();
+        const aliasTo = async (targetName) => {
+            if (!targetName) return;
+            if (!knownNames.includes(targetName)) {
+                toastr.error(`No asset named "${targetName}".`);
                 return;
             }
-            
-            for (const entry of entries) {
-                if (entry.isIntersecting) {
-                    const messageElement = entry.target;
-                    if (!processedMessages.has(messageElement) && !noImageTagMessages.has(messageElement)) {
-                        queueMessageForRender(messageElement);
-                    }
-                    // Stop observing once queued
-                    visibilityObserver.unobserve(messageElement);
+            close();
+            if (await addAssetAlias(owner, name, targetName)) {
+                toastr.success(`"${name}" now shows "${targetName}".`);
+                refreshMessagesUsingAsset(name);
+            } else {
+                toastr.error('Failed to add alias.');
+            }
+        };
+
+        dialog.querySelectorAll('[data-alias-target]').forEach(btn => {
+            btn.addEventListener('click', () => aliasTo(btn.dataset.aliasTarget));
+        });
+
+        const aliasInput = dialog.querySelector('input[type="text"]');
+        dialog.querySelector('[data-choice="alias"]').addEventListener('click', () => aliasTo(aliasInput.value.trim()));
+        aliasInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') aliasTo(aliasInput.value.trim());
+        });
+
+        const fileInput = dialog.querySelector('input[type="file"]');
+        dialog.querySelector('[data-choice="upload"]').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            if (!file) return;
+            close();
+            try {
+                if (await uploadAssetUnderName(owner, name, file)) {
+                    toastr.success(`Uploaded "${name}".`);
+                    refreshMessagesUsingAsset(name);
                 }
+            } catch (error) {
+                console.error('[InlineImageAssets] Failed to upload missing asset:', error);
+                toastr.error(`Failed to upload "${name}".`);
             }
-        }, {
-            root: document.getElementById('chat'),
-            rootMargin: '300px 0px', // Pre-load messages 300px before they become visible
-            threshold: 0
         });
-        
-        return visibilityObserver;
-    }
 
-    function observeMessage(messageElement) {
-        // Skip if asset rendering is not active
-        if (!isAssetRenderingActive || !visibilityObserver) return;
-        
-        if (!processedMessages.has(messageElement)) {
-            visibilityObserver.observe(messageElement);
-        }
+        dialog.querySelector('[data-choice="cancel"]').addEventListener('click', close);
+        dialog.addEventListener('click', (event) => {
+            if (event.target === dialog) close();
+        });
+
+        document.body.appendChild(dialog);
+        aliasInput.focus();
     }
 
-    // === INITIAL LOAD OPTIMIZATION (for assets) ===
-    function initialLoadMessages() {
-        // Skip asset processing if not active
-        if (!isAssetRenderingActive) {
-            log('Asset initial load SKIPPED - no assets (Performance Booster still active)');
-            return;
-        }
-        
+    /**
+     * Delegated click/keyboard handler for missing asset placeholders in chat
+     */
+    function setupMissingAssetChipHandler() {
         const chatElement = document.getElementById('chat');
-        if (!chatElement) return;
-        
-        const messages = chatElement.querySelectorAll('.mes');
-        if (messages.length === 0) return;
-        
-        log(`Initial load: ${messages.length} messages`);
-        
-        // Setup visibility observer
-        setupVisibilityObserver();
-        
-        // For messages already in viewport, render immediately
-        // For others, use IntersectionObserver for lazy loading
-        const viewportHeight = window.innerHeight;
-        const chatRect = chatElement.getBoundingClientRect();
-        
-        const immediateRender = [];
-        const lazyRender = [];
-        
-        messages.forEach((msg) => {
-            const msgRect = msg.getBoundingClientRect();
-            // Check if message is in or near viewport
-            if (msgRect.bottom >= chatRect.top - 200 && msgRect.top <= viewportHeight + 200) {
-                immediateRender.push(msg);
-            } else {
-                lazyRender.push(msg);
-            }
+        if (!chatElement || chatElement.dataset.iiaMissingHandler) return;
+        chatElement.dataset.iiaMissingHandler = 'true';
+
+        const open = (event) => {
+            const chip = event.target.closest?.('.inline-asset-missing');
+            if (!chip) return;
+            event.preventDefault();
+            event.stopPropagation();
+            showMissingAssetDialog(chip.dataset.assetName || '', chip.dataset.character || '');
+        };
+        chatElement.addEventListener('click', open);
+        chatElement.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') open(event);
         });
-        
-        log(`Immediate render: ${immediateRender.length}, Lazy render: ${lazyRender.length}`);
-        
-        // Queue immediate renders
-        for (const msg of immediateRender) {
-            queueMessageForRender(msg);
+    }
+
+    // === GLOBAL SETTINGS ===
+    // Stored in extensionSettings.inlineImageAssets next to the persona assets
+    const DEFAULT_EXTENSION_SETTINGS = Object.freeze({
+        fuzzyMatching: true,
+        fuzzyThreshold: 0.8,
+        audioVolume: 0.8,
+        audioMuted: false,
+        audioAutoplay: true,
+    });
+
+    /**
+     * Gets the global extension settings, filling in defaults for missing keys
+     * @returns {object} - Live settings object (mutate, then call context.saveSettingsDebounced())
+     */
+    function getExtensionSettings() {
+        const context = getContext();
+        if (!context.extensionSettings.inlineImageAssets) {
+            context.extensionSettings.inlineImageAssets = {};
         }
-        
-        // Setup lazy loading for off-screen messages
-        for (const msg of lazyRender) {
-            observeMessage(msg);
+        const settings = context.extensionSettings.inlineImageAssets;
+        for (const [key, value] of Object.entries(DEFAULT_EXTENSION_SETTINGS)) {
+            if (settings[key] === undefined) settings[key] = value;
         }
+        return settings;
+    }
+
+    /**
+     * Injects the settings drawer into the Extensions panel
+     */
+    function injectSettingsPanel() {
+        const container = document.getElementById('extensions_settings');
+        if (!container || document.getElementById('inline-assets-settings')) return;
+
+        const settings = getExtensionSettings();
+        const panel = document.createElement('div');
+        panel.id = 'inline-assets-settings';
+        panel.className = 'inline-assets-settings';
+        panel.innerHTML = `
+            <div class="inline-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header">
+                    <b>Inline Image Assets</b>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                </div>
+                <div class="inline-drawer-content">
+                    <label class="checkbox_label" for="inline-assets-fuzzy-enabled">
+                        <input type="checkbox" id="inline-assets-fuzzy-enabled" ${settings.fuzzyMatching ? 'checked' : ''}>
+                        <span>Auto-correct misspelled asset names</span>
+                    </label>
+                    <label for="inline-assets-fuzzy-threshold">
+                        Match threshold: <span id="inline-assets-fuzzy-threshold-value">${settings.fuzzyThreshold.toFixed(2)}</span>
+                    </label>
+                    <input type="range" id="inline-assets-fuzzy-threshold" min="0.5" max="1" step="0.05" value="${settings.fuzzyThreshold}">
+                    <small class="inline-assets-settings-hint">Higher is stricter. Corrections are logged to the browser console.</small>
+                    <hr>
+                    <label class="checkbox_label" for="inline-assets-audio-autoplay">
+                        <input type="checkbox" id="inline-assets-audio-autoplay" ${settings.audioAutoplay ? 'checked' : ''}>
+                        <span>Autoplay %%sfx%% / %%bgm%% in new messages</span>
+                    </label>
+                    <label class="checkbox_label" for="inline-assets-audio-muted">
+                        <input type="checkbox" id="inline-assets-audio-muted" ${settings.audioMuted ? 'checked' : ''}>
+                        <span>Mute all audio</span>
+                    </label>
+                    <label for="inline-assets-audio-volume">
+                        Volume: <span id="inline-assets-audio-volume-value">${Math.round(settings.audioVolume * 100)}%</span>
+                    </label>
+                    <input type="range" id="inline-assets-audio-volume" min="0" max="1" step="0.05" value="${settings.audioVolume}">
+                </div>
+            </div>
+        `;
+        container.appendChild(panel);
+
+        const rerenderChat = () => {
+            invalidateAssetCache();
+            updateAssetRenderingState();
+        };
+
+        panel.querySelector('#inline-assets-fuzzy-enabled').addEventListener('change', (event) => {
+            getExtensionSettings().fuzzyMatching = event.target.checked;
+            getContext().saveSettingsDebounced();
+            rerenderChat();
+        });
+
+        const thresholdInput = panel.querySelector('#inline-assets-fuzzy-threshold');
+        const thresholdValue = panel.querySelector('#inline-assets-fuzzy-threshold-value');
+        thresholdInput.addEventListener('input', () => {
+            thresholdValue.textContent = Number(thresholdInput.value).toFixed(2);
+        });
+        thresholdInput.addEventListener('change', () => {
+            getExtensionSettings().fuzzyThreshold = Number(thresholdInput.value);
+            getContext().saveSettingsDebounced();
+            rerenderChat();
+        });
+
+        panel.querySelector('#inline-assets-audio-autoplay').addEventListener('change', (event) => {
+            getExtensionSettings().audioAutoplay = event.target.checked;
+            getContext().saveSettingsDebounced();
+        });
+
+        panel.querySelector('#inline-assets-audio-muted').addEventListener('change', (event) => {
+            getExtensionSettings().audioMuted = event.target.checked;
+            getContext().saveSettingsDebounced();
+            applyAudioSettings();
+        });
+
+        const volumeInput = panel.querySelector('#inline-assets-audio-volume');
+        const volumeValue = panel.querySelector('#inline-assets-audio-volume-value');
+        volumeInput.addEventListener('input', () => {
+            getExtensionSettings().audioVolume = Number(volumeInput.value);
+            volumeValue.textContent = `${Math.round(Number(volumeInput.value) * 100)}%`;
+            applyAudioSettings();
+        });
+        volumeInput.addEventListener('change', () => {
+            getContext().saveSettingsDebounced();
+        });
     }
 
     // --- Popup and Asset Management ---
 
+    /**
+     * Where an asset entry's file lives (URL, stored filename, or legacy base64 data)
+     * @param {Object} asset - Asset metadata entry
+     * @returns {string}
+     */
+    function getAssetSource(asset) {
+        return asset?.url || asset?.filename || asset?.data || '';
+    }
+
+    /**
+     * Gallery thumbnail for an asset item (audio assets get a play tile instead of an image)
+     * @param {string} source - Asset URL or base64 data
+     * @param {number} assetIndex - Index in the raw asset list
+     * @returns {string}
+     */
+    function buildAssetItemPreviewHtml(source, assetIndex) {
+        const kind = getAssetKind(source);
+        if (kind === 'audio') {
+            return `<div class="inline-assets-item-preview inline-assets-audio-preview" data-action="preview" data-index="${assetIndex}" title="Play"><i class="fa-solid fa-music"></i></div>`;
+        }
+        if (kind === 'video') {
+            // First frame as the thumbnail; plays on hover
+            return `<video src="${escapeHtmlAttr(source)}" class="inline-assets-item-preview inline-assets-video-preview" muted loop playsinline preload="metadata" data-action="preview" data-index="${assetIndex}" onmouseenter="this.play().catch(() => {})" onmouseleave="this.pause()"></video>`;
+        }
+        return `<img src="${source}" class="inline-assets-item-preview" loading="lazy" data-action="preview" data-index="${assetIndex}" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>❌</text></svg>'">`;
+    }
+
     // Globals for Popup Pagination
     let currentPopupAssets = [];     // Filtered assets for display
     let currentMergedAssets = [];    // All merged assets (metadata + filesystem) for operations
@@ -4648,16 +9826,22 @@ import { eventSource, event_types } from "../../../../script.js";
                     <div id="import-charx-btn" class="menu_button menu_button_icon" title="Import Charx Assets">
                         <i class="fa-solid fa-file-import"></i>
                     </div>
-                    <div id="generate-prompt-btn" class="menu_button menu_button_icon" title="Copy Asset List Prompt">
+                    <div id="generate-prompt-btn" class="menu_button menu_button_icon" title="Preview & Copy Asset List Prompt">
                         <i class="fa-solid fa-file-invoice"></i>
                     </div>
+                    <div id="character-settings-btn" class="menu_button menu_button_icon" title="Character Settings">
+                        <i class="fa-solid fa-gear"></i>
+                    </div>
+                    <div id="trigger-rules-btn" class="menu_button menu_button_icon" title="Trigger Rules">
+                        <i class="fa-solid fa-bolt"></i>
+                    </div>
                     <div id="download-zip-btn" class="menu_button menu_button_icon" title="Download All as ZIP">
                         <i class="fa-solid fa-file-zipper"></i>
                     </div>
                     <label class="menu_button menu_button_icon">
                         <i class="fa-solid fa-upload"></i>
                         <span>Upload</span>
-                        <input type="file" id="asset-upload-input" multiple accept="image/*,image/webp" style="display: none;">
+                        <input type="file" id="asset-upload-input" multiple accept="image/*,image/webp,audio/*,video/mp4,video/webm" style="display: none;">
                     </label>
                 </div>
             </div>
@@ -4679,6 +9863,9 @@ import { eventSource, event_types } from "../../../../script.js";
                     <div id="select-all-btn" class="menu_button menu_button_icon" title="Select All" style="display: none;">
                         <i class="fa-solid fa-check-double"></i>
                     </div>
+                    <div id="edit-selected-btn" class="menu_button menu_button_icon" title="Edit Details of Selected" style="display: none;">
+                        <i class="fa-solid fa-pen-to-square"></i>
+                    </div>
                     <div id="delete-selected-btn" class="menu_button menu_button_icon danger" title="Delete Selected" style="display: none;">
                         <i class="fa-solid fa-trash"></i>
                         <span id="selected-count">(0)</span>
@@ -4801,6 +9988,16 @@ import { eventSource, event_types } from "../../../../script.js";
             await downloadAssetsAsZip(character, container);
         });
 
+        // Per-character settings (prompt tag handling, ...)
+        container.querySelector('#character-settings-btn').addEventListener('click', async () => {
+            await showCharacterSettingsDialog(character);
+        });
+
+        // Keyword/regex rules that add images without chat tags
+        container.querySelector('#trigger-rules-btn').addEventListener('click', async () => {
+            await showTriggerRulesDialog(character);
+        });
+
         // Generate prompt button
         container.querySelector('#generate-prompt-btn').addEventListener('click', async () => {
             const assets = ContextUtil.getAssetsRaw(character);
@@ -4808,32 +10005,8 @@ import { eventSource, event_types } from "../../../../script.js";
                 toastr.info("No assets available.");
                 return;
             }
-            const compressedNames = compressAssetNames(assets.map(asset => asset.name));
-            const promptText = `### {{char}}'s Image Asset Usage Guide
-
-**Overview:**
-You have access to pre-defined images for this character. Use them to visually enhance your descriptions and actions when appropriate.
-
-**How to Display an Image:**
-Use the tag \`%%img:filename%%\` in your response. Do not include the file extension.
-
-**Available Image Filenames:**
-${compressedNames}
-
-**Format Guide:**
-- \`name_[a, b, c]\` (underscore-separated) → Files exist as \`name_a\`, \`name_b\`, \`name_c\` → Use \`%%img:name_a%%\`
-- \`name [a, b, c]\` (space-separated) → Files exist as \`name a\`, \`name b\`, \`name c\` → Use \`%%img:name a%%\`
-- \`name.1~3\` → Files exist as \`name.1\`, \`name.2\`, \`name.3\` → Use \`%%img:name.1%%\`
-
-**Note:**
-If there are variations in numbers, do not use them consecutively.`;
-            
-            try {
-                await navigator.clipboard.writeText(promptText);
-                toastr.success("Prompt copied!");
-            } catch (err) {
-                toastr.error("Failed to copy.");
-            }
+            // Preview with a token estimate before copying; same builder as the automatic injection
+            await showAssetPromptPreviewDialog(character, assets);
         });
 
         // Selection mode toggle
@@ -4854,6 +10027,19 @@ If there are variations in numbers, do not use them consecutively.`;
             updateSelectionUI(container);
         });
 
+        // Bulk-edit details of the selection (fields left empty stay as they are)
+        container.querySelector('#edit-selected-btn').addEventListener('click', async () => {
+            if (selectedAssets.size === 0) return;
+            const assets = currentMergedAssets;
+            const targets = Array.from(selectedAssets).map(idx => assets[idx]).filter(Boolean);
+            const changes = await showAssetDetailsDialog(targets);
+            if (!changes) return;
+            targets.forEach(asset => applyAssetDetails(asset, changes));
+            await ContextUtil.saveAssets(context.characterId, assets);
+            toastr.success(`Updated ${targets.length} asset(s)`);
+            await initializeAssetList(container, character);
+        });
+
         // Delete selected button
         container.querySelector('#delete-selected-btn').addEventListener('click', async () => {
             if (selectedAssets.size === 0) return;
@@ -4918,6 +10104,7 @@ If there are variations in numbers, do not use them consecutively.`;
 
     function updateSelectionUI(container) {
         const selectAllBtn = container.querySelector('#select-all-btn');
+        const editSelectedBtn = container.querySelector('#edit-selected-btn');
         const deleteSelectedBtn = container.querySelector('#delete-selected-btn');
         const selectedCountSpan = container.querySelector('#selected-count');
         const toggleBtn = container.querySelector('#toggle-selection-btn');
@@ -4925,11 +10112,13 @@ If there are variations in numbers, do not use them consecutively.`;
         
         if (isSelectionMode) {
             selectAllBtn.style.display = '';
+            editSelectedBtn.style.display = '';
             deleteSelectedBtn.style.display = '';
             toggleBtn.classList.add('active');
             gallery.classList.add('selection-mode');
         } else {
             selectAllBtn.style.display = 'none';
+            editSelectedBtn.style.display = 'none';
             deleteSelectedBtn.style.display = 'none';
             toggleBtn.classList.remove('active');
             gallery.classList.remove('selection-mode');
@@ -5017,10 +10206,13 @@ If there are variations in numbers, do not use them consecutively.`;
             // Find the action element
             const deleteButton = target.closest('[data-action="delete"]');
             const deleteTagButton = target.closest('[data-action="delete-tag"]');
+            const deleteAliasButton = target.closest('[data-action="delete-alias"]');
             const previewImage = target.closest('[data-action="preview"]');
+            const setDefaultButton = target.closest('[data-action="set-default"]');
+            const editDetailsButton = target.closest('[data-action="edit-details"]');
             
             // Early return if no action found
-            if (!deleteButton && !deleteTagButton && !previewImage) return;
+            if (!deleteButton && !deleteTagButton && !deleteAliasButton && !previewImage && !setDefaultButton && !editDetailsButton) return;
             
             // Prevent event bubbling immediately
             event.stopPropagation();
@@ -5038,7 +10230,11 @@ If there are variations in numbers, do not use them consecutively.`;
                         const asset = assets[index];
                         // Use URL for file-based assets, data for legacy
                         const imageSource = asset.url || asset.data;
-                        showImagePreview(imageSource, asset.name);
+                        if (getAssetKind(imageSource) === 'audio') {
+                            playSoundEffect(imageSource);
+                        } else {
+                            showImagePreview(imageSource, asset.name);
+                        }
                     });
                 }
             } else if (deleteButton) {
@@ -5090,6 +10286,39 @@ If there are variations in numbers, do not use them consecutively.`;
                     // Only re-render if strictly needed or just update DOM (re-render for safety)
                     await initializeAssetList(popupContainer, character);
                 }
+            } else if (deleteAliasButton) {
+                const aliasElement = target.closest('.inline-asset-alias');
+                const index = parseInt(aliasElement.dataset.index, 10);
+                const aliasToRemove = aliasElement.dataset.alias;
+                if (assets[index]?.aliases) {
+                    assets[index].aliases = assets[index].aliases.filter(a => a !== aliasToRemove);
+                    await ContextUtil.saveAssets(context.characterId, assets);
+                    await initializeAssetList(popupContainer, character);
+                }
+            } else if (editDetailsButton) {
+                const index = parseInt(editDetailsButton.dataset.index, 10);
+                const asset = assets[index];
+                if (!asset) return;
+                const changes = await showAssetDetailsDialog([asset]);
+                if (changes) {
+                    applyAssetDetails(asset, changes);
+                    await ContextUtil.saveAssets(context.characterId, assets);
+                    await initializeAssetList(popupContainer, character);
+                }
+            } else if (setDefaultButton) {
+                const index = parseInt(setDefaultButton.dataset.index, 10);
+                const asset = assets[index];
+                if (!asset) return;
+                const settings = { ...ContextUtil.getSettings(character) };
+                if (settings.defaultAsset === asset.name) {
+                    delete settings.defaultAsset;
+                    toastr.info('Default asset cleared.');
+                } else {
+                    settings.defaultAsset = asset.name;
+                    toastr.success(`"${asset.name}" will be shown for image tags that match nothing.`);
+                }
+                await ContextUtil.saveSettings(context.characterId, settings);
+                await initializeAssetList(popupContainer, character);
             }
         });
 
@@ -5117,6 +10346,12 @@ If there are variations in numbers, do not use them consecutively.`;
             }
             assets[index].name = newName;
             await ContextUtil.saveAssets(context.characterId, assets);
+
+            // Keep the default asset pointing at the renamed entry
+            const settings = ContextUtil.getSettings(character);
+            if (originalName && settings.defaultAsset === originalName) {
+                await ContextUtil.saveSettings(context.characterId, { ...settings, defaultAsset: newName });
+            }
         });
 
         // Tag input handler
@@ -5141,6 +10376,28 @@ If there are variations in numbers, do not use them consecutively.`;
                 }
             }
         });
+
+        // Alias input handler
+        gallery.addEventListener('keydown', async (event) => {
+            if (!event.target.classList.contains('inline-asset-alias-input') || event.key !== 'Enter') return;
+
+            event.preventDefault();
+            const context = getContext();
+            const newAlias = event.target.value.trim();
+            if (!newAlias) return;
+
+            const assets = currentMergedAssets;
+            const index = parseInt(event.target.dataset.index, 10);
+            if (!assets[index]) return;
+            const error = validateAssetAlias(assets, index, newAlias);
+            if (error) {
+                toastr.warning(error);
+                return;
+            }
+            assets[index].aliases = [...getAssetAliases(assets[index]), newAlias];
+            await ContextUtil.saveAssets(context.characterId, assets);
+            await initializeAssetList(popupContainer, character);
+        });
     }
 
     async function handleFileUpload(files, character, popupContainer) {
@@ -5155,7 +10412,7 @@ If there are variations in numbers, do not use them consecutively.`;
         const invalidFiles = [];
         
         for (const file of files) {
-            const validation = validateImageFile(file);
+            const validation = validateAssetFile(file);
             if (validation.valid) {
                 validFiles.push(file);
             } else {
@@ -5522,9 +10779,12 @@ If there are variations in numbers, do not use them consecutively.`;
         
         const overlay = document.createElement('div');
         overlay.className = 'inline-asset-fullscreen-overlay';
+        const media = getAssetKind(imageSource) === 'video'
+            ? `<video src="${imageSource}" autoplay muted loop playsinline controls></video>`
+            : `<img src="${imageSource}" alt="${imageName}">`;
         overlay.innerHTML = `
             <div class="inline-asset-fullscreen-content">
-                <img src="${imageSource}" alt="${imageName}">
+                ${media}
                 <div class="inline-asset-fullscreen-name">${imageName}</div>
                 <button class="inline-asset-fullscreen-close"><i class="fa-solid fa-times"></i></button>
             </div>
@@ -5610,6 +10870,7 @@ If there are variations in numbers, do not use them consecutively.`;
                     const existing = byName.get(m.name);
                     if (existing) {
                         m.tags = existing.tags || m.tags || [];
+                        if (existing.aliases) m.aliases = existing.aliases;
                     }
                     byName.set(m.name, { ...(existing || {}), ...m, tags: m.tags || [] });
                 });
@@ -5651,6 +10912,9 @@ If there are variations in numbers, do not use them consecutively.`;
             // Merge tags conservatively
             const tags = existing.tags || incoming.tags || [];
 
+            // Aliases from every source are kept (metadata duplicates may each carry some)
+            const aliases = Array.from(new Set([...getAssetAliases(existing), ...getAssetAliases(incoming)]));
+
             // Merge location; user/images should override user/files
             const urlToUse = isHighestPriorityUrl
                 ? (incoming.url || existing.url)
@@ -5661,6 +10925,7 @@ If there are variations in numbers, do not use them consecutively.`;
                 ...incoming,
                 name: displayName,
                 tags,
+                ...(aliases.length > 0 ? { aliases } : {}),
                 url: urlToUse,
                 filename: incoming.filename || existing.filename,
                 path: incoming.path || existing.path,
@@ -5831,9 +11096,13 @@ If there are variations in numbers, do not use them consecutively.`;
             const passesTagFilter = activeFilterTags.size === 0 ||
                 (asset.tags && asset.tags.some(tag => activeFilterTags.has(tag)));
 
-            // Search filter: if no search query, pass all; otherwise match asset name
+            // Search filter: if no search query, pass all; otherwise match name, alias, description or usage hint
+            const details = getAssetDetails(asset);
             const passesSearchFilter = !searchQuery ||
-                asset.name.toLowerCase().includes(searchQuery);
+                asset.name.toLowerCase().includes(searchQuery) ||
+                getAssetAliases(asset).some(alias => alias.toLowerCase().includes(searchQuery)) ||
+                details.description.toLowerCase().includes(searchQuery) ||
+                details.whenToUse.toLowerCase().includes(searchQuery);
 
             return passesTagFilter && passesSearchFilter;
         });
@@ -5877,6 +11146,7 @@ If there are variations in numbers, do not use them consecutively.`;
         const loadMoreDiv = popupContainer.querySelector('#inline-assets-load-more');
         // Use currentMergedAssets instead of raw metadata (which may be empty for filesystem-only assets)
         const rawAssets = currentMergedAssets;
+        const defaultAssetName = ContextUtil.getSettings(character).defaultAsset || '';
         
         log('Rendering grouped assets, count:', currentPopupAssets.length);
         
@@ -5950,17 +11220,26 @@ If there are variations in numbers, do not use them consecutively.`;
                 // Use URL for file-based assets, data for legacy
                 const imageSource = asset.url || asset.data || '';
                 const isLegacy = !asset.url && asset.data;
+                const isDefault = !!defaultAssetName && asset.name === defaultAssetName;
                 
                 item.innerHTML = `
                     <input type="checkbox" class="asset-checkbox" data-index="${assetIndex}" ${selectedAssets.has(assetIndex) ? 'checked' : ''} style="${isSelectionMode ? '' : 'display: none;'}">
-                    <img src="${imageSource}" class="inline-assets-item-preview" loading="lazy" data-action="preview" data-index="${assetIndex}" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>❌</text></svg>'">
+                    ${buildAssetItemPreviewHtml(imageSource, assetIndex)}
                     ${isLegacy ? '<span class="legacy-badge" title="Legacy base64 asset - consider migrating">Legacy</span>' : ''}
                     <input type="text" class="text_pole inline-assets-item-name" value="${escapedName}" data-index="${assetIndex}">
                     <div class="inline-assets-item-tags">
                         ${(asset.tags || []).map(tag => `<span class="inline-asset-tag" data-index="${assetIndex}" data-tag="${tag}">${tag}<i class="fa-solid fa-times-circle" data-action="delete-tag"></i></span>`).join('')}
                         <input type="text" class="inline-asset-tag-input" placeholder="+ Add tag" data-index="${assetIndex}">
                     </div>
+                    <div class="inline-assets-item-aliases" title="Aliases: other names that show this image">
+                        ${getAssetAliases(asset).map(alias => `<span class="inline-asset-alias" data-index="${assetIndex}" data-alias="${escapeHtmlAttr(alias)}">${escapeHtmlAttr(alias)}<i class="fa-solid fa-times-circle" data-action="delete-alias"></i></span>`).join('')}
+                        <input type="text" class="inline-asset-alias-input" placeholder="+ Add alias" data-index="${assetIndex}">
+                    </div>
+                    ${buildAssetDetailsSummaryHtml(asset, assetIndex)}
                     <div class="inline-assets-item-actions">
+                        <div class="menu_button menu_button_icon${isDefault ? ' inline-assets-default-active' : ''}" data-action="set-default" data-index="${assetIndex}" title="${isDefault ? 'Default asset (click to unset)' : 'Use as default for image tags that match nothing'}">
+                            <i class="fa-${isDefault ? 'solid' : 'regular'} fa-star"></i>
+                        </div>
                         <div class="menu_button menu_button_icon" data-action="delete" data-index="${assetIndex}" title="Delete">
                             <i class="fa-solid fa-trash"></i>
                         </div>
@@ -6090,7 +11369,7 @@ If there are variations in numbers, do not use them consecutively.`;
                     <label class="menu_button menu_button_icon">
                         <i class="fa-solid fa-upload"></i>
                         <span>Upload</span>
-                        <input type="file" id="persona-asset-upload-input" multiple accept="image/*,image/webp" style="display: none;">
+                        <input type="file" id="persona-asset-upload-input" multiple accept="image/*,image/webp,audio/*,video/mp4,video/webm" style="display: none;">
                     </label>
                 </div>
             </div>
@@ -6178,7 +11457,9 @@ If there are variations in numbers, do not use them consecutively.`;
                 toastr.info("No assets available.");
                 return;
             }
-            const compressedNames = compressAssetNames(assets.map(asset => asset.name));
+            const compressedNames = compressAssetNames(assets
+                .filter(asset => getAssetKind(getAssetSource(asset)) !== 'audio')
+                .map(asset => asset.name));
             const promptText = `### {{user}}'s Image Asset Usage Guide
 
 **Overview:**
@@ -6186,6 +11467,7 @@ You have access to pre-defined images for this persona ({{user}}). Use them to v
 
 **How to Display an Image:**
 Use the tag \`%%img:filename%%\` in your response. Do not include the file extension.
+To show several images in one spot, list them in one gallery tag: \`%%gallery:filename1,filename2,filename3%%\`.
 
 **Available Image Filenames:**
 ${compressedNames}
@@ -6360,9 +11642,10 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
             
             const deleteButton = target.closest('[data-action="delete"]');
             const deleteTagButton = target.closest('[data-action="delete-tag"]');
+            const deleteAliasButton = target.closest('[data-action="delete-alias"]');
             const previewImage = target.closest('[data-action="preview"]');
             
-            if (!deleteButton && !deleteTagButton && !previewImage) return;
+            if (!deleteButton && !deleteTagButton && !deleteAliasButton && !previewImage) return;
             
             event.stopPropagation();
             event.preventDefault();
@@ -6375,7 +11658,11 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
                     requestAnimationFrame(() => {
                         const asset = assets[index];
                         const imageSource = asset.url || asset.data;
-                        showImagePreview(imageSource, asset.name);
+                        if (getAssetKind(imageSource) === 'audio') {
+                            playSoundEffect(imageSource);
+                        } else {
+                            showImagePreview(imageSource, asset.name);
+                        }
                     });
                 }
             } else if (deleteButton) {
@@ -6399,6 +11686,15 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
                     await savePersonaAssets(personaName, assets);
                     await initializePersonaAssetList(popupContainer, personaName);
                 }
+            } else if (deleteAliasButton) {
+                const aliasElement = target.closest('.inline-asset-alias');
+                const index = parseInt(aliasElement.dataset.index, 10);
+                const aliasToRemove = aliasElement.dataset.alias;
+                if (assets[index]?.aliases) {
+                    assets[index].aliases = assets[index].aliases.filter(a => a !== aliasToRemove);
+                    await savePersonaAssets(personaName, assets);
+                    await initializePersonaAssetList(popupContainer, personaName);
+                }
             }
         });
 
@@ -6444,6 +11740,27 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
                 }
             }
         });
+
+        // Alias input handler
+        gallery.addEventListener('keydown', async (event) => {
+            if (!event.target.classList.contains('inline-asset-alias-input') || event.key !== 'Enter') return;
+
+            event.preventDefault();
+            const newAlias = event.target.value.trim();
+            if (!newAlias) return;
+
+            const assets = getPersonaAssetsRaw(personaName);
+            const index = parseInt(event.target.dataset.index, 10);
+            if (!assets[index]) return;
+            const error = validateAssetAlias(assets, index, newAlias);
+            if (error) {
+                toastr.warning(error);
+                return;
+            }
+            assets[index].aliases = [...getAssetAliases(assets[index]), newAlias];
+            await savePersonaAssets(personaName, assets);
+            await initializePersonaAssetList(popupContainer, personaName);
+        });
     }
 
     async function handlePersonaFileUpload(files, personaName, popupContainer) {
@@ -6458,7 +11775,7 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
         const invalidFiles = [];
         
         for (const file of files) {
-            const validation = validateImageFile(file);
+            const validation = validateAssetFile(file);
             if (validation.valid) {
                 validFiles.push(file);
             } else {
@@ -6746,7 +12063,8 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
             const passesTagFilter = activeFilterTags.size === 0 ||
                 (asset.tags && asset.tags.some(tag => activeFilterTags.has(tag)));
             const passesSearchFilter = !searchQuery ||
-                asset.name.toLowerCase().includes(searchQuery);
+                asset.name.toLowerCase().includes(searchQuery) ||
+                getAssetAliases(asset).some(alias => alias.toLowerCase().includes(searchQuery));
             return passesTagFilter && passesSearchFilter;
         });
 
@@ -6841,12 +12159,16 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
                 
                 item.innerHTML = `
                     <input type="checkbox" class="asset-checkbox" data-index="${assetIndex}" ${personaSelectedAssets.has(assetIndex) ? 'checked' : ''} style="${isPersonaSelectionMode ? '' : 'display: none;'}">
-                    <img src="${imageSource}" class="inline-assets-item-preview" loading="lazy" data-action="preview" data-index="${assetIndex}" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>❌</text></svg>'">
+                    ${buildAssetItemPreviewHtml(imageSource, assetIndex)}
                     <input type="text" class="text_pole inline-assets-item-name" value="${escapedName}" data-index="${assetIndex}">
                     <div class="inline-assets-item-tags">
                         ${(asset.tags || []).map(tag => `<span class="inline-asset-tag" data-index="${assetIndex}" data-tag="${tag}">${tag}<i class="fa-solid fa-times-circle" data-action="delete-tag"></i></span>`).join('')}
                         <input type="text" class="inline-asset-tag-input" placeholder="+ Add tag" data-index="${assetIndex}">
                     </div>
+                    <div class="inline-assets-item-aliases" title="Aliases: other names that show this image">
+                        ${getAssetAliases(asset).map(alias => `<span class="inline-asset-alias" data-index="${assetIndex}" data-alias="${escapeHtmlAttr(alias)}">${escapeHtmlAttr(alias)}<i class="fa-solid fa-times-circle" data-action="delete-alias"></i></span>`).join('')}
+                        <input type="text" class="inline-asset-alias-input" placeholder="+ Add alias" data-index="${assetIndex}">
+                    </div>
                     <div class="inline-assets-item-actions">
                         <div class="menu_button menu_button_icon" data-action="delete" data-index="${assetIndex}" title="Delete">
                             <i class="fa-solid fa-trash"></i>
@@ -6884,6 +12206,7 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
         }
         
         const uniqueMessages = new Set();
+        const context = getContext();
         
         for (const mutation of mutationBatch) {
             let targetNode = mutation.target;
@@ -6897,17 +12220,12 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
             if (messageElement) {
                 // Check if content has %%img: tags - if so, always re-process
                 const textElement = messageElement.querySelector('.mes_text');
-                if (textElement) {
-                    const html = textElement.innerHTML;
-                    if (html.includes('%%img:')) {
-                        // Has image tags - check if they're already converted
-                        if (!html.includes('<img') || html.includes('%%img:')) {
-                            // Not fully converted yet, need to process
-                            uniqueMessages.add(messageElement);
-                            // Remove from processed set to allow re-processing
-                            // (WeakSet doesn't have delete, but we can just add to queue)
-                        }
-                    }
+                if (textElement && collectInlineTagTextNodes(textElement).length > 0) {
+                    // Not fully converted yet (tags outside code blocks remain), need to process
+                    uniqueMessages.add(messageElement);
+                } else if (needsTriggerRender(messageElement, context)) {
+                    // Text was re-rendered (edit, swipe) and lost its triggered images
+                    uniqueMessages.add(messageElement);
                 }
                 
                 // Also add if not processed at all
@@ -6966,6 +12284,7 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
     function onUiLoaded() {
         injectButton();
         injectPersonaButton();
+        injectSettingsPanel();
 
         const chatElement = document.getElementById('chat');
         if(chatElement) {
@@ -6974,10 +12293,31 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
 
             // ALWAYS enable macro auto-resolve (independent of asset rendering mode)
             setupMacroObserver();
+
+            // Missing asset placeholders open a fix dialog
+            setupMissingAssetChipHandler();
+
+            // %%bg:name%% chat backgrounds follow the scroll position
+            setupChatBackgroundTracking();
+            restoreChatBackground();
+
+            // %%gallery:...%% carousel navigation
+            setupGalleryHandler();
+
+            // %%sfx:name%% / %%bgm:name%% replay chips
+            setupAudioChipHandler();
+            resetChatAudio();
             
             // Check if current character has assets for asset rendering
             updateAssetRenderingState();
         }
+
+        // Asset list prompt for the selected character (re-set on every character/chat switch)
+        updateAssetPromptInjection();
+
+        // {{ia:...}} in the card, author's note and world info (SillyTavern's own macro expansion)
+        setupNativeMacroHooks();
+        prewarmMacroCaches();
         
         eventSource.on(event_types.CHARACTER_SELECTED, () => {
             // Invalidate asset cache when character changes
@@ -6990,7 +12330,16 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
                 injectButton();
                 injectPersonaButton();
             }, 200);
+            updateAssetPromptInjection();
+            prewarmMacroCaches();
         });
+
+        // In group chats, inject the list of the member about to speak
+        if (event_types.GROUP_MEMBER_DRAFTED) {
+            eventSource.on(event_types.GROUP_MEMBER_DRAFTED, (characterId) => {
+                updateAssetPromptInjection(getContext().characters?.[characterId] || null);
+            });
+        }
         
         // Listen for persona changes
         eventSource.on(event_types.SETTINGS_UPDATED, () => {
@@ -7009,6 +12358,8 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
             // Reset processed message tracking (WeakSet has no clear method)
             processedMessages = new WeakSet();
             noImageTagMessages = new WeakSet();
+            triggerFiringStates = new Map();
+            shownImageState = { keys: [], texts: [], names: [], pending: new Set() };
 
             // Re-run macro resolve for the new chat
             macroRenderQueue = [];
@@ -7021,16 +12372,22 @@ These are {{user}}'s (persona's) images - use them when describing {{user}}'s ex
             }, 150);
             
             // Reset asset visibility observer
-            if (visibilityObserver) {
-                visibilityObserver.disconnect();
-                visibilityObserver = null;
-            }
+            teardownVisibilityObserver();
             
             // Re-apply performance booster and check assets
             setTimeout(() => {
                 applyContentVisibility(); // Refresh content visibility hints
                 updateAssetRenderingState();
             }, 100);
+
+            // Show the new chat's stored background (or clear the previous chat's)
+            restoreChatBackground();
+
+            // Stop the previous chat's music; don't autoplay what was already there
+            resetChatAudio();
+
+            updateAssetPromptInjection();
+            prewarmMacroCaches();
         });
 
         console.log('[InlineImageAssets] File System Based v5.1 Loaded.');